@@ -0,0 +1,94 @@
+// Third-party scripts and model files, from the CDN or from a local copy. `npm run vendor`
+// copies the local set out of node_modules (see scripts/vendor-assets.js), so the app can be
+// served with no internet access at all.
+
+// Versions the app is built against; package.json pins the same ones for the local copy
+export const assetVersions = {
+  three: '0.128.0',
+  hands: '0.4.1646424915'
+};
+
+const jsdelivr = 'https://cdn.jsdelivr.net/npm';
+
+// CDN URLs in the order to try them
+export const cdnAssets = {
+  three: [
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+    `${jsdelivr}/three@${assetVersions.three}/build/three.min.js`
+  ],
+  hands: [
+    `${jsdelivr}/@mediapipe/hands@${assetVersions.hands}/hands.min.js`,
+    `${jsdelivr}/@mediapipe/hands/hands.min.js`
+  ],
+  // Directory MediaPipe Hands loads its wasm, model and packed asset files from
+  handsFiles: [
+    `${jsdelivr}/@mediapipe/hands@${assetVersions.hands}`,
+    `${jsdelivr}/@mediapipe/hands`
+  ],
+  font: [`${jsdelivr}/three@${assetVersions.three}/examples/fonts/helvetiker_regular.typeface.json`],
+  gltfLoader: [
+    `${jsdelivr}/three@${assetVersions.three}/examples/js/loaders/GLTFLoader.js`,
+    `https://unpkg.com/three@${assetVersions.three}/examples/js/loaders/GLTFLoader.js`
+  ],
+  objLoader: [
+    `${jsdelivr}/three@${assetVersions.three}/examples/js/loaders/OBJLoader.js`,
+    `https://unpkg.com/three@${assetVersions.three}/examples/js/loaders/OBJLoader.js`
+  ],
+  stlLoader: [
+    `${jsdelivr}/three@${assetVersions.three}/examples/js/loaders/STLLoader.js`,
+    `https://unpkg.com/three@${assetVersions.three}/examples/js/loaders/STLLoader.js`
+  ]
+};
+
+// The same assets in the local copy: path inside the local asset directory, and where
+// `npm run vendor` finds it in node_modules
+export const localAssets = {
+  three: { path: 'three/three.min.js', from: 'three/build/three.min.js' },
+  hands: { path: 'mediapipe/hands/hands.js', from: '@mediapipe/hands/hands.js' },
+  handsFiles: { path: 'mediapipe/hands', from: '@mediapipe/hands' },
+  font: { path: 'three/fonts/helvetiker_regular.typeface.json', from: 'three/examples/fonts/helvetiker_regular.typeface.json' },
+  gltfLoader: { path: 'three/loaders/GLTFLoader.js', from: 'three/examples/js/loaders/GLTFLoader.js' },
+  objLoader: { path: 'three/loaders/OBJLoader.js', from: 'three/examples/js/loaders/OBJLoader.js' },
+  stlLoader: { path: 'three/loaders/STLLoader.js', from: 'three/examples/js/loaders/STLLoader.js' }
+};
+
+// The other hand tracking backends (see trackers.js) only load from the CDN: the default one,
+// MediaPipe Hands above, is the one the local copy covers
+export const trackerAssetVersions = {
+  tasksVision: '0.10.14',
+  tfjs: '4.22.0',
+  handpose: '0.1.0'
+};
+
+export const trackerAssets = {
+  // An ES module, loaded with import()
+  tasksVision: `${jsdelivr}/@mediapipe/tasks-vision@${trackerAssetVersions.tasksVision}/vision_bundle.mjs`,
+  tasksVisionFiles: `${jsdelivr}/@mediapipe/tasks-vision@${trackerAssetVersions.tasksVision}/wasm`,
+  handLandmarkerModel: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+  // Scripts for the handpose global, in load order
+  handpose: [
+    `${jsdelivr}/@tensorflow/tfjs-core@${trackerAssetVersions.tfjs}/dist/tf-core.min.js`,
+    `${jsdelivr}/@tensorflow/tfjs-converter@${trackerAssetVersions.tfjs}/dist/tf-converter.min.js`,
+    `${jsdelivr}/@tensorflow/tfjs-backend-webgl@${trackerAssetVersions.tfjs}/dist/tf-backend-webgl.min.js`,
+    `${jsdelivr}/@tensorflow-models/handpose@${trackerAssetVersions.handpose}/dist/handpose.min.js`
+  ]
+};
+
+// Written by `npm run vendor` next to the files; lists everything for the service worker to precache
+export const localManifestFile = 'manifest.json';
+
+export const assetSources = ['cdn', 'local', 'auto'];
+
+// URLs to try for an asset. source is 'cdn' or 'local' ('auto' is settled by the caller once it
+// knows whether the local copy exists). Local files come first and the CDN stays as a fallback,
+// which only matters when there is a network.
+export const getAssetUrls = (name, { source, localPath }) => {
+  if (!cdnAssets[name]) {
+    throw new Error(`Unknown asset "${name}"`);
+  }
+  if (source !== 'local') {
+    return cdnAssets[name];
+  }
+  const base = localPath.replace(/\/+$/, '');
+  return [`${base}/${localAssets[name].path}`, ...cdnAssets[name]];
+};
@@ -0,0 +1,194 @@
+// App settings: every tunable with its default and valid range, and the parsing and checking
+// for the places they can be overridden from (a JSON config file, URL query parameters, the
+// settings panel). Pure: main.js owns the live config object and decides what wins.
+
+import { defaultGestureThresholds } from './gestures.js';
+import { defaultPickRadius, defaultRecycleBin } from './coordinates.js';
+import { assetSources } from './assets.js';
+import { trackerBackends } from './trackers.js';
+
+// type is 'number', 'integer', 'boolean', 'enum', 'string' or 'colors' (a list of 0xRRGGBB numbers).
+// param is the URL query parameter name when it differs from the key. reload marks settings
+// that are only read at startup.
+export const configSchema = {
+  shapeCreationCooldown: { type: 'integer', default: 1000, min: 0, max: 10000, label: 'Shape creation cooldown (ms)' },
+  pinchEnterRatio: { type: 'number', default: defaultGestureThresholds.pinchEnterRatio, min: 0.05, max: 2, label: 'Pinch start distance (palm sizes)' },
+  pinchExitRatio: { type: 'number', default: defaultGestureThresholds.pinchExitRatio, min: 0.05, max: 3, label: 'Pinch end distance (palm sizes)' },
+  indexesCloseRatio: { type: 'number', default: defaultGestureThresholds.indexesCloseRatio, min: 0.1, max: 5, label: 'Index fingers touching (palm sizes)' },
+  pinchMinHoldTime: { type: 'integer', default: 60, min: 0, max: 1000, label: 'Pinch debounce (ms)' },
+  landmarkFilter: { type: 'boolean', default: true, label: 'Filter hand jitter' },
+  filterMinCutoff: { type: 'number', default: 1.0, min: 0.01, max: 10, label: 'Jitter filter cutoff when still (Hz)' },
+  filterBeta: { type: 'number', default: 20, min: 0, max: 200, label: 'Jitter filter speed response' },
+  filterDCutoff: { type: 'number', default: 1.0, min: 0.01, max: 10, label: 'Jitter filter speed cutoff (Hz)' },
+  maxNumHands: { type: 'integer', default: 2, min: 1, max: 2, label: 'Hands to track' },
+  modelComplexity: { type: 'integer', default: 0, min: 0, max: 1, label: 'Hand model complexity' },
+  minDetectionConfidence: { type: 'number', default: 0.6, min: 0, max: 1, label: 'Hand detection confidence' },
+  minTrackingConfidence: { type: 'number', default: 0.6, min: 0, max: 1, label: 'Hand tracking confidence' },
+  pickRadius: { type: 'number', default: defaultPickRadius, min: 0.1, max: 10, label: 'Hand pick radius (world units)' },
+  snapping: { type: 'boolean', default: false, label: 'Snap to grid' },
+  gridStep: { type: 'number', default: 0.5, min: 0.05, max: 5, label: 'Grid step (world units)' },
+  rotationSnapDegrees: { type: 'integer', default: 15, min: 0, max: 90, label: 'Rotation snap (degrees, 0 = off)' },
+  scaleSnapStep: { type: 'number', default: 0.25, min: 0, max: 2, label: 'Scale snap step (0 = off)' },
+  alignmentGuides: { type: 'boolean', default: true, label: 'Alignment guides' },
+  alignmentTolerance: { type: 'number', default: 0.15, min: 0.01, max: 2, label: 'Alignment distance (world units)' },
+  physics: { type: 'boolean', default: false, label: 'Physics' },
+  gravity: { type: 'number', default: 9.8, min: 0, max: 50, label: 'Gravity (units/s²)' },
+  bounciness: { type: 'number', default: 0.4, min: 0, max: 1, label: 'Bounciness' },
+  floorHeight: { type: 'number', default: -3, min: -10, max: 0, label: 'Floor height (world units)' },
+  throwStrength: { type: 'number', default: 1, min: 0, max: 3, label: 'Throw strength' },
+  physicsMaxShapes: { type: 'integer', default: 300, min: 1, max: 100000, label: 'Physics up to this many shapes' },
+  instancing: { type: 'boolean', default: true, label: 'Instanced rendering' },
+  instancingMinShapes: { type: 'integer', default: 200, min: 1, max: 100000, label: 'Instance from this many shapes' },
+  stressShapeCount: { type: 'integer', default: 2000, min: 10, max: 20000, label: 'Stress test shapes' },
+  performanceHud: { type: 'boolean', default: false, label: 'Performance HUD' },
+  adaptiveQuality: { type: 'boolean', default: false, label: 'Adaptive quality' },
+  targetFps: { type: 'integer', default: 30, min: 10, max: 144, label: 'Adaptive quality target (FPS)' },
+  tracker: { type: 'enum', default: 'mediapipe-hands', values: trackerBackends, reload: true, label: 'Hand tracking backend' },
+  trackerRecording: { type: 'string', default: 'hands-recording.json', reload: true, label: 'Landmark recording for the replay backend' },
+  trackingWorker: { type: 'boolean', default: true, reload: true, label: 'MediaPipe Hands in a worker' },
+  interpolateLandmarks: { type: 'boolean', default: true, label: 'Smooth hands between detections' },
+  recycleBinWidth: { type: 'integer', default: defaultRecycleBin.width, min: 20, max: 1000, label: 'Recycle bin width (px)' },
+  recycleBinHeight: { type: 'integer', default: defaultRecycleBin.height, min: 20, max: 1000, label: 'Recycle bin height (px)' },
+  recycleBinMargin: { type: 'integer', default: defaultRecycleBin.margin, min: 0, max: 1000, label: 'Recycle bin margin (px)' },
+  cameraWidth: { type: 'integer', default: 1280, min: 160, max: 3840, reload: true, label: 'Camera width (px)' },
+  cameraHeight: { type: 'integer', default: 720, min: 120, max: 2160, reload: true, label: 'Camera height (px)' },
+  neonColors: {
+    type: 'colors',
+    default: [0xFF00FF, 0x00FFFF, 0xFF3300, 0x39FF14, 0xFF0099, 0x00FF00, 0xFF6600, 0xFFFF00],
+    label: 'Shape colors'
+  },
+  assetSource: { type: 'enum', default: 'auto', values: assetSources, param: 'assets', reload: true, label: 'Asset source' },
+  assetPath: { type: 'string', default: 'vendor', param: 'assetPath', reload: true, label: 'Local asset directory' }
+};
+
+export const defaultConfig = Object.fromEntries(
+  Object.entries(configSchema).map(([key, spec]) => [key, Array.isArray(spec.default) ? [...spec.default] : spec.default])
+);
+
+// Checks one value against its schema entry and returns it (a copy for lists); throws on
+// anything out of range or of the wrong type
+export const validateConfigValue = (key, value) => {
+  const spec = configSchema[key];
+  if (!spec) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+  const fail = (reason) => {
+    throw new Error(`Invalid setting "${key}": ${reason}`);
+  };
+
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail('expected a number');
+      if (spec.type === 'integer' && !Number.isInteger(value)) fail('expected a whole number');
+      if (value < spec.min || value > spec.max) fail(`expected ${spec.min} to ${spec.max}`);
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('expected true or false');
+      return value;
+    case 'enum':
+      if (!spec.values.includes(value)) fail(`expected one of ${spec.values.join(', ')}`);
+      return value;
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') fail('expected a non-empty string');
+      return value;
+    case 'colors':
+      if (!Array.isArray(value) || value.length === 0) fail('expected a list of colors');
+      if (!value.every(color => Number.isInteger(color) && color >= 0 && color <= 0xFFFFFF)) fail('expected colors as 0xRRGGBB numbers');
+      return [...value];
+    default:
+      return fail(`unsupported type ${spec.type}`);
+  }
+};
+
+// Rules between settings, checked on the merged result
+const checkConfigRules = (config) => {
+  if (config.pinchExitRatio < config.pinchEnterRatio) {
+    throw new Error('Invalid settings: pinchExitRatio must not be smaller than pinchEnterRatio');
+  }
+};
+
+// Layers override objects onto a base config, in order. A bad value is skipped (the earlier
+// value stays) and reported in errors, so one typo in a URL doesn't stop the app from starting.
+// Overrides that break a rule between settings are dropped as a whole.
+export const mergeConfig = (base, ...overrides) => {
+  let config = { ...base };
+  const errors = [];
+  for (const override of overrides) {
+    if (!override) continue;
+    const next = { ...config };
+    for (const [key, value] of Object.entries(override)) {
+      try {
+        next[key] = validateConfigValue(key, value);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    try {
+      checkConfigRules(next);
+      config = next;
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { config, errors };
+};
+
+// '#ff00ff', '0xff00ff' or 'ff00ff' to 0xff00ff; NaN if it isn't a color
+export const parseColor = (text) => {
+  const hex = String(text).trim().replace(/^(#|0x)/i, '');
+  return /^[0-9a-f]{6}$/i.test(hex) ? parseInt(hex, 16) : NaN;
+};
+
+// Text from a URL parameter or a settings panel field to a value of the setting's type (not
+// yet validated)
+export const parseConfigText = (key, text) => {
+  const spec = configSchema[key];
+  if (spec.type === 'number' || spec.type === 'integer') {
+    return text.trim() === '' ? NaN : Number(text);
+  }
+  if (spec.type === 'colors') {
+    return text.split(',').map(parseColor);
+  }
+  if (spec.type === 'boolean') {
+    const word = text.trim().toLowerCase();
+    if (['true', 'on', '1'].includes(word)) return true;
+    if (['false', 'off', '0'].includes(word)) return false;
+  }
+  return text;
+};
+
+// Reads settings from URL query parameters (a URLSearchParams), converting the text to each
+// setting's type. Parameters that aren't settings are ignored; colors are a comma-separated list.
+export const parseConfigParams = (params) => {
+  const overrides = {};
+  for (const [key, spec] of Object.entries(configSchema)) {
+    const name = spec.param || key;
+    if (!params.has(name)) continue;
+    overrides[key] = parseConfigText(key, params.get(name));
+  }
+  return overrides;
+};
+
+// Reads the settings object from a JSON config file. Colors may be written as numbers or as
+// '#rrggbb' strings; everything else is checked by mergeConfig.
+export const parseConfigFile = (text) => {
+  const data = JSON.parse(text);
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid config file: expected a JSON object of settings');
+  }
+  const overrides = { ...data };
+  for (const [key, spec] of Object.entries(configSchema)) {
+    if (spec.type === 'colors' && Array.isArray(overrides[key])) {
+      overrides[key] = overrides[key].map(color => (typeof color === 'string' ? parseColor(color) : color));
+    }
+  }
+  return overrides;
+};
+
+// A setting's value as text, the inverse of parseConfigText
+export const formatConfigValue = (key, value) => (
+  configSchema[key].type === 'colors'
+    ? value.map(color => `#${color.toString(16).padStart(6, '0')}`).join(',')
+    : String(value)
+);
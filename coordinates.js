@@ -0,0 +1,99 @@
+// Mapping between hand/screen coordinates and the 3D scene. Pure functions: the camera, the
+// shapes and the viewport are passed in, and positions are plain { x, y, z } objects (three.js
+// vectors work too). The scene camera sits on the z axis looking at the origin.
+
+// World units across the view at the z=0 plane for the full width of the hand image
+export const handViewWidth = 10;
+
+// Default selection radius around the hand, in world units
+export const defaultPickRadius = 1.5;
+
+// Recycle bin rectangle in screen pixels, measured from the bottom right corner of the mirrored view
+export const defaultRecycleBin = { width: 160, height: 160, margin: 60 };
+
+// Normalized landmark position to a world position at depth z. Points nearer the camera
+// (cameraZ) cover less of the world, so the shape stays under the finger at any depth.
+export const get3DCoords = (normX, normY, z = 0, cameraZ = null) => {
+  const perspective = Number.isFinite(cameraZ) && cameraZ !== 0 ? (cameraZ - z) / cameraZ : 1;
+  return {
+    x: (normX - 0.5) * handViewWidth * perspective,
+    y: (0.5 - normY) * handViewWidth * perspective,
+    z
+  };
+};
+
+// The inverse of get3DCoords: where a world position shows in the hand image. Returns null for
+// points at or behind the camera.
+export const worldToHand = (position, cameraZ = null) => {
+  const perspective = Number.isFinite(cameraZ) && cameraZ !== 0 ? (cameraZ - position.z) / cameraZ : 1;
+  if (perspective <= 0) return null;
+  return {
+    x: position.x / (handViewWidth * perspective) + 0.5,
+    y: 0.5 - position.y / (handViewWidth * perspective)
+  };
+};
+
+// Even-odd test for a point in a polygon given as a list of { x, y } (closed implicitly)
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const distance3D = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// How far a position is from a normalized screen point, measured at the position's own depth
+export const pickDistance = (position, normX, normY, cameraZ = null) => (
+  distance3D(position, get3DCoords(normX, normY, position.z, cameraZ))
+);
+
+// Nearest shape to a normalized screen point, measured at each shape's own depth. shapes are
+// anything with a position; returns null when none is within radius.
+export const findNearestShape = (normX, normY, shapes, { cameraZ = null, radius = defaultPickRadius } = {}) => {
+  let minDist = Infinity;
+  let closest = null;
+  for (const shape of shapes) {
+    const dist = pickDistance(shape.position, normX, normY, cameraZ);
+    if (dist < radius && dist < minDist) {
+      minDist = dist;
+      closest = shape;
+    }
+  }
+  return closest;
+};
+
+// World position to screen pixels for a perspective camera ({ fov in degrees, aspect, position })
+// looking down -z. Returns null for points at or behind the camera.
+export const projectToScreen = (position, camera, viewport) => {
+  const depth = camera.position.z - position.z;
+  if (depth <= 0) return null;
+  const halfHeight = depth * Math.tan((camera.fov * Math.PI) / 360);
+  const ndcX = (position.x - camera.position.x) / (halfHeight * camera.aspect);
+  const ndcY = (position.y - camera.position.y) / halfHeight;
+  return {
+    x: ((ndcX + 1) / 2) * viewport.width,
+    y: ((-ndcY + 1) / 2) * viewport.height
+  };
+};
+
+// Whether a world position shows over the recycle bin. The view is mirrored, so the bin's
+// on-screen corner is measured from the other side of the projected point.
+export const isInRecycleBinZone = (position, { camera, viewport, bin = defaultRecycleBin }) => {
+  const screen = projectToScreen(position, camera, viewport);
+  if (!screen) return false;
+
+  const binLeft = viewport.width - bin.margin - bin.width;
+  const binTop = viewport.height - bin.margin - bin.height;
+  const binRight = binLeft + bin.width;
+  const binBottom = binTop + bin.height;
+
+  const adjustedX = viewport.width - screen.x;
+
+  return adjustedX >= binLeft && adjustedX <= binRight && screen.y >= binTop && screen.y <= binBottom;
+};
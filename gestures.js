@@ -0,0 +1,56 @@
+// Hand landmark math for gesture detection. Everything here is pure: it takes MediaPipe hand
+// landmarks (21 points, x/y normalized to the image, z roughly in units of image width) and
+// the image aspect ratio (width / height), and reads no app state.
+
+// Thresholds are in palm sizes (wrist to middle finger MCP), so they hold at any distance from
+// the camera. The calibration wizard replaces these with ones measured for the user.
+export const defaultGestureThresholds = {
+  pinchEnterRatio: 0.35,   // Thumb-index distance that starts a pinch
+  pinchExitRatio: 0.5,     // Distance that ends it (larger, so it doesn't flicker near the edge)
+  indexesCloseRatio: 1.2   // Index tip to index tip distance that counts as the two hands touching
+};
+
+// Apparent hand size: wrist (0) to middle finger MCP (9), in units of the image height
+export const getHandSize = (landmarks, aspect = 1) =>
+  Math.hypot((landmarks[9].x - landmarks[0].x) * aspect, landmarks[9].y - landmarks[0].y);
+
+// Thumb tip to index tip, in palm sizes, so the same pinch reads the same near or far from the camera
+export const getPinchRatio = (landmarks, aspect = 1) => {
+  const a = landmarks[4];
+  const b = landmarks[8];
+  const distance = Math.hypot((a.x - b.x) * aspect, a.y - b.y, (a.z - b.z) * aspect);
+  return distance / Math.max(getHandSize(landmarks, aspect), 1e-6);
+};
+
+// Index tip to index tip across two hands, in their average palm size
+export const getIndexTipsRatio = (l, r, aspect = 1) => {
+  const distance = Math.hypot((l[8].x - r[8].x) * aspect, l[8].y - r[8].y);
+  return distance / Math.max((getHandSize(l, aspect) + getHandSize(r, aspect)) / 2, 1e-6);
+};
+
+const hasLandmarks = (landmarks, indices) => Array.isArray(landmarks) && indices.every(index => landmarks[index]);
+
+// Single-frame pinch check; updatePinchState adds hysteresis on top for a live stream
+export const isPinch = (landmarks, { aspect = 1, threshold = defaultGestureThresholds.pinchEnterRatio } = {}) =>
+  hasLandmarks(landmarks, [0, 4, 8, 9]) && getPinchRatio(landmarks, aspect) < threshold;
+
+export const areIndexFingersClose = (l, r, { aspect = 1, threshold = defaultGestureThresholds.indexesCloseRatio } = {}) =>
+  hasLandmarks(l, [0, 8, 9]) && hasLandmarks(r, [0, 8, 9]) && getIndexTipsRatio(l, r, aspect) < threshold;
+
+// Pinch with hysteresis: separate enter/exit thresholds, and a change only counts once it has
+// held for minHoldTime ms. state is { pinching, candidateSince } and is updated in place.
+export const updatePinchState = (state, ratio, time, { enterRatio, exitRatio, minHoldTime }) => {
+  const rawPinching = state.pinching ? ratio < exitRatio : ratio < enterRatio;
+
+  if (rawPinching === state.pinching) {
+    state.candidateSince = null;
+  } else if (state.candidateSince === null) {
+    state.candidateSince = time;
+  }
+
+  if (state.candidateSince !== null && time - state.candidateSince >= minHoldTime) {
+    state.pinching = rawPinching;
+    state.candidateSince = null;
+  }
+  return state.pinching;
+};
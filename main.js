@@ -1,3 +1,38 @@
+import * as gestures from './gestures.js';
+import * as coordinates from './coordinates.js';
+import * as assets from './assets.js';
+import * as configuration from './config.js';
+import * as snapping from './snapping.js';
+import * as physics from './physics.js';
+import * as spatial from './spatial.js';
+import * as quality from './quality.js';
+import * as tracking from './tracking.js';
+import * as trackers from './trackers.js';
+
+// Convert mouse position to 3D coordinates
+const getMousePosition = (event, canvas) => {
+  const rect = canvas.getBoundingClientRect();
+  const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  return { x, y };
+};
+
+// Convert mouse position to world coordinates on the plane at depth planeZ
+const mouseToWorld = (event, planeZ = 0) => {
+  const mousePos = getMousePosition(event, renderer.domElement);
+  const mousePosition = new THREE.Vector3(mousePos.x, mousePos.y, 0);
+  mousePosition.unproject(camera);
+  
+  // Calculate the ray from the camera to the mousePosition
+  const direction = mousePosition.sub(camera.position).normalize();
+  
+  // Calculate distance to the plane
+  const distance = (planeZ - camera.position.z) / direction.z;
+  
+  // Get the 3D point
+  return camera.position.clone().add(direction.multiplyScalar(distance));
+};
+
 // Setup mouse controls as fallback for when hand tracking isn't available
 const setupMouseControls = () => {
   const threeCanvas = document.querySelector('#three-canvas canvas');
@@ -5,87 +40,129 @@ const setupMouseControls = () => {
   
   let isDragging = false;
   let selectedViaMouseShape = null;
-  let mousePosition = new THREE.Vector3();
+  let mouseDragStartTransforms = null;  // Everything the drag moves: the selection, or just the clicked shape
+  let mouseDownPoint = null;
+  let mouseMoved = false;
+  let shiftDragStart = null;  // Shift+drag moves the shape in depth instead of up/down
+  let selectionBox = null;    // Dragging on empty space draws a box that selects what it covers
+  let cloningDrag = false;    // Alt+drag drags a copy away and leaves the original in place
   let raycaster = new THREE.Raycaster();
   
-  // Convert mouse position to 3D coordinates
-  const getMousePosition = (event, canvas) => {
-    const rect = canvas.getBoundingClientRect();
-    const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-    return { x, y };
-  };
-  
-  // Find shape under mouse cursor
+  // Find shape under mouse cursor. In large scenes only the meshes of shapes whose bounds the
+  // ray passes through are tested, nearest first; below spatial.indexedRaycastMinItems shapes
+  // testing them all is as quick.
   const findShapeUnderMouse = (event) => {
     const mousePos = getMousePosition(event, threeCanvas);
     raycaster.setFromCamera(new THREE.Vector2(mousePos.x, mousePos.y), camera);
-    const intersects = raycaster.intersectObjects(shapes, true);
-    
-    if (intersects.length > 0) {
-      // Find the parent group of the intersected object
-      let parentShape = intersects[0].object;
+    if (shapes.length < spatial.indexedRaycastMinItems) {
+      const [hit] = raycaster.intersectObjects(shapes, true);
+      if (!hit) return null;
+      // Find the shape the intersected mesh belongs to
+      let parentShape = hit.object;
       while (parentShape.parent && parentShape.parent !== scene) {
         parentShape = parentShape.parent;
       }
-      
-      // Check if the parent is one of our shapes
-      if (shapes.includes(parentShape)) {
-        return parentShape;
-      }
+      return shapes.includes(parentShape) ? parentShape : null;
     }
-    return null;
+    const nearest = spatial.raycastNearest(getShapeIndex(), raycaster.ray.origin, raycaster.ray.direction, shape => {
+      const [hit] = raycaster.intersectObject(shape, true);
+      return hit ? hit.distance : null;
+    });
+    return nearest ? nearest.value : null;
   };
   
-  // Convert mouse position to world coordinates
-  const mouseToWorld = (event) => {
-    const mousePos = getMousePosition(event, threeCanvas);
-    mousePosition.set(mousePos.x, mousePos.y, 0);
-    mousePosition.unproject(camera);
-    
-    // Calculate the ray from the camera to the mousePosition
-    const direction = mousePosition.sub(camera.position).normalize();
-    
-    // Calculate distance to z=0 plane
-    const distance = -camera.position.z / direction.z;
-    
-    // Get the 3D point
-    return camera.position.clone().add(direction.multiplyScalar(distance));
+  // Shapes whose centers show inside a box given in client pixels
+  const findShapesInBox = (box) => {
+    const rect = threeCanvas.getBoundingClientRect();
+    return shapes.filter(shape => {
+      const ndc = shape.position.clone().project(camera);
+      const x = rect.left + ((ndc.x + 1) / 2) * rect.width;
+      const y = rect.top + ((1 - ndc.y) / 2) * rect.height;
+      return ndc.z < 1 && x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+    });
   };
   
+  const getBoxBounds = (event) => ({
+    left: Math.min(mouseDownPoint.x, event.clientX),
+    right: Math.max(mouseDownPoint.x, event.clientX),
+    top: Math.min(mouseDownPoint.y, event.clientY),
+    bottom: Math.max(mouseDownPoint.y, event.clientY)
+  });
+  
   // Mouse event handlers
   threeCanvas.addEventListener('mousedown', (event) => {
-    const shape = findShapeUnderMouse(event);
+    if (event.button !== 0) return;
+    mouseDownPoint = { x: event.clientX, y: event.clientY };
+    mouseMoved = false;
+    
+    let shape = findShapeUnderMouse(event);
     if (shape) {
+      if (event.altKey) {
+        // Copying and moving the copy are one undo step, closed on mouseup
+        beginHistoryGroup();
+        cloningDrag = true;
+        const originals = getDragSet(shape);
+        const copies = duplicateShapes(originals, new THREE.Vector3());
+        if (originals.length > 1) setSelection(copies);
+        shape = copies[originals.indexOf(shape)];
+      }
       selectedViaMouseShape = shape;
+      mouseDragStartTransforms = captureTransforms(getDragSet(shape));
+      mouseHeldShapes = mouseDragStartTransforms;
       isDragging = true;
-      updateStatus('Shape selected with mouse');
+      updateStatus(mouseDragStartTransforms.size > 1 ? `${mouseDragStartTransforms.size} shapes selected with mouse` : 'Shape selected with mouse');
       
-      // Highlight the selected shape
-      shape.children.forEach(child => {
-        if (child.material && child.material.wireframe) {
-          child.material.color.set(0x00ffff);
-        }
-      });
-    } else if (event.button === 0) { // Left click on empty space
-      // Create a new shape at mouse position
-      const worldPos = mouseToWorld(event);
-      createRandomShape(worldPos);
+      // Highlight the selected shapes
+      mouseDragStartTransforms.forEach((start, dragged) => setWireframeColor(dragged, selectionColor));
     }
   });
   
   threeCanvas.addEventListener('mousemove', (event) => {
+    if (!mouseDownPoint) return;
+    // Small jitters while clicking don't count as a drag
+    if (!mouseMoved && Math.hypot(event.clientX - mouseDownPoint.x, event.clientY - mouseDownPoint.y) < 4) return;
+    mouseMoved = true;
+    
+    if (!isDragging) {
+      if (!selectionBox) {
+        selectionBox = document.createElement('div');
+        selectionBox.id = 'selection-box';
+        selectionBox.style.cssText = 'position: fixed; border: 1px dashed #00FFFF; background: rgba(0, 255, 255, 0.1); pointer-events: none; z-index: 999;';
+        document.body.appendChild(selectionBox);
+      }
+      const box = getBoxBounds(event);
+      Object.assign(selectionBox.style, {
+        left: `${box.left}px`,
+        top: `${box.top}px`,
+        width: `${box.right - box.left}px`,
+        height: `${box.bottom - box.top}px`
+      });
+      return;
+    }
+    
     if (isDragging && selectedViaMouseShape) {
-      const worldPos = mouseToWorld(event);
-      selectedViaMouseShape.position.copy(worldPos);
+      if (event.shiftKey) {
+        // Dragging up pushes the shape away, dragging down pulls it closer
+        if (!shiftDragStart) {
+          shiftDragStart = { clientY: event.clientY, z: selectedViaMouseShape.position.z };
+        }
+        const z = shiftDragStart.z + (event.clientY - shiftDragStart.clientY) * 0.01;
+        selectedViaMouseShape.position.z = THREE.MathUtils.clamp(
+          config.snapping ? snapping.snapValue(z, config.gridStep) : z,
+          -maxShapeDepth,
+          maxShapeDepth
+        );
+      } else {
+        shiftDragStart = null;
+        const position = mouseToWorld(event, selectedViaMouseShape.position.z);
+        selectedViaMouseShape.position.copy(getSnappedPosition(selectedViaMouseShape, position, mouseDragStartTransforms));
+      }
+      followGrabbedShape(mouseDragStartTransforms, selectedViaMouseShape);
+      markSceneChanged();
       
       // Check if shape is over recycle bin
       const inBin = isInRecycleBinZone(selectedViaMouseShape.position);
-      selectedViaMouseShape.children.forEach(child => {
-        if (child.material && child.material.wireframe) {
-          child.material.color.set(inBin ? 0xff0000 : 0x00ffff);
-        }
-      });
+      mouseDragStartTransforms.forEach((start, dragged) => setWireframeColor(dragged, inBin ? 0xff0000 : selectionColor));
       
       // Update recycle bin visual
       if (recycleBinElement) {
@@ -100,26 +177,62 @@ const setupMouseControls = () => {
     }
   });
   
-  threeCanvas.addEventListener('mouseup', () => {
+  threeCanvas.addEventListener('mouseup', (event) => {
+    if (!mouseDownPoint) return;
+    
     if (isDragging && selectedViaMouseShape) {
-      // Check if shape should be deleted
-      if (isInRecycleBinZone(selectedViaMouseShape.position)) {
-        scene.remove(selectedViaMouseShape);
-        shapes = shapes.filter(s => s !== selectedViaMouseShape);
-        updateStatus('Shape deleted');
+      hideAlignmentGuides();
+      const dragged = [...mouseDragStartTransforms.keys()];
+      if (cloningDrag && !mouseMoved) {
+        // Alt+click: the copy goes beside the original, as with Ctrl+D
+        transformShapes(mouseDragStartTransforms, new THREE.Vector3(), { offset: cloneOffset });
+        dragged.forEach(resetWireframeColor);
+        recordTransformChanges(mouseDragStartTransforms, 'Move shape');
+        updateStatus('Shape duplicated');
+      } else if (!mouseMoved) {
+        // A click: Shift+click adds or removes the shape, a plain click selects just it
+        if (event.shiftKey) {
+          toggleSelected(selectedViaMouseShape);
+        } else {
+          setSelection([selectedViaMouseShape]);
+        }
+        dragged.forEach(resetWireframeColor);
+      } else if (isInRecycleBinZone(selectedViaMouseShape.position)) {
+        // Check if shape should be deleted
+        deleteShapes(dragged, mouseDragStartTransforms);
+        updateStatus(dragged.length > 1 ? `${dragged.length} shapes deleted` : 'Shape deleted');
       } else {
         // Reset wireframe color
-        selectedViaMouseShape.children.forEach(child => {
-          if (child.material && child.material.wireframe) {
-            child.material.color.set(0xffffff);
-          }
-        });
+        dragged.forEach(resetWireframeColor);
+        recordTransformChanges(mouseDragStartTransforms, 'Move shape');
         updateStatus('Shape released');
       }
+    } else if (selectionBox) {
+      const boxed = findShapesInBox(getBoxBounds(event));
+      setSelection(event.shiftKey ? [...getSelectedShapes(), ...boxed] : boxed);
+      updateStatus(`${selection.size} shape${selection.size === 1 ? '' : 's'} selected`);
+    } else if (selection.size > 0) {
+      // Click on empty space: the first one just deselects (Shift+click keeps the selection)
+      if (!event.shiftKey) clearSelection();
+    } else {
+      // Create a new shape at mouse position
+      createShapeFromPalette(mouseToWorld(event));
     }
     
+    if (cloningDrag) {
+      endHistoryGroup();
+      cloningDrag = false;
+    }
     isDragging = false;
     selectedViaMouseShape = null;
+    mouseDragStartTransforms = null;
+    mouseHeldShapes = null;
+    mouseDownPoint = null;
+    shiftDragStart = null;
+    if (selectionBox) {
+      selectionBox.remove();
+      selectionBox = null;
+    }
     if (recycleBinElement) {
       recycleBinElement.classList.remove('active');
     }
@@ -130,11 +243,30 @@ const setupMouseControls = () => {
     event.preventDefault();
     
     // Find shape under mouse
+    // A selected shape brings the rest of the selection along
     const shape = findShapeUnderMouse(event);
-    if (shape) {
-      // Scale the shape based on wheel direction
-      const scaleFactor = event.deltaY > 0 ? 0.9 : 1.1;
-      shape.scale.multiplyScalar(scaleFactor);
+    if (!shape) return;
+    const targets = getDragSet(shape);
+    const before = captureTransforms(targets);
+    if (event.shiftKey) {
+      // Shift+wheel moves the shape in depth, a grid step at a time when snapping
+      const step = config.snapping ? config.gridStep : 0.25;
+      targets.forEach(target => {
+        const z = target.position.z + (event.deltaY > 0 ? -step : step);
+        target.position.z = THREE.MathUtils.clamp(config.snapping ? snapping.snapValue(z, step) : z, -maxShapeDepth, maxShapeDepth);
+      });
+      recordTransformChanges(before, 'Move shape', `wheel-depth-${shape.uuid}`);
+      updateStatus(`Shape depth ${shape.position.z.toFixed(2)}`);
+    } else {
+      // Scale the shapes based on wheel direction, a selection about its center. When snapping,
+      // each notch is one scale step.
+      let scaleFactor = event.deltaY > 0 ? 0.9 : 1.1;
+      if (config.snapping && config.scaleSnapStep > 0) {
+        const step = event.deltaY > 0 ? -config.scaleSnapStep : config.scaleSnapStep;
+        scaleFactor = snapping.snapScale(shape.scale.x + step, config.scaleSnapStep) / shape.scale.x;
+      }
+      transformShapes(before, getCenter(targets), { factor: scaleFactor });
+      recordTransformChanges(before, 'Scale shape', `wheel-${shape.uuid}`);
       updateStatus(`Scaling shape (${shape.scale.x.toFixed(2)}x)`);
     }
   });
@@ -156,10 +288,16 @@ let currentShape = null;
 let isPinching = false;
 let shapeScale = 1;
 let originalDistance = null;
-let selectedShape = null;
+let selectedShape = null;          // A shape a hand is dragging (see handDrags for every hand's)
+let twoHandStartTransform = null;
+let twoHandStartTransforms = null; // The selection a two-hand pinch scales and twists, when there is one
+let mouseHeldShapes = null;        // The shapes a mouse drag is moving
+let twoHandScaleBase = 1;
+let twistStartAngle = null;
+let twistStartQuaternion = null;
+let autoRotateShapes = true;
 let shapeCreatedThisPinch = false;
 let lastShapeCreationTime = 0;
-const shapeCreationCooldown = 1000;
 let isApplicationRunning = false;
 let handsInitialized = false;
 
@@ -211,21 +349,23 @@ const initApp = () => {
       document.body.appendChild(threeContainer);
     }
     
-    // Check for THREE.js availability with dynamic loading fallback
-    if (typeof THREE === 'undefined') {
-      updateStatus('Loading THREE.js...');
-      return loadScript('https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js')
-        .then(() => {
-          console.log('THREE.js loaded dynamically');
-          return continueInitialization();
-        })
-        .catch(error => {
-          showError(`Failed to load THREE.js: ${error.message}`);
-          return Promise.reject(error);
-        });
-    } else {
+    // Settle the settings and the asset source, then load THREE.js from it
+    return loadConfig().then(resolveAssetSource).then(() => {
+      registerServiceWorker();
+      if (typeof THREE === 'undefined') {
+        updateStatus('Loading THREE.js...');
+        return loadScriptFrom(getAssetUrls('three'))
+          .then(() => {
+            console.log('THREE.js loaded dynamically');
+            return continueInitialization();
+          })
+          .catch(error => {
+            showError(`Failed to load THREE.js: ${error.message}`);
+            return Promise.reject(error);
+          });
+      }
       return continueInitialization();
-    }
+    });
   } catch (error) {
     console.error('Critical initialization error:', error);
     showError(`Critical error: ${error.message}`);
@@ -244,28 +384,304 @@ const loadScript = (url) => {
   });
 };
 
+// Try each URL in turn until one loads
+const loadScriptFrom = async (urls) => {
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      await loadScript(url);
+      return url;
+    } catch (error) {
+      console.warn(`Failed to load ${url}, trying the next source:`, error);
+      lastError = error;
+    }
+  }
+  throw lastError || new Error('No source to load the script from');
+};
+
+// Settings (see config.js). Each source overrides the ones before it: the JSON config file
+// (?config=<url>, else config.json when there is one), gesture calibration, the settings panel
+// (kept in localStorage) and finally URL parameters such as ?pickRadius=2.
+const SETTINGS_KEY = 'shape-creator-settings';
+
+const readStoredSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (error) {
+    console.warn('Ignoring stored settings:', error);
+    return {};
+  }
+};
+
+const configSources = {
+  file: {},
+  calibration: {},
+  panel: readStoredSettings(),
+  url: configuration.parseConfigParams(new URLSearchParams(window.location.search))
+};
+
+// The live settings; updated in place, so it can be read from anywhere at any time
+const config = { ...configuration.defaultConfig };
+
+// Merges the sources into config and returns the messages for values that were rejected
+const resolveConfig = () => {
+  const { config: merged, errors } = configuration.mergeConfig(configuration.defaultConfig, ...Object.values(configSources));
+  Object.assign(config, merged);
+  return errors;
+};
+
+const getHandsOptions = () => ({
+  maxNumHands: config.maxNumHands,
+  modelComplexity: Math.min(config.modelComplexity, getTrackingQuality().modelComplexity),
+  minDetectionConfidence: config.minDetectionConfidence,
+  minTrackingConfidence: config.minTrackingConfidence
+});
+
+// The running tracker takes option changes without restarting
+const updateHandsOptions = () => {
+  if (tracker) {
+    tracker.setOptions(getHandsOptions());
+  }
+};
+
+// Resolves the settings again and updates what was built from the old values. Camera and
+// asset settings only take effect on the next load.
+const applyConfig = () => {
+  const previousColors = config.neonColors;
+  const errors = resolveConfig();
+  
+  updateHandsOptions();
+  // Keep the bin image where isInRecycleBinZone looks for it
+  if (recycleBinElement) {
+    Object.assign(recycleBinElement.style, {
+      width: `${config.recycleBinWidth}px`,
+      height: `${config.recycleBinHeight}px`,
+      right: `${config.recycleBinMargin}px`,
+      bottom: `${config.recycleBinMargin}px`
+    });
+  }
+  if (config.neonColors.join() !== previousColors.join() && document.getElementById('shape-palette')) {
+    document.getElementById('shape-palette').remove();
+    createPaletteUI();
+  }
+  updateGridHelper();
+  const snapButton = document.getElementById('snap-toggle');
+  if (snapButton) {
+    snapButton.textContent = `Snap: ${config.snapping ? 'On' : 'Off'}`;
+  }
+  const physicsButton = document.getElementById('physics-toggle');
+  if (physicsButton) {
+    physicsButton.textContent = `Physics: ${config.physics ? 'On' : 'Off'}`;
+  }
+  const hudButton = document.getElementById('hud-toggle');
+  if (hudButton) {
+    hudButton.textContent = `HUD: ${config.performanceHud ? 'On' : 'Off'}`;
+  }
+  // Without adaptive quality everything runs at full quality
+  if (!config.adaptiveQuality && (qualityState.render.level !== 0 || qualityState.tracking.level !== 0)) {
+    setQualityState({ render: quality.initialQualityState(), tracking: quality.initialQualityState() });
+  }
+  updatePerfHud();
+  // Turning physics off stops everything where it is
+  if (!config.physics) {
+    shapes.forEach(shape => shapeVelocities.delete(shape));
+  }
+  return errors;
+};
+
+const loadConfig = async () => {
+  const params = new URLSearchParams(window.location.search);
+  const url = params.get('config') || 'config.json';
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (response.ok) {
+      configSources.file = configuration.parseConfigFile(await response.text());
+      logDebug(`Settings loaded from ${url}`);
+    } else if (params.has('config')) {
+      console.warn(`Could not load config file ${url} (HTTP ${response.status})`);
+    }
+  } catch (error) {
+    console.warn(`Could not load config file ${url}:`, error);
+  }
+  
+  const errors = applyConfig();
+  errors.forEach(message => console.warn(`${message} - using the previous value`));
+  if (errors.length > 0) {
+    logDebug(`Ignored ${errors.length} invalid setting(s), see the console`);
+  }
+};
+
+// Settings panel changes: checked against the current settings, saved and applied straight away.
+// Throws if any value is invalid, leaving everything as it was.
+const updateSettings = (values) => {
+  const { errors } = configuration.mergeConfig(config, values);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  configSources.panel = { ...configSources.panel, ...values };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(configSources.panel));
+  applyConfig();
+};
+
+// The toggles write to the panel's layer too, which a URL parameter overrides. For a setting
+// given in the URL they would save a change that never shows, so they say why instead.
+const isSetInUrl = (key, name) => {
+  if (!(key in configSources.url)) return false;
+  updateStatus(`${name} is set in the URL`);
+  return true;
+};
+
+const resetSettings = () => {
+  configSources.panel = {};
+  localStorage.removeItem(SETTINGS_KEY);
+  applyConfig();
+  updateStatus('Settings reset');
+};
+
+// One field per setting; a change is applied as soon as the field loses focus
+const toggleSettingsPanel = () => {
+  const existing = document.getElementById('settings-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  
+  const buttonStyle = 'background: #00FFFF; color: black; border: none; padding: 8px; margin: 3px; border-radius: 3px; cursor: pointer;';
+  const panel = document.createElement('div');
+  panel.id = 'settings-panel';
+  panel.style.cssText = 'position: fixed; top: 20px; right: 190px; max-height: calc(100vh - 40px); overflow-y: auto; background: rgba(0,0,0,0.85); color: white; padding: 15px; border-radius: 5px; z-index: 1000; font-family: sans-serif; font-size: 12px;';
+  
+  const fields = Object.entries(configuration.configSchema).map(([key, spec]) => {
+    let input;
+    if (spec.type === 'enum') {
+      input = `<select data-setting="${key}">${spec.values.map(value => `<option value="${value}">${value}</option>`).join('')}</select>`;
+    } else if (spec.type === 'number' || spec.type === 'integer') {
+      input = `<input type="number" data-setting="${key}" min="${spec.min}" max="${spec.max}" step="${spec.type === 'integer' ? 1 : 0.01}" style="width: 80px;">`;
+    } else if (spec.type === 'boolean') {
+      input = `<input type="checkbox" data-setting="${key}">`;
+    } else {
+      input = `<input type="text" data-setting="${key}" style="width: 180px;">`;
+    }
+    const note = spec.reload ? ' <span style="color: #999;">(on reload)</span>' : '';
+    return `<label style="display: flex; justify-content: space-between; align-items: center; gap: 10px; margin: 4px 0;"><span>${spec.label}${note}</span>${input}</label>`;
+  }).join('');
+  
+  panel.innerHTML = `
+    <div style="margin-bottom: 8px;">Settings</div>
+    ${fields}
+    <div id="settings-error" style="color: #FF6666; margin: 6px 0; max-width: 360px;"></div>
+    <button id="settings-reset" style="${buttonStyle}" title="Forget the changes made here; the config file, calibration and URL still apply">Reset</button>
+  `;
+  
+  const errorLine = panel.querySelector('#settings-error');
+  const showValues = () => {
+    panel.querySelectorAll('[data-setting]').forEach(input => {
+      const key = input.dataset.setting;
+      if (input.type === 'checkbox') {
+        input.checked = config[key];
+      } else {
+        input.value = configuration.formatConfigValue(key, config[key]);
+      }
+      // URL parameters win over the panel, so those fields can't be changed here
+      input.disabled = key in configSources.url;
+      input.title = input.disabled ? 'Set in the URL' : '';
+    });
+  };
+  
+  panel.querySelectorAll('[data-setting]').forEach(input => {
+    input.addEventListener('change', () => {
+      const key = input.dataset.setting;
+      try {
+        updateSettings({ [key]: input.type === 'checkbox' ? input.checked : configuration.parseConfigText(key, input.value) });
+        errorLine.textContent = '';
+      } catch (error) {
+        errorLine.textContent = error.message;
+      }
+      showValues();
+    });
+  });
+  panel.querySelector('#settings-reset').addEventListener('click', () => {
+    resetSettings();
+    errorLine.textContent = '';
+    showValues();
+  });
+  
+  // Keep typing in the fields from reaching the canvas shortcuts
+  panel.addEventListener('keydown', (event) => event.stopPropagation());
+  
+  document.body.appendChild(panel);
+  showValues();
+};
+
+// Where three.js and MediaPipe come from: the assetSource setting, 'cdn', 'local' (the copy
+// `npm run vendor` puts in assetPath, for running with no internet) or 'auto' (local whenever
+// that copy is there). ?assets=cdn|local|auto and ?assetPath=<dir> set it from the URL.
+let assetSource = 'cdn';
+
+const resolveAssetSource = async () => {
+  assetSource = config.assetSource;
+  if (assetSource === 'auto') {
+    try {
+      const response = await fetch(`${config.assetPath}/${assets.localManifestFile}`, { method: 'HEAD', cache: 'no-cache' });
+      assetSource = response.ok ? 'local' : 'cdn';
+    } catch (error) {
+      assetSource = 'cdn';
+    }
+  }
+  logDebug(`Loading assets from ${assetSource === 'local' ? config.assetPath : 'the CDN'}`);
+  return assetSource;
+};
+
+const getAssetUrls = (name) => assets.getAssetUrls(name, { source: assetSource, localPath: config.assetPath });
+
+// sw.js precaches the app and the local assets so everything keeps working offline after the first load
+const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+  navigator.serviceWorker.register(`sw.js?assetPath=${encodeURIComponent(config.assetPath)}`)
+    .then(() => logDebug('Service worker registered'))
+    .catch(error => console.warn('Service worker registration failed:', error));
+};
+
 // Continue initialization after ensuring dependencies
 const continueInitialization = () => {
   // Create status indicator
   createStatusIndicator();
   
-  // Load dependencies in sequence with fallbacks
-  return loadDependencies()
+  // A recording (?replay=) stands in for the camera and MediaPipe
+  const replay = getReplayOptions();
+  
+  // Hand tracking scripts load with the tracker that uses them (see initHandTracking)
+  return Promise.resolve()
     .then(() => initThree())
     .then(() => {
-      // Try to initialize MediaPipe, but continue even if it fails
-      return initMediaPipeHands()
+      setupKeyboardShortcuts();
+      setupFileDrop();
+      setupGestureActions();
+      
+      // Don't wait on the restore prompt; autosave stays paused until it is answered
+      offerSessionRestore();
+      
+      if (replay) {
+        isApplicationRunning = true;
+        return runReplayMode(replay);
+      }
+      
+      // Try to initialize hand tracking, but continue even if it fails
+      return initHandTracking()
         .catch(error => {
-          console.warn('MediaPipe initialization failed, continuing in offline mode:', error);
+          console.warn('Hand tracking initialization failed, continuing in offline mode:', error);
           enableOfflineMode();
           return Promise.resolve(); // Continue initialization
+        })
+        // A tracker that doesn't look at the camera (the replay one) has no use for it
+        .then(() => (tracker && !tracker.usesImage ? undefined : initCamera()))
+        .then(() => {
+          isApplicationRunning = true;
+          updateStatus('Ready! Use pinch gestures or mouse to interact with shapes.');
+          if (tracker) runTrackingLoop();
         });
     })
-    .then(() => initCamera())
-    .then(() => {
-      isApplicationRunning = true;
-      updateStatus('Ready! Use pinch gestures or mouse to interact with shapes.');
-    })
     .catch(error => {
       console.error('Error in initialization sequence:', error);
       showError(`Error initializing application: ${error.message}`);
@@ -274,49 +690,6 @@ const continueInitialization = () => {
     });
 };
 
-// Load required dependencies
-const loadDependencies = async () => {
-  updateStatus('Loading dependencies...');
-  
-  const dependencies = [
-    { 
-      name: 'MediaPipe Hands', 
-      check: () => typeof Hands !== 'undefined',
-      url: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/hands.min.js',
-      fallbackUrl: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.min.js'
-    },
-    { 
-      name: 'MediaPipe Camera', 
-      check: () => typeof Camera !== 'undefined',
-      url: 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils@0.3/camera_utils.js',
-      fallbackUrl: 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js'
-    }
-  ];
-  
-  for (const dep of dependencies) {
-    if (!dep.check()) {
-      updateStatus(`Loading ${dep.name}...`);
-      try {
-        await loadScript(dep.url);
-        console.log(`${dep.name} loaded successfully`);
-      } catch (error) {
-        console.warn(`Failed to load ${dep.name} from primary URL, trying fallback:`, error);
-        try {
-          await loadScript(dep.fallbackUrl);
-          console.log(`${dep.name} loaded from fallback URL`);
-        } catch (fallbackError) {
-          console.error(`Failed to load ${dep.name}:`, fallbackError);
-          // Continue without throwing to attempt offline mode
-        }
-      }
-    } else {
-      console.log(`${dep.name} already loaded`);
-    }
-  }
-  
-  return Promise.resolve();
-};
-
 // Create status indicator for user feedback
 const createStatusIndicator = () => {
   const statusElement = document.createElement('div');
@@ -352,7 +725,8 @@ const showError = (message) => {
       retryButton.textContent = 'Retry';
       retryButton.style.cssText = 'margin-top: 15px; padding: 8px 16px; background: white; color: black; border: none; border-radius: 4px; cursor: pointer;';
       retryButton.onclick = () => {
-        window.location.reload();
+        // Make sure the latest changes are stored before the page goes away
+        flushAutosave().then(() => window.location.reload());
       };
       errorElement.appendChild(document.createElement('br'));
       errorElement.appendChild(retryButton);
@@ -362,20 +736,54 @@ const showError = (message) => {
   updateStatus('Error encountered');
 };
 
+// A recoverable error, like a file that can't be loaded: shown until dismissed while the app
+// carries on. showError is for failures it can't run past.
+const showNotice = (message) => {
+  const existing = document.getElementById('error-notice');
+  if (existing) existing.remove();
+  const notice = document.createElement('div');
+  notice.id = 'error-notice';
+  notice.style.cssText = 'position: fixed; top: 10px; left: 50%; transform: translateX(-50%); background: rgba(200, 0, 0, 0.85); color: white; padding: 10px; border-radius: 5px; z-index: 1000; max-width: 400px;';
+  notice.textContent = message;
+  const dismissButton = document.createElement('button');
+  dismissButton.textContent = 'Dismiss';
+  dismissButton.style.cssText = 'display: block; margin-top: 8px; background: white; color: black; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer;';
+  dismissButton.onclick = () => notice.remove();
+  notice.appendChild(dismissButton);
+  document.body.appendChild(notice);
+  updateStatus(message);
+};
+
 // THREE.js initialization with error handling
 // Modified version of initThree with better camera and renderer setup
+const createSceneAndCamera = (aspect) => {
+  // Create new scene
+  scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x000000);
+  
+  // Set up camera with proper positioning
+  camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+  camera.position.z = 5;  // Position camera 5 units back from origin
+  camera.lookAt(0, 0, 0);  // Look at the center
+};
+
+// The interaction logic without a renderer, webcam or overlay: just the scene, the camera and the
+// hand pipeline, for driving the app from Node (tests, recorded landmark playback). Hands are
+// read against a width x height image.
+const initHeadless = ({ width = 1280, height = 720 } = {}) => {
+  createSceneAndCamera(width / height);
+  canvas = { width, height };
+  ctx = null;
+  setupGestureActions();
+  debugLogging = false;
+  isApplicationRunning = true;
+};
+
 const initThree = async () => {
   try {
     updateStatus('Initializing 3D environment...');
     
-    // Create new scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x000000);
-    
-    // Set up camera with proper positioning
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.z = 5;  // Position camera 5 units back from origin
-    camera.lookAt(0, 0, 0);  // Look at the center
+    createSceneAndCamera(window.innerWidth / window.innerHeight);
     
     // Try to create WebGL renderer with fallback options
     try {
@@ -411,9 +819,8 @@ const initThree = async () => {
     threeCanvas.innerHTML = '';  // Clear any existing content
     threeCanvas.appendChild(renderer.domElement);
     
-    // Add some grid helpers for orientation
-    const gridHelper = new THREE.GridHelper(20, 20, 0x555555, 0x333333);
-    scene.add(gridHelper);
+    // Add some grid helpers for orientation (the grid shows the snapping step while snapping is on)
+    updateGridHelper();
     
     // Add axis helper to show orientation (RGB = XYZ)
     const axisHelper = new THREE.AxesHelper(3);
@@ -430,6 +837,8 @@ const initThree = async () => {
     
     // Create debug visuals
     createDebugUI();
+    createPaletteUI();
+    createSelectionUI();
     
     // Start animation loop
     animate();
@@ -449,156 +858,379 @@ const initThree = async () => {
 };
 
 // More informative animation loop with stats
+let lastFrameTime = null;
+
+// Shapes a hand, the two-hand gesture or the mouse is moving
+const isHeldNow = (shape) => shape === currentShape || isHeldByHand(shape) ||
+  [twoHandStartTransforms, mouseHeldShapes].some(held => held && held.has(shape));
+
 const animate = () => {
   if (!isApplicationRunning) return;
   
   requestAnimationFrame(animate);
   try {
-    // Animate all shapes except the selected one
+    const now = performance.now();
+    if (lastFrameTime !== null) recordTiming('frame', now - lastFrameTime);
+    pumpHandResults(now);
+    if (config.physics) {
+      advancePhysics(lastFrameTime === null ? 0 : (now - lastFrameTime) / 1000);
+    }
+    lastFrameTime = now;
+    
+    // Animate all shapes except the ones being held
     shapes.forEach(shape => {
-      if (shape !== selectedShape) {
+      if (autoRotateShapes && !isHeldNow(shape)) {
         shape.rotation.x += 0.01;
         shape.rotation.y += 0.01;
       }
     });
+    shapeIndexStale = true;
     
     // Render the scene
     if (renderer && scene && camera) {
+      updateInstancedRendering();
       renderer.render(scene, camera);
+      const rendered = performance.now();
+      recordTiming('render', rendered - now);
+      if (landmarksReceivedAt !== null) {
+        recordTiming('lag', rendered - landmarksReceivedAt);
+        landmarksReceivedAt = null;
+      }
     }
+    countFrame(now);
+    adaptQuality(now);
   } catch (error) {
     console.error('Animation error:', error);
     // Don't stop animation loop for minor errors
   }
 };
 
-// Enhanced two-hand gesture detection
-const handleTwoHandGesture = (l, r) => {
-  if (!l || !r || l.length < 21 || r.length < 21) {
-    logDebug('Incomplete landmark data for two-hand gesture');
+// Two-hand pinch (both hands pinching): create a shape when the index fingers start together,
+// otherwise grab the shape between them; then scale by hand spread and twist about the view axis.
+// Subscribed to the two-hand-pinch-* gesture events in setupGestureActions.
+const drawTwoHandFeedback = ({ left, right, center, indexesClose }) => {
+  if (!ctx || !canvas) return;
+  
+  // Draw connecting line
+  ctx.beginPath();
+  ctx.moveTo(left.x * canvas.width, left.y * canvas.height);
+  ctx.lineTo(right.x * canvas.width, right.y * canvas.height);
+  ctx.strokeStyle = 'rgba(255, 255, 0, 0.7)';
+  ctx.lineWidth = 5;
+  ctx.stroke();
+  
+  // Draw center point
+  ctx.beginPath();
+  ctx.arc(center.x * canvas.width, center.y * canvas.height, 20, 0, 2 * Math.PI);
+  ctx.fillStyle = indexesClose ? 'rgba(0, 255, 0, 0.5)' : 'rgba(255, 255, 0, 0.5)';
+  ctx.fill();
+};
+
+const beginTwoHandGesture = (gesture) => {
+  const { center, distance, twistAngle, indexesClose, time: now } = gesture;
+  drawTwoHandFeedback(gesture);
+  
+  // The second hand pinching a shape the first one holds pulls off a copy; the first hand
+  // keeps dragging the original. Otherwise a hand that holds a shape goes on with it, and the
+  // other picks up its own.
+  if (handDrags.size > 0) {
+    const [first, second] = gesture.hands;
+    for (const drag of handDrags.values()) {
+      const other = drag.hand === first ? second : first;
+      const otherTip = other === first ? gesture.left : gesture.right;
+      if (!handDrags.has(other) && findNearestShape(otherTip.x, otherTip.y) === drag.shape) {
+        duplicateShapes([...drag.startTransforms.keys()]);
+        spentPinches.add(other);
+        logDebug('Duplicated the held shape');
+        updateStatus('Shape duplicated');
+        return;
+      }
+    }
     return;
   }
   
-  // Check for pinch gestures on both hands
-  const leftPinch = isPinch(l);
-  const rightPinch = isPinch(r);
-  const indexesClose = areIndexFingersClose(l, r);
+  // Starting a new pinch gesture
+  logDebug("Starting new two-hand pinch gesture");
+  isPinching = true;
   
-  logDebug(`Two hands - Left pinch: ${leftPinch}, Right pinch: ${rightPinch}, Indexes close: ${indexesClose}`);
+  // Ensure recycle bin is not active during creation/scaling
+  if (recycleBinElement) {
+    recycleBinElement.classList.remove('active');
+  }
   
-  // Both hands pinching = creation or scaling gesture
-  if (leftPinch && rightPinch) {
-    // Get the index finger positions
-    const left = l[8];
-    const right = r[8];
-    if (!left || !right) return;
+  // Create a new shape if fingers are close enough and cooldown has passed
+  if (!shapeCreatedThisPinch && indexesClose && now - lastShapeCreationTime > config.shapeCreationCooldown) {
+    logDebug(`Creating shape at center point (${center.x.toFixed(3)}, ${center.y.toFixed(3)})`);
     
-    // Calculate center point between index fingers
-    const centerX = (left.x + right.x) / 2;
-    const centerY = (left.y + right.y) / 2;
+    // Convert 2D normalized coordinates to 3D world coordinates
+    const position = get3DCoords(center.x, center.y);
     
-    // Calculate distance between index fingers (for scaling)
-    const distance = Math.hypot(left.x - right.x, left.y - right.y);
+    // Creation and the scaling that follows in this pinch form one undo step
+    beginHistoryGroup();
     
-    // Draw visual feedback for the gesture
-    if (ctx && canvas) {
-      // Draw connecting line
-      ctx.beginPath();
-      ctx.moveTo(left.x * canvas.width, left.y * canvas.height);
-      ctx.lineTo(right.x * canvas.width, right.y * canvas.height);
-      ctx.strokeStyle = 'rgba(255, 255, 0, 0.7)';
-      ctx.lineWidth = 5;
-      ctx.stroke();
-      
-      // Draw center point
-      ctx.beginPath();
-      ctx.arc(centerX * canvas.width, centerY * canvas.height, 20, 0, 2 * Math.PI);
-      ctx.fillStyle = indexesClose ? 'rgba(0, 255, 0, 0.5)' : 'rgba(255, 255, 0, 0.5)';
-      ctx.fill();
-    }
+    // Create the shape and get reference
+    currentShape = createShapeFromPalette(position);
     
-    if (!isPinching) {
-      // Starting a new pinch gesture
-      logDebug("Starting new two-hand pinch gesture");
-      const now = Date.now();
-      
-      // Create a new shape if fingers are close enough and cooldown has passed
-      if (!shapeCreatedThisPinch && indexesClose && now - lastShapeCreationTime > shapeCreationCooldown) {
-        logDebug(`Creating shape at center point (${centerX.toFixed(3)}, ${centerY.toFixed(3)})`);
-        
-        // Convert 2D normalized coordinates to 3D world coordinates
-        const position = get3DCoords(centerX, centerY);
-        
-        // Create the shape and get reference
-        currentShape = createRandomShape(position);
-        
-        // Update state if shape was created successfully
-        if (currentShape) {
-          lastShapeCreationTime = now;
-          shapeCreatedThisPinch = true;
-          originalDistance = distance;
-          
-          // Log success
-          logDebug(`Shape created: ${currentShape.uuid}`);
-        } else {
-          logDebug("Shape creation failed!");
-        }
-      }
-    } else if (currentShape && originalDistance) {
-      // Already pinching, perform scaling
-      logDebug(`Scaling shape (original: ${originalDistance.toFixed(3)}, current: ${distance.toFixed(3)})`);
+    // Update state if shape was created successfully
+    if (currentShape) {
+      twoHandStartTransform = captureTransform(currentShape);
+      lastShapeCreationTime = now;
+      shapeCreatedThisPinch = true;
+      originalDistance = distance;
       
-      // Calculate scale factor
-      shapeScale = distance / originalDistance;
+      // New shapes scale from unit size
+      twoHandScaleBase = 1;
       
-      // Apply scaling to the shape
-      currentShape.scale.set(shapeScale, shapeScale, shapeScale);
-      
-      // Update status
-      updateStatus(`Scaling shape (${shapeScale.toFixed(2)}x)`);
+      // Log success
+      logDebug(`Shape created: ${currentShape.uuid}`);
+    } else {
+      logDebug("Shape creation failed!");
     }
-    
-    // Update state
-    isPinching = true;
-    
-    // Ensure recycle bin is not active during creation/scaling
-    if (recycleBinElement) {
-      recycleBinElement.classList.remove('active');
+  } else if (!currentShape) {
+    // Hands apart: grab the shape between them to scale and twist it
+    currentShape = findNearestShape(center.x, center.y);
+    if (currentShape) {
+      twoHandStartTransform = captureTransform(currentShape);
+      twoHandScaleBase = currentShape.scale.x;
+      originalDistance = distance;
+      // A selected shape brings the rest of the selection along, scaled about their center
+      if (selection.has(currentShape) && selection.size > 1) {
+        twoHandStartTransforms = captureTransforms(getSelectedShapes());
+      }
+      logDebug(`Two-hand grab: ${currentShape.uuid}`);
     }
-    
-    return true; // Signal that we handled a two-hand gesture
+  }
+  
+  if (currentShape) {
+    twistStartAngle = twistAngle;
+    twistStartQuaternion = currentShape.quaternion.clone();
+  } else {
+    // Nothing made or grabbed between the hands: each pinch goes on as a one-hand one
+    isPinching = false;
+  }
+};
+
+const updateTwoHandGesture = (gesture) => {
+  const { distance, twistAngle } = gesture;
+  drawTwoHandFeedback(gesture);
+  if (!currentShape || !originalDistance) return;
+  
+  // Calculate scale factor
+  shapeScale = getSnappedScale(twoHandScaleBase * distance / originalDistance);
+  
+  // Twist: rotate about the view axis by how far the line between the hands has turned.
+  // Image y points down, so the world rotation runs the other way.
+  let twist = twistAngle - twistStartAngle;
+  twist = Math.atan2(Math.sin(twist), Math.cos(twist));
+  const twistQuaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -twist);
+  
+  if (twoHandStartTransforms) {
+    // A selection turns in whole snap steps about its center
+    if (config.snapping && config.rotationSnapDegrees > 0) {
+      twistQuaternion.setFromAxisAngle(new THREE.Vector3(0, 0, 1), -snapping.snapAngles({ x: 0, y: 0, z: twist }, config.rotationSnapDegrees).z);
+    }
+    transformShapes(twoHandStartTransforms, getCenter([...twoHandStartTransforms.values()]), {
+      factor: shapeScale / twoHandScaleBase,
+      rotation: twistQuaternion
+    });
   } else {
-    logDebug("Two hands visible but not both pinching");
+    // Apply scaling to the shape
+    currentShape.scale.set(shapeScale, shapeScale, shapeScale);
+    if (twistStartQuaternion) {
+      currentShape.quaternion.copy(snapRotation(twistQuaternion.multiply(twistStartQuaternion)));
+    }
   }
+  markSceneChanged();
   
-  return false; // No two-hand gesture was handled
+  // Update status
+  updateStatus(`Scaling shape (${shapeScale.toFixed(2)}x)`);
 };
 
-// Update the main handler
-const handleHandResults = (results) => {
-  try {
-    if (!isApplicationRunning || !ctx || !canvas) return;
-    
-    // Clear previous drawings
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Safety check for results content
-    if (!results || !results.multiHandLandmarks) {
+// The whole two-hand pinch is one undo step
+const endTwoHandGesture = () => {
+  if (currentShape) logDebug(`Two-hand pinch ended at ${shapeScale.toFixed(2)}x`);
+  if (twoHandStartTransforms) {
+    recordTransformChanges(twoHandStartTransforms, 'Transform shapes');
+  } else if (currentShape && twoHandStartTransform) {
+    recordTransformChange(currentShape, twoHandStartTransform, 'Transform shape');
+  }
+  endHistoryGroup();
+  twoHandStartTransform = null;
+  twoHandStartTransforms = null;
+  twistStartAngle = null;
+  twistStartQuaternion = null;
+  isPinching = false;
+  shapeCreatedThisPinch = false;
+  originalDistance = null;
+  currentShape = null;
+};
+
+// One-hand pinch: grab the nearest shape no other hand holds (on the first pinching frame near
+// one) and drag it with the index tip, turning it with the palm. Each hand drags its own, by hand
+// ID: { hand, shape, startTransforms (every shape the drag moves), startHandQuaternion,
+// startShapeQuaternion, depth (see startDepthDrag), inBin }.
+const handDrags = new Map();
+const spentPinches = new Set();  // Hands whose pinch pulled off a copy; they grab nothing until they let go
+
+const isHeldByHand = (shape) => [...handDrags.values()].some(drag => drag.startTransforms.has(shape));
+
+// selectedShape is the shape of the first hand still holding one
+const syncSelectedShape = () => {
+  const [first] = handDrags.values();
+  selectedShape = first ? first.shape : null;
+};
+
+// The bin lights up while any hand's shape is over it
+const updateRecycleBinHighlight = () => {
+  if (recycleBinElement) {
+    recycleBinElement.classList.toggle('active', [...handDrags.values()].some(drag => drag.inBin));
+  }
+};
+
+const startHandDrag = (hand, landmarks, shape) => {
+  // The selection comes along when the grabbed shape is in it, less what other hands hold
+  const drag = {
+    hand,
+    shape,
+    startTransforms: captureTransforms(getDragSet(shape).filter(other => !isHeldByHand(other))),
+    startHandQuaternion: getPalmQuaternion(landmarks),
+    startShapeQuaternion: shape.quaternion.clone(),
+    depth: startDepthDrag(landmarks, shape),
+    inBin: false
+  };
+  handDrags.set(hand, drag);
+  syncSelectedShape();
+  logDebug(`Selected shape: ${shape.uuid}`);
+  updateStatus('Shape selected');
+  return drag;
+};
+
+// Logs only on the pinch's first frame and when a shape is grabbed or let go, not every frame
+const updateHandDrag = ({ hand, landmarks }, { starting = false } = {}) => {
+  // Two-hand gestures take over while both hands pinch
+  if (isPinching || spentPinches.has(hand)) return;
+  
+  // Get index finger tip position
+  const indexTip = landmarks[8];
+  
+  // If this hand holds nothing yet, try to find the nearest shape
+  let drag = handDrags.get(hand);
+  if (!drag) {
+    const shape = findNearestShape(indexTip.x, indexTip.y, candidate => !isHeldByHand(candidate));
+    if (!shape) {
+      if (starting) logDebug("No shape found nearby to select");
       return;
     }
-    
-    // Draw hand landmarks
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-      // Draw landmarks for visualization
-      for (const landmarks of results.multiHandLandmarks) {
-        if (!landmarks || landmarks.length < 21) continue; // Skip if landmark data is incomplete
-        
-        // Draw key points for better visibility
-        const drawCircle = (landmark, size = 10, color = 'rgba(0, 255, 255, 0.7)') => {
-          if (!landmark) return;
-          ctx.beginPath();
-          ctx.arc(landmark.x * canvas.width, landmark.y * canvas.height, size, 0, 2 * Math.PI);
-          ctx.fillStyle = color;
+    drag = startHandDrag(hand, landmarks, shape);
+  }
+  const { shape, startTransforms } = drag;
+  
+  // Convert to 3D space (at the held shape's depth, which follows the hand)
+  const position = get3DCoords(indexTip.x, indexTip.y, updateDepthDrag(drag.depth, landmarks));
+  
+  // Move shape to follow finger position
+  position.copy(getSnappedPosition(shape, position, startTransforms));
+  shape.position.copy(position);
+  
+  // Turn it by however much the palm has turned since the grab
+  const handQuaternion = getPalmQuaternion(landmarks);
+  if (handQuaternion && drag.startHandQuaternion) {
+    const target = handQuaternion.multiply(drag.startHandQuaternion.clone().invert()).multiply(drag.startShapeQuaternion);
+    shape.quaternion.slerp(snapRotation(target), handRotationSmoothing);
+  }
+  followGrabbedShape(startTransforms, shape);
+  markSceneChanged();
+  updateStatus('Moving shape');
+  
+  // Check if shape is over recycle bin, and change wireframe color based on it
+  drag.inBin = isInRecycleBinZone(shape.position);
+  startTransforms.forEach((start, moved) => (drag.inBin ? setWireframeColor(moved, 0xff0000) : resetWireframeColor(moved)));
+  updateRecycleBinHighlight();
+  if (drag.inBin) updateStatus('Release to delete shape');
+};
+
+const drawLasso = ({ points }) => {
+  if (!ctx || !canvas || points.length < 2) return;
+  ctx.beginPath();
+  points.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x * canvas.width, y * canvas.height) : ctx.lineTo(x * canvas.width, y * canvas.height)));
+  ctx.strokeStyle = 'rgba(0, 255, 255, 0.8)';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([10, 6]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+};
+
+const releaseHandDrag = ({ hand }) => {
+  spentPinches.delete(hand);
+  const drag = handDrags.get(hand);
+  if (!drag) return;
+  
+  // Pinch released - handle shape release or deletion
+  finishHandDrag(drag);
+  
+  // The bin stays highlighted only while another hand's shape is over it
+  updateRecycleBinHighlight();
+};
+
+// Application actions for the built-in gestures. More can be added the same way without touching
+// handleHandResults, e.g. onGesture('fist', ...) or onGesture('swipe', ({ direction }) => ...).
+const setupGestureActions = () => {
+  onGesture('two-hand-pinch-start', beginTwoHandGesture);
+  onGesture('two-hand-pinch-move', updateTwoHandGesture);
+  onGesture('two-hand-pinch-end', endTwoHandGesture);
+  
+  onGesture('pinch-start', event => updateHandDrag(event, { starting: true }));
+  onGesture('pinch-move', updateHandDrag);
+  onGesture('pinch-end', releaseHandDrag);
+  
+  // Pointing draws a lasso; the shapes inside it become the selection
+  onGesture('lasso-move', drawLasso);
+  onGesture('lasso-end', ({ points }) => {
+    if (selectedShape || points.length < 3) return;
+    setSelection(findShapesInLasso(points));
+    updateStatus(`${selection.size} shape${selection.size === 1 ? '' : 's'} selected`);
+  });
+  
+  // Peace sign undoes the last change
+  onGesture('victory', () => {
+    if (!selectedShape) undo();
+  });
+};
+
+// Update the main handler
+// This frame's complete hands as { id, label, landmarks }
+const getIdentifiedHands = (results) => results.multiHandLandmarks
+  .map((landmarks, index) => {
+    const handedness = results.multiHandedness && results.multiHandedness[index];
+    return { id: results.handIds[index], label: (handedness && handedness.label) || null, landmarks };
+  })
+  .filter(({ id, landmarks }) => id !== null && landmarks && landmarks.length >= 21);
+
+const handleHandResults = (results, time = performance.now()) => {
+  try {
+    if (!isApplicationRunning || !canvas) return;
+    
+    // Clear previous drawings (there is no overlay when running headless)
+    if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // Safety check for results content
+    if (!results || !results.multiHandLandmarks) {
+      return;
+    }
+    shapeIndexStale = true;
+    
+    // Draw hand landmarks
+    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+      // Draw landmarks for visualization
+      for (const landmarks of results.multiHandLandmarks) {
+        if (!landmarks || landmarks.length < 21) continue; // Skip if landmark data is incomplete
+        
+        // Draw key points for better visibility
+        const drawCircle = (landmark, size = 10, color = 'rgba(0, 255, 255, 0.7)') => {
+          if (!landmark || !ctx) return;
+          ctx.beginPath();
+          ctx.arc(landmark.x * canvas.width, landmark.y * canvas.height, size, 0, 2 * Math.PI);
+          ctx.fillStyle = color;
           ctx.fill();
         };
         
@@ -608,8 +1240,11 @@ const handleHandResults = (results) => {
         // Draw index finger tip
         if (landmarks[8]) drawCircle(landmarks[8], 10, 'rgba(100, 255, 255, 0.8)');
         
+        // Remember where the hand is so picked model files can appear there
+        if (landmarks[8]) lastHandPosition = { position: get3DCoords(landmarks[8].x, landmarks[8].y), time: Date.now() };
+        
         // Check for pinch and draw indicator
-        if (landmarks[4] && landmarks[8] && isPinch(landmarks)) {
+        if (ctx && landmarks[4] && landmarks[8] && isPinch(landmarks)) {
           // Connect thumb and index with a line
           ctx.beginPath();
           ctx.moveTo(landmarks[4].x * canvas.width, landmarks[4].y * canvas.height);
@@ -626,123 +1261,56 @@ const handleHandResults = (results) => {
       }
     }
     
-    // Handle two-hand gestures first (for shape creation and scaling)
-    let twoHandGestureHandled = false;
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length === 2) {
-      twoHandGestureHandled = handleTwoHandGesture(
-        results.multiHandLandmarks[0], 
-        results.multiHandLandmarks[1]
-      );
+    // Calibration samples the hands but must not create or move anything meanwhile
+    latestHandResults = { multiHandLandmarks: results.multiHandLandmarks.filter(landmarks => landmarks && landmarks.length >= 21), time: Date.now() };
+    const hands = getIdentifiedHands(results);
+    recordTipHistory(hands, time);
+    if (calibrationInProgress) {
+      releaseGestureRecognizers(time);
+      return;
     }
     
-    // If two-hand gesture was handled, skip the rest
-    if (twoHandGestureHandled) {
+    // The radial palette menu takes over hand input while it is open
+    if (handleRadialMenu(hands, time)) {
+      releaseGestureRecognizers(time);
       return;
     }
     
-    // If we reach here, we're not in a two-hand pinch gesture
-    isPinching = false;
-    shapeCreatedThisPinch = false;
-    originalDistance = null;
-    currentShape = null;
-    
-    // Process single-hand gestures (for shape selection and movement)
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-      for (const landmarks of results.multiHandLandmarks) {
-        if (!landmarks || landmarks.length < 21 || !landmarks[8]) continue;
-        
-        // Get index finger tip position
-        const indexTip = landmarks[8];
-        
-        // Convert to 3D space
-        const position = get3DCoords(indexTip.x, indexTip.y);
-        
-        // Check for pinch gesture (thumb and index finger)
-        if (isPinch(landmarks)) {
-          logDebug("Single hand pinch detected");
-          
-          // If no shape is selected, try to find the nearest one
-          if (!selectedShape) {
-            selectedShape = findNearestShape(position);
-            if (selectedShape) {
-              logDebug(`Selected shape: ${selectedShape.uuid}`);
-              updateStatus('Shape selected');
-            } else {
-              logDebug("No shape found nearby to select");
-            }
-          }
-          
-          // If a shape is selected, move it
-          if (selectedShape) {
-            // Move shape to follow finger position
-            selectedShape.position.copy(position);
-            logDebug(`Moving shape to (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
-            updateStatus('Moving shape');
-            
-            // Check if shape is over recycle bin
-            const inBin = isInRecycleBinZone(selectedShape.position);
-            
-            // Change wireframe color based on bin position
-            selectedShape.children.forEach(child => {
-              if (child.material && child.material.wireframe) {
-                child.material.color.set(inBin ? 0xff0000 : 0xffffff);
-              }
-            });
-            
-            // Highlight recycle bin if shape is over it
-            if (recycleBinElement) {
-              if (inBin) {
-                recycleBinElement.classList.add('active');
-                updateStatus('Release to delete shape');
-              } else {
-                recycleBinElement.classList.remove('active');
-              }
-            }
-          }
-        } else {
-          // Pinch released - handle shape release or deletion
-          if (selectedShape) {
-            // Check if shape should be deleted
-            if (isInRecycleBinZone(selectedShape.position)) {
-              scene.remove(selectedShape);
-              shapes = shapes.filter(s => s !== selectedShape);
-              logDebug("Shape deleted in recycle bin");
-              updateStatus('Shape deleted');
-            } else {
-              logDebug("Shape released");
-              updateStatus('Shape released');
-            }
-            
-            // Clear selection
-            selectedShape = null;
-          }
-          
-          // Ensure recycle bin is not highlighted
-          if (recycleBinElement) {
-            recycleBinElement.classList.remove('active');
-          }
-        }
-      }
-    } else {
-      // No hands detected - clean up any state
-      if (selectedShape && isInRecycleBinZone(selectedShape.position)) {
-        scene.remove(selectedShape);
-        shapes = shapes.filter(s => s !== selectedShape);
-        updateStatus('Shape deleted');
-      }
-      
-      selectedShape = null;
-      
-      if (recycleBinElement) {
-        recycleBinElement.classList.remove('active');
-      }
-    }
+    // Recognizers turn the hands into gesture events; setupGestureActions maps them to actions
+    runGestureRecognizers(hands, time);
   } catch (error) {
     console.error('Error in hand tracking results handler:', error);
     logDebug(`Hand tracking error: ${error.message}`);
   }
 };
 
+// End a one-hand drag as a single undo step: a move, or a delete if it was dropped in the bin
+const finishHandDrag = (drag) => {
+  const { shape, startTransforms } = drag;
+  const dragged = [...startTransforms.keys()];
+  handDrags.delete(drag.hand);
+  syncSelectedShape();
+  
+  // Check if shape should be deleted
+  if (isInRecycleBinZone(shape.position)) {
+    deleteShapes(dragged, startTransforms);
+    logDebug("Shape deleted in recycle bin");
+    updateStatus(dragged.length > 1 ? `${dragged.length} shapes deleted` : 'Shape deleted');
+  } else {
+    recordTransformChanges(startTransforms, 'Move shape');
+    dragged.forEach(resetWireframeColor);
+    logDebug("Shape released");
+    updateStatus('Shape released');
+    // In physics mode the shapes fly off at the speed the hand was moving
+    if (config.physics) {
+      const velocity = getThrowVelocity(drag.hand, shape.position.z);
+      dragged.forEach(released => getVelocity(released).copy(velocity));
+    }
+  }
+  
+  hideAlignmentGuides();
+};
+
 const handleWindowResize = () => {
   try {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -776,11 +1344,12 @@ const cleanup = () => {
   }
 };
 
-const neonColors = [0xFF00FF, 0x00FFFF, 0xFF3300, 0x39FF14, 0xFF0099, 0x00FF00, 0xFF6600, 0xFFFF00];
+// Shapes cycle through the neonColors setting
 let colorIndex = 0;
 
 const getNextNeonColor = () => {
-  const color = neonColors[colorIndex];
+  const { neonColors } = config;
+  const color = neonColors[colorIndex % neonColors.length];
   colorIndex = (colorIndex + 1) % neonColors.length;
   return color;
 };
@@ -823,6 +1392,179 @@ const createDebugUI = () => {
     testButton.onclick = createTestShape;
     document.body.appendChild(testButton);
   }
+  
+  // Create scene save/load buttons
+  if (!document.getElementById('save-scene')) {
+    const saveButton = document.createElement('button');
+    saveButton.id = 'save-scene';
+    saveButton.textContent = 'Save Scene';
+    saveButton.style.cssText = 'position: fixed; bottom: 200px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    saveButton.onclick = saveSceneToFile;
+    document.body.appendChild(saveButton);
+  }
+  
+  if (!document.getElementById('load-scene')) {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.onchange = () => {
+      if (fileInput.files[0]) loadSceneFromFile(fileInput.files[0]);
+      fileInput.value = '';
+    };
+    document.body.appendChild(fileInput);
+    
+    const loadButton = document.createElement('button');
+    loadButton.id = 'load-scene';
+    loadButton.textContent = 'Load Scene';
+    loadButton.style.cssText = 'position: fixed; bottom: 250px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    loadButton.onclick = () => fileInput.click();
+    document.body.appendChild(loadButton);
+  }
+  
+  // Create snapshot browser button for rolling back autosaved states
+  if (!document.getElementById('restore-snapshot')) {
+    const snapshotButton = document.createElement('button');
+    snapshotButton.id = 'restore-snapshot';
+    snapshotButton.textContent = 'Snapshots';
+    snapshotButton.style.cssText = 'position: fixed; bottom: 300px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    snapshotButton.onclick = openSnapshotBrowser;
+    document.body.appendChild(snapshotButton);
+  }
+  
+  // Create export button (GLB / glTF / OBJ)
+  if (!document.getElementById('export-scene')) {
+    const exportButton = document.createElement('button');
+    exportButton.id = 'export-scene';
+    exportButton.textContent = 'Export';
+    exportButton.style.cssText = 'position: fixed; bottom: 350px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    exportButton.onclick = toggleExportPanel;
+    document.body.appendChild(exportButton);
+  }
+  
+  // Create model import button (GLB / glTF / OBJ / STL, also accepted by drag-and-drop)
+  if (!document.getElementById('import-model')) {
+    const modelInput = document.createElement('input');
+    modelInput.type = 'file';
+    modelInput.accept = '.glb,.gltf,.obj,.stl';
+    modelInput.multiple = true;
+    modelInput.style.display = 'none';
+    modelInput.onchange = () => {
+      Array.from(modelInput.files).forEach(file => importModelFile(file, getImportPosition()));
+      modelInput.value = '';
+    };
+    document.body.appendChild(modelInput);
+    
+    const importButton = document.createElement('button');
+    importButton.id = 'import-model';
+    importButton.textContent = 'Import Model';
+    importButton.style.cssText = 'position: fixed; bottom: 400px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    importButton.onclick = () => modelInput.click();
+    document.body.appendChild(importButton);
+  }
+  
+  // Create idle rotation toggle
+  if (!document.getElementById('auto-rotate')) {
+    const rotateButton = document.createElement('button');
+    rotateButton.id = 'auto-rotate';
+    rotateButton.textContent = `Auto-Rotate: ${autoRotateShapes ? 'On' : 'Off'}`;
+    rotateButton.style.cssText = 'position: fixed; bottom: 450px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    rotateButton.onclick = () => setAutoRotate(!autoRotateShapes);
+    document.body.appendChild(rotateButton);
+  }
+  
+  // Create depth calibration button
+  if (!document.getElementById('calibrate-depth')) {
+    const calibrateButton = document.createElement('button');
+    calibrateButton.id = 'calibrate-depth';
+    calibrateButton.textContent = 'Calibrate Depth';
+    calibrateButton.style.cssText = 'position: fixed; bottom: 500px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    calibrateButton.onclick = runDepthCalibration;
+    document.body.appendChild(calibrateButton);
+  }
+  
+  // Create gesture calibration button (Shift+click goes back to the default thresholds)
+  if (!document.getElementById('calibrate-gestures')) {
+    const gestureButton = document.createElement('button');
+    gestureButton.id = 'calibrate-gestures';
+    gestureButton.textContent = 'Calibrate Gestures';
+    gestureButton.title = 'Shift+click to reset to the default thresholds';
+    gestureButton.style.cssText = 'position: fixed; bottom: 550px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    gestureButton.onclick = (event) => event.shiftKey ? resetGestureCalibration() : runGestureCalibration();
+    document.body.appendChild(gestureButton);
+  }
+  
+  // Create hand recording / replay button
+  if (!document.getElementById('record-replay')) {
+    const replayButton = document.createElement('button');
+    replayButton.id = 'record-replay';
+    replayButton.textContent = 'Record / Replay';
+    replayButton.style.cssText = 'position: fixed; bottom: 600px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    replayButton.onclick = toggleReplayPanel;
+    document.body.appendChild(replayButton);
+  }
+  
+  // Create settings button
+  if (!document.getElementById('settings')) {
+    const settingsButton = document.createElement('button');
+    settingsButton.id = 'settings';
+    settingsButton.textContent = 'Settings';
+    settingsButton.style.cssText = 'position: fixed; bottom: 650px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    settingsButton.onclick = toggleSettingsPanel;
+    document.body.appendChild(settingsButton);
+  }
+  
+  // Create snapping toggle
+  if (!document.getElementById('snap-toggle')) {
+    const snapButton = document.createElement('button');
+    snapButton.id = 'snap-toggle';
+    snapButton.textContent = `Snap: ${config.snapping ? 'On' : 'Off'}`;
+    snapButton.disabled = 'snapping' in configSources.url;
+    snapButton.title = snapButton.disabled ? 'Set in the URL' : 'G';
+    snapButton.style.cssText = 'position: fixed; bottom: 700px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    snapButton.onclick = () => setSnapping(!config.snapping);
+    document.body.appendChild(snapButton);
+  }
+  
+  // Create physics toggle
+  if (!document.getElementById('physics-toggle')) {
+    const physicsButton = document.createElement('button');
+    physicsButton.id = 'physics-toggle';
+    physicsButton.textContent = `Physics: ${config.physics ? 'On' : 'Off'}`;
+    physicsButton.disabled = 'physics' in configSources.url;
+    physicsButton.title = physicsButton.disabled ? 'Set in the URL' : 'P';
+    physicsButton.style.cssText = 'position: fixed; bottom: 750px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    physicsButton.onclick = () => setPhysics(!config.physics);
+    document.body.appendChild(physicsButton);
+  }
+  
+  // Create stress test toggle
+  if (!document.getElementById('stress-toggle')) {
+    const stressButton = document.createElement('button');
+    stressButton.id = 'stress-toggle';
+    stressButton.textContent = `Stress Test: ${stressShapes ? 'On' : 'Off'}`;
+    stressButton.style.cssText = 'position: fixed; bottom: 800px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    stressButton.onclick = () => setStressTest(!stressShapes);
+    document.body.appendChild(stressButton);
+  }
+  
+  // Create performance HUD toggle, and the HUD under the shape counter
+  if (!document.getElementById('hud-toggle')) {
+    const hudButton = document.createElement('button');
+    hudButton.id = 'hud-toggle';
+    hudButton.textContent = `HUD: ${config.performanceHud ? 'On' : 'Off'}`;
+    hudButton.disabled = 'performanceHud' in configSources.url;
+    hudButton.title = hudButton.disabled ? 'Set in the URL' : 'H';
+    hudButton.style.cssText = 'position: fixed; bottom: 850px; right: 20px; padding: 10px; background: rgba(0,0,0,0.7); color: white; border: none; border-radius: 5px; cursor: pointer;';
+    hudButton.onclick = () => setPerformanceHud(!config.performanceHud);
+    document.body.appendChild(hudButton);
+  }
+  if (!document.getElementById('perf-hud')) {
+    const hud = document.createElement('div');
+    hud.id = 'perf-hud';
+    hud.style.cssText = 'position: fixed; top: 60px; right: 10px; background: rgba(0,0,0,0.7); color: #00ff00; padding: 10px; border-radius: 5px; z-index: 1000; font-family: monospace; white-space: pre; display: none;';
+    document.body.appendChild(hud);
+  }
 };
 
 // Reset camera to default position
@@ -831,10 +1573,14 @@ const resetCamera = () => {
   camera.lookAt(0, 0, 0);
   updateStatus('Camera reset to default position');
   
-  // Make all shapes visible again by bringing them to center
+  // Make all shapes visible again by bringing them to center (undoable as one step)
+  beginHistoryGroup();
   shapes.forEach(shape => {
+    const before = captureTransform(shape);
     shape.position.set(0, 0, 0);
+    recordTransformChange(shape, before, 'Reset shape positions');
   });
+  endHistoryGroup();
 };
 
 // Create a test shape at the center to verify rendering
@@ -849,8 +1595,12 @@ const createTestShape = () => {
   }
 };
 
-// Update debug logging
+// Update debug logging. Headless runs (tests, playback from Node) turn it off, as every gesture
+// step logs.
+let debugLogging = true;
+
 const logDebug = (message) => {
+  if (!debugLogging) return;
   console.log('[DEBUG] ' + message);
   
   const debugPanel = document.getElementById('debug-panel');
@@ -865,183 +1615,3617 @@ const logDebug = (message) => {
     }
   }
   
-  // Update shape counter
-  const shapeCounter = document.getElementById('shape-counter');
-  if (shapeCounter) {
-    shapeCounter.textContent = `Shapes: ${shapes.length}`;
+  // Update shape counter
+  const shapeCounter = document.getElementById('shape-counter');
+  if (shapeCounter) {
+    shapeCounter.textContent = `Shapes: ${shapes.length}`;
+  }
+};
+
+// Text shapes use the helvetiker font; until it has loaded they show a flat placeholder
+const defaultShapeText = 'Hello';
+const maxShapeTextLength = 40;
+let textFont = null;
+let textFontPromise = null;
+
+const loadTextFont = () => {
+  if (!textFontPromise) {
+    // Each source in turn until one loads
+    const loadFrom = ([url, ...rest]) => new Promise((resolve, reject) => {
+      new THREE.FontLoader().load(url, resolve, undefined, reject);
+    }).catch(error => (rest.length > 0 ? loadFrom(rest) : Promise.reject(error)));
+    
+    textFontPromise = loadFrom(getAssetUrls('font'))
+      .then(font => {
+        textFont = font;
+        refreshTextShapes();
+        return font;
+      })
+      .catch(error => {
+        console.warn('Failed to load text font:', error);
+        textFontPromise = null;
+      });
+  }
+  return textFontPromise;
+};
+
+const createTextGeometry = (text) => {
+  if (!textFont) {
+    loadTextFont();
+    return new THREE.PlaneGeometry(Math.max(0.4, text.length * 0.25), 0.4);
+  }
+  const geometry = new THREE.TextGeometry(text, { font: textFont, size: 0.4, height: 0.1, curveSegments: 4 });
+  geometry.center();
+  return geometry;
+};
+
+// Swap placeholder geometry for real text once the font is available
+const refreshTextShapes = () => {
+  // Text shapes can sit inside groups
+  const placeholders = [];
+  const owners = new Set();
+  shapes.forEach(shape => shape.traverse(object => {
+    if (!object.userData.textPlaceholder) return;
+    placeholders.push(object);
+    owners.add(shape);
+  }));
+  placeholders.forEach(shape => {
+    const geometry = createTextGeometry(shape.userData.text);
+    shape.children.forEach(child => {
+      if (!child.isMesh) return;
+      child.geometry.dispose();
+      child.geometry = geometry;
+    });
+    delete shape.userData.textPlaceholder;
+  });
+  // New geometry, new bounds
+  owners.forEach(shape => shapeRadii.delete(shape));
+  if (placeholders.length > 0) shapeIndex = null;
+};
+
+// Capsule = cylinder with hemispherical caps, built as a lathe (three r128 has no CapsuleGeometry)
+const createCapsuleGeometry = (radius, length, capSegments = 8, radialSegments = 24) => {
+  const points = [];
+  for (let i = 0; i <= capSegments; i++) {
+    const angle = -Math.PI / 2 + (i / capSegments) * (Math.PI / 2);
+    points.push(new THREE.Vector2(radius * Math.cos(angle), -length / 2 + radius * Math.sin(angle)));
+  }
+  for (let i = 0; i <= capSegments; i++) {
+    const angle = (i / capSegments) * (Math.PI / 2);
+    points.push(new THREE.Vector2(radius * Math.cos(angle), length / 2 + radius * Math.sin(angle)));
+  }
+  return new THREE.LatheGeometry(points, radialSegments);
+};
+
+// Geometry factories for every shape type, keyed by the name stored in saved scenes
+const shapeGeometryFactories = {
+  Box: () => new THREE.BoxGeometry(1, 1, 1),
+  Sphere: () => new THREE.SphereGeometry(0.5, 32, 32),
+  Cone: () => new THREE.ConeGeometry(0.5, 1, 32),
+  Cylinder: () => new THREE.CylinderGeometry(0.5, 0.5, 1, 32),
+  Torus: () => new THREE.TorusGeometry(0.5, 0.2, 16, 32),
+  Tetrahedron: () => new THREE.TetrahedronGeometry(0.6),
+  Dodecahedron: () => new THREE.DodecahedronGeometry(0.6),
+  Icosahedron: () => new THREE.IcosahedronGeometry(0.6),
+  TorusKnot: () => new THREE.TorusKnotGeometry(0.4, 0.12, 64, 8),
+  Capsule: () => createCapsuleGeometry(0.3, 0.5),
+  Plane: () => new THREE.PlaneGeometry(1, 1),
+  Text: ({ text }) => createTextGeometry(text)
+};
+const shapeTypes = Object.keys(shapeGeometryFactories);
+
+// Shared GPU resources: every shape of a primitive type uses the same geometry, and every mesh
+// with the same look the same material, so many shapes cost a few dozen buffers and programs and
+// the instanced path can batch them. Text and imported models own their geometry, which
+// disposeShape frees. Shared resources live as long as the page.
+const sharedGeometries = new Map();   // Shape type to geometry
+const sharedMaterials = new Map();    // Look to material
+const sharedResources = new WeakSet();
+
+const getShapeGeometry = (type, options) => {
+  if (type === 'Text') return shapeGeometryFactories.Text(options);
+  if (!sharedGeometries.has(type)) {
+    const geometry = shapeGeometryFactories[type](options);
+    sharedResources.add(geometry);
+    sharedGeometries.set(type, geometry);
+  }
+  return sharedGeometries.get(type);
+};
+
+const getSharedMaterial = (key, create) => {
+  if (!sharedMaterials.has(key)) {
+    const material = create();
+    sharedResources.add(material);
+    sharedMaterials.set(key, material);
+  }
+  return sharedMaterials.get(key);
+};
+
+// Semi-transparent, both sides of faces
+const getFillMaterial = (color, opacity) => getSharedMaterial(
+  `fill_${new THREE.Color(color).getHexString()}_${opacity}`,
+  () => new THREE.MeshBasicMaterial({ color, transparent: true, opacity, side: THREE.DoubleSide })
+);
+
+const getWireframeMaterial = (color) => getSharedMaterial(
+  `wireframe_${new THREE.Color(color).getHexString()}`,
+  () => new THREE.MeshBasicMaterial({ color, wireframe: true, wireframeLinewidth: 2 })
+);
+
+// Free what a shape (and a group's members) own once it can't come back
+const disposeShape = (shape) => {
+  const owned = new Set();
+  shape.traverse(object => {
+    [object.geometry, object.material].forEach(resource => {
+      if (resource && !sharedResources.has(resource)) owned.add(resource);
+    });
+  });
+  owned.forEach(resource => resource.dispose());
+};
+const randomShapeTypes = shapeTypes.filter(type => type !== 'Text');  // Text needs content, so 'random' skips it
+const defaultShapeOpacity = 0.6;
+const defaultShapeScale = 1.5;
+
+// Build the fill + wireframe group for a shape type (not added to the scene).
+// Imported models pass their own geometry.
+const buildShapeGroup = ({ type, color, opacity = defaultShapeOpacity, geometry = null, text = defaultShapeText }) => {
+  // Create a group to hold our shape parts
+  const group = new THREE.Group();
+  group.userData.shapeType = type;
+  if (type === 'Text') {
+    group.userData.text = text;
+    group.userData.textPlaceholder = !textFont;
+  }
+  
+  if (!geometry) {
+    geometry = getShapeGeometry(type, { text });
+  }
+  
+  // Create the filled mesh with semi-transparency
+  const fillMesh = new THREE.Mesh(geometry, getFillMaterial(color, opacity));
+  
+  // Create wireframe outline for better visibility
+  const wireframeMesh = new THREE.Mesh(geometry, getWireframeMaterial(0xffffff));
+  
+  // Add both meshes to the group
+  group.add(fillMesh);
+  group.add(wireframeMesh);
+  
+  return group;
+};
+
+// Public API for creating a shape. `type` and `color` may be 'random' for a random
+// geometry and the next neon color; `scale` is a number or a vector.
+const createShape = ({ type = 'random', color = 'random', position = new THREE.Vector3(), scale = defaultShapeScale, opacity = defaultShapeOpacity, text = shapePalette.text } = {}) => {
+  try {
+    logDebug(`Creating shape at position (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
+    
+    // Verify that THREE.js is available
+    if (typeof THREE === 'undefined') {
+      logDebug('ERROR: THREE.js not available');
+      return null;
+    }
+    
+    // Verify that scene exists
+    if (!scene) {
+      logDebug('ERROR: scene not available');
+      return null;
+    }
+    
+    const shapeType = type === 'random' ? randomShapeTypes[Math.floor(Math.random() * randomShapeTypes.length)] : type;
+    if (!shapeGeometryFactories[shapeType]) {
+      throw new Error(`Unknown shape type "${type}"`);
+    }
+    
+    const group = buildShapeGroup({
+      type: shapeType,
+      color: color === 'random' ? getNextNeonColor() : color,
+      opacity,
+      text: String(text).slice(0, maxShapeTextLength) || defaultShapeText
+    });
+    
+    // Set position and size
+    group.position.copy(position);
+    if (typeof scale === 'number') {
+      group.scale.setScalar(scale);
+    } else {
+      group.scale.copy(scale);
+    }
+    
+    // Add to scene and store shape in our array (as an undoable step)
+    executeCommand(createShapeCommand(group));
+    
+    // Log creation success with details
+    logDebug(`Created ${shapeType} shape (${shapes.length} total)`);
+    updateStatus(`Created ${shapeType} shape (${shapes.length} total)`);
+    
+    // Create visual feedback effect
+    createFeedbackEffect(position);
+    
+    return group;
+  } catch (error) {
+    console.error('Error creating shape:', error);
+    logDebug(`ERROR creating shape: ${error.message}`);
+    updateStatus('Failed to create shape');
+    return null;
+  }
+};
+
+// Random geometry and the next neon color
+const createRandomShape = (position) => createShape({ type: 'random', color: 'random', position });
+
+// Create whatever is currently chosen in the palette
+const createShapeFromPalette = (position) => createShape({
+  type: shapePalette.type,
+  color: shapePalette.color,
+  text: shapePalette.text,
+  position
+});
+
+// Remove every shape from the scene for good and reset any in-progress interaction
+const clearAllShapes = () => {
+  shapes.forEach(shape => {
+    scene.remove(shape);
+    disposeShape(shape);
+  });
+  shapes = [];
+  shapeIndex = null;
+  handDrags.clear();
+  selectedShape = null;
+  currentShape = null;
+  clearSelection();
+  markSceneChanged();
+};
+
+// Shape palette: what the next gesture/mouse-created shape will be
+const shapePalette = { type: 'random', color: 'random', text: defaultShapeText };
+
+const paletteColorToCss = (color) => (color === 'random' ? 'transparent' : `#${new THREE.Color(color).getHexString()}`);
+
+const setPaletteSelection = (changes) => {
+  Object.assign(shapePalette, changes);
+  if (shapePalette.type === 'Text') {
+    loadTextFont();
+  }
+  updatePaletteUI();
+  const colorName = shapePalette.color === 'random' ? 'random' : paletteColorToCss(shapePalette.color);
+  updateStatus(`Next shape: ${shapePalette.type} (${colorName})`);
+};
+
+// Highlight the current choices in the palette panel
+const updatePaletteUI = () => {
+  const panel = document.getElementById('shape-palette');
+  if (!panel) return;
+  panel.querySelectorAll('[data-type]').forEach(button => {
+    button.style.outline = button.dataset.type === shapePalette.type ? '2px solid white' : 'none';
+  });
+  panel.querySelectorAll('[data-color]').forEach(button => {
+    button.style.outline = button.dataset.color === String(shapePalette.color) ? '2px solid white' : 'none';
+  });
+  const textInput = panel.querySelector('#palette-text');
+  textInput.style.display = shapePalette.type === 'Text' ? 'block' : 'none';
+};
+
+const createPaletteUI = () => {
+  if (document.getElementById('shape-palette')) return;
+  
+  const panel = document.createElement('div');
+  panel.id = 'shape-palette';
+  panel.style.cssText = 'position: fixed; top: 50%; left: 10px; transform: translateY(-50%); background: rgba(0,0,0,0.7); color: white; padding: 10px; border-radius: 5px; z-index: 1000; font-family: sans-serif; font-size: 12px; width: 150px;';
+  
+  const buttonStyle = 'margin: 2px; padding: 4px 6px; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+  const typeButtons = ['random', ...shapeTypes].map(type => (
+    `<button data-type="${type}" style="${buttonStyle} background: #333; color: white;">${type === 'random' ? 'Random' : type}</button>`
+  )).join('');
+  const colorButtons = ['random', ...config.neonColors].map(color => (
+    `<button data-color="${color}" title="${color === 'random' ? 'Next neon color' : paletteColorToCss(color)}" style="${buttonStyle} width: 22px; height: 22px; background: ${color === 'random' ? 'linear-gradient(45deg, #FF00FF, #00FFFF, #FFFF00)' : paletteColorToCss(color)};"></button>`
+  )).join('');
+  
+  panel.innerHTML = `
+    <div style="margin-bottom: 4px;">Shape</div>
+    <div>${typeButtons}</div>
+    <input id="palette-text" type="text" maxlength="${maxShapeTextLength}" value="${shapePalette.text}" style="display: none; width: 130px; margin: 4px 2px;">
+    <div style="margin: 8px 0 4px;">Color</div>
+    <div>${colorButtons}<input id="palette-custom-color" type="color" title="Custom color" style="width: 26px; height: 26px; margin: 2px; padding: 0; border: none; vertical-align: middle;"></div>
+  `;
+  
+  panel.querySelectorAll('[data-type]').forEach(button => {
+    button.addEventListener('click', () => setPaletteSelection({ type: button.dataset.type }));
+  });
+  panel.querySelectorAll('[data-color]').forEach(button => {
+    const color = button.dataset.color;
+    button.addEventListener('click', () => setPaletteSelection({ color: color === 'random' ? 'random' : Number(color) }));
+  });
+  panel.querySelector('#palette-custom-color').addEventListener('input', (event) => {
+    setPaletteSelection({ color: parseInt(event.target.value.slice(1), 16) });
+  });
+  panel.querySelector('#palette-text').addEventListener('input', (event) => {
+    shapePalette.text = event.target.value;
+  });
+  
+  // Keep typing in the text field from reaching the canvas shortcuts
+  panel.addEventListener('keydown', (event) => event.stopPropagation());
+  
+  document.body.appendChild(panel);
+  updatePaletteUI();
+};
+
+// Radial menu: hold an open palm still to open it, point at a slice and pinch to choose.
+// The first ring picks the geometry, the second the color; pinching in the center closes it.
+const radialMenuHoldTime = 1200;
+const radialMenuStillDistance = 0.03;
+const radialMenu = {
+  open: false,
+  page: 'type',
+  center: null,
+  hoverIndex: -1,
+  hand: null,         // ID of the hand that opened the menu, which works it
+  palmAnchor: null,
+  palmStillSince: 0,
+  wasPinching: false,
+  waitForRelease: false,
+  lastHandTime: 0
+};
+
+const getRadialMenuItems = () => (radialMenu.page === 'type' ? ['random', ...shapeTypes] : ['random', ...config.neonColors]);
+
+const getRadialMenuRadii = () => {
+  const size = Math.min(canvas.width, canvas.height);
+  return { inner: size * 0.07, outer: size * 0.28 };
+};
+
+// All four fingers extended
+const isOpenPalm = (landmarks) => {
+  if (!landmarks || landmarks.length < 21) return false;
+  return [[8, 6], [12, 10], [16, 14], [20, 18]].every(([tip, pip]) => isFingerExtended(landmarks, tip, pip)) && !isPinch(landmarks);
+};
+
+const closeRadialMenu = () => {
+  radialMenu.open = false;
+  radialMenu.palmAnchor = null;
+  // The closing pinch must be released before it can grab a shape
+  radialMenu.waitForRelease = true;
+  updateStatus(`Next shape: ${shapePalette.type}`);
+};
+
+const selectRadialMenuItem = (index) => {
+  if (index < 0) {
+    closeRadialMenu();
+    return;
+  }
+  
+  const item = getRadialMenuItems()[index];
+  if (radialMenu.page === 'type') {
+    setPaletteSelection({ type: item });
+    radialMenu.page = 'color';
+    radialMenu.hoverIndex = -1;
+  } else {
+    setPaletteSelection({ color: item });
+    closeRadialMenu();
+  }
+};
+
+// Text on the overlay has to be flipped back because the canvas is mirrored with CSS
+const drawMirroredText = (text, x, y) => {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.scale(-1, 1);
+  ctx.fillText(text, 0, 0);
+  ctx.restore();
+};
+
+const drawRadialMenu = () => {
+  if (!ctx) return;
+  const items = getRadialMenuItems();
+  const { inner, outer } = getRadialMenuRadii();
+  const cx = radialMenu.center.x * canvas.width;
+  const cy = radialMenu.center.y * canvas.height;
+  const slice = (2 * Math.PI) / items.length;
+  
+  ctx.font = '14px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  
+  items.forEach((item, index) => {
+    const start = index * slice;
+    ctx.beginPath();
+    ctx.arc(cx, cy, outer, start, start + slice);
+    ctx.arc(cx, cy, inner, start + slice, start, true);
+    ctx.closePath();
+    
+    const hovered = index === radialMenu.hoverIndex;
+    if (radialMenu.page === 'color' && item !== 'random') {
+      ctx.fillStyle = paletteColorToCss(item);
+      ctx.globalAlpha = hovered ? 1 : 0.6;
+    } else {
+      ctx.fillStyle = hovered ? 'rgba(0, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.6)';
+    }
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = hovered ? 4 : 1;
+    ctx.stroke();
+    
+    if (radialMenu.page === 'type' || item === 'random') {
+      const labelRadius = (inner + outer) / 2;
+      ctx.fillStyle = 'white';
+      drawMirroredText(item === 'random' ? 'Random' : item, cx + Math.cos(start + slice / 2) * labelRadius, cy + Math.sin(start + slice / 2) * labelRadius);
+    }
+  });
+  
+  ctx.beginPath();
+  ctx.arc(cx, cy, inner, 0, 2 * Math.PI);
+  ctx.fillStyle = radialMenu.hoverIndex === -1 ? 'rgba(0, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.6)';
+  ctx.fill();
+  ctx.fillStyle = 'white';
+  drawMirroredText('Done', cx, cy);
+};
+
+// Progress ring while the open palm is being held still
+const drawRadialMenuProgress = (progress) => {
+  if (!ctx) return;
+  ctx.beginPath();
+  ctx.arc(radialMenu.palmAnchor.x * canvas.width, radialMenu.palmAnchor.y * canvas.height, 30, -Math.PI / 2, -Math.PI / 2 + progress * 2 * Math.PI);
+  ctx.strokeStyle = 'rgba(0, 255, 255, 0.8)';
+  ctx.lineWidth = 6;
+  ctx.stroke();
+};
+
+// Returns true when the radial menu consumed this frame of hand input ({ id, label, landmarks }
+// for each hand, see getIdentifiedHands)
+const handleRadialMenu = (hands, now) => {
+  if (radialMenu.waitForRelease) {
+    if (hands.some(({ landmarks }) => isPinch(landmarks))) return true;
+    radialMenu.waitForRelease = false;
+  }
+  
+  if (!radialMenu.open) {
+    const palmHand = !selectedShape && !isPinching ? hands.find(({ landmarks }) => isOpenPalm(landmarks)) : null;
+    if (!palmHand) {
+      radialMenu.palmAnchor = null;
+      return false;
+    }
+    
+    // Restart the hold timer whenever the palm moves, or another hand's palm takes over
+    const palm = palmHand.landmarks[9];
+    const anchor = radialMenu.palmAnchor;
+    if (!anchor || anchor.hand !== palmHand.id || Math.hypot(palm.x - anchor.x, palm.y - anchor.y) > radialMenuStillDistance) {
+      radialMenu.palmAnchor = { x: palm.x, y: palm.y, hand: palmHand.id };
+      radialMenu.palmStillSince = now;
+      return false;
+    }
+    
+    const progress = (now - radialMenu.palmStillSince) / radialMenuHoldTime;
+    if (progress < 1) {
+      drawRadialMenuProgress(progress);
+      return false;
+    }
+    
+    Object.assign(radialMenu, { open: true, page: 'type', center: anchor, hoverIndex: -1, hand: palmHand.id, wasPinching: false, lastHandTime: now });
+    logDebug('Radial menu opened');
+    updateStatus('Point at a shape and pinch to choose');
+  }
+  
+  // Close the menu if the hands have been gone for a while
+  if (hands.length === 0) {
+    if (now - radialMenu.lastHandTime > 1000) {
+      closeRadialMenu();
+    } else {
+      drawRadialMenu();
+    }
+    return true;
+  }
+  radialMenu.lastHandTime = now;
+  
+  // Pointing picks the slice; keep the previous choice while pinching since the fingertip moves.
+  // When the hand that opened the menu has gone, whichever is left takes over.
+  const current = hands.find(({ id }) => id === radialMenu.hand) || hands[0];
+  radialMenu.hand = current.id;
+  const hand = current.landmarks;
+  const pinching = isPinch(hand);
+  if (!pinching) {
+    const dx = hand[8].x * canvas.width - radialMenu.center.x * canvas.width;
+    const dy = hand[8].y * canvas.height - radialMenu.center.y * canvas.height;
+    const slice = (2 * Math.PI) / getRadialMenuItems().length;
+    radialMenu.hoverIndex = Math.hypot(dx, dy) < getRadialMenuRadii().inner
+      ? -1
+      : Math.floor(((Math.atan2(dy, dx) + 2 * Math.PI) % (2 * Math.PI)) / slice);
+  }
+  if (pinching && !radialMenu.wasPinching) {
+    selectRadialMenuItem(radialMenu.hoverIndex);
+  }
+  radialMenu.wasPinching = pinching;
+  
+  if (radialMenu.open) {
+    drawRadialMenu();
+  }
+  return true;
+};
+
+// Command history: every change to the shapes is a command with do/undo so it can be reverted
+const maxHistorySize = 100;
+const historyMergeWindow = 1000;  // Consecutive mergeable edits (e.g. wheel scaling) within this window share one step
+let undoStack = [];
+let redoStack = [];
+let pendingHistoryGroup = null;   // Commands collected during a gesture, pushed as one step
+
+const addShapeToScene = (shape, index = shapes.length) => {
+  scene.add(shape);
+  shapes.splice(Math.min(index, shapes.length), 0, shape);
+  // Grouping and ungrouping add shapes whose members changed
+  shapeRadii.delete(shape);
+  shapeIndex = null;
+};
+
+const removeShapesFromScene = (shapeList) => {
+  const removed = new Set(shapeList);
+  removed.forEach(shape => scene.remove(shape));
+  shapes = shapes.filter(s => !removed.has(s));
+  shapeIndex = null;
+  handDrags.forEach((drag, hand) => {
+    if (removed.has(drag.shape)) handDrags.delete(hand);
+  });
+  syncSelectedShape();
+  if (removed.has(currentShape)) currentShape = null;
+  if (shapeList.filter(shape => selection.delete(shape)).length > 0) updateSelectionUI();
+};
+
+const removeShapeFromScene = (shape) => removeShapesFromScene([shape]);
+
+// Colors the outline of a shape, and of every shape in a group
+const setWireframeColor = (shape, color) => {
+  shape.traverse(child => {
+    if (child.material && child.material.wireframe) {
+      child.material = getWireframeMaterial(color);
+    }
+  });
+};
+
+const captureTransform = (shape) => ({
+  position: shape.position.clone(),
+  quaternion: shape.quaternion.clone(),
+  scale: shape.scale.clone()
+});
+
+const applyTransform = (shape, transform) => {
+  shape.position.copy(transform.position);
+  shape.quaternion.copy(transform.quaternion);
+  shape.scale.copy(transform.scale);
+};
+
+const transformsEqual = (a, b) => a.position.equals(b.position) && a.quaternion.equals(b.quaternion) && a.scale.equals(b.scale);
+
+// Commands leaving the history for good can free the shapes only they could bring back
+const discardCommands = (commands) => {
+  commands.forEach(command => {
+    if (command.release) command.release();
+  });
+};
+
+const discardRedo = () => {
+  discardCommands(redoStack);
+  redoStack = [];
+};
+
+const pushHistory = (command) => {
+  const committed = !pendingHistoryGroup;
+  if (pendingHistoryGroup) {
+    pendingHistoryGroup.push(command);
+  } else {
+    undoStack.push(command);
+    if (undoStack.length > maxHistorySize) {
+      discardCommands([undoStack.shift()]);
+    }
+  }
+  discardRedo();
+  markSceneChanged({ committed });
+};
+
+// Run a command and record it
+const executeCommand = (command) => {
+  command.do();
+  pushHistory(command);
+};
+
+// Collect everything recorded until endHistoryGroup into a single undo step
+const beginHistoryGroup = () => {
+  if (!pendingHistoryGroup) {
+    pendingHistoryGroup = [];
+  }
+};
+
+const endHistoryGroup = () => {
+  const commands = pendingHistoryGroup;
+  pendingHistoryGroup = null;
+  if (!commands || commands.length === 0) return;
+  
+  pushHistory(commands.length === 1 ? commands[0] : {
+    label: commands[0].label,
+    do: () => commands.forEach(command => command.do()),
+    undo: () => [...commands].reverse().forEach(command => command.undo()),
+    release: () => discardCommands(commands)
+  });
+};
+
+// Run fn with everything it records as one undo step, or as part of the step already collecting
+const withHistoryGroup = (fn) => {
+  const ownGroup = !pendingHistoryGroup;
+  if (ownGroup) beginHistoryGroup();
+  try {
+    return fn();
+  } finally {
+    if (ownGroup) endHistoryGroup();
+  }
+};
+
+const clearHistory = () => {
+  discardCommands([...undoStack, ...redoStack, ...(pendingHistoryGroup || [])]);
+  undoStack = [];
+  redoStack = [];
+  pendingHistoryGroup = null;
+};
+
+// Once no command can put them back, shapes out of the scene are gone for good. Shapes inside
+// groups have a parent and are left to the group.
+const releaseRemovedShapes = (shapeList) => {
+  shapeList.forEach(shape => {
+    if (!shape.parent) disposeShape(shape);
+  });
+};
+
+const createShapeCommand = (shape) => ({
+  label: 'Create shape',
+  do: () => addShapeToScene(shape),
+  undo: () => removeShapeFromScene(shape),
+  release: () => releaseRemovedShapes([shape])
+});
+
+// Deleting restores the shape where it was before the drag that dropped it in the bin
+const deleteShapeCommand = (shape, restoreTransform = null) => {
+  const index = shapes.indexOf(shape);
+  return {
+    label: 'Delete shape',
+    do: () => removeShapeFromScene(shape),
+    undo: () => {
+      if (restoreTransform) applyTransform(shape, restoreTransform);
+      setWireframeColor(shape, 0xffffff);
+      addShapeToScene(shape, index);
+    },
+    release: () => releaseRemovedShapes([shape])
+  };
+};
+
+// Adding and removing many shapes at once (the stress test's thousands) as one command
+const addShapesCommand = (shapeList, label) => ({
+  label,
+  do: () => shapeList.forEach(shape => addShapeToScene(shape)),
+  undo: () => removeShapesFromScene(shapeList),
+  release: () => releaseRemovedShapes(shapeList)
+});
+
+const removeShapesCommand = (shapeList, label) => ({
+  label,
+  do: () => removeShapesFromScene(shapeList),
+  undo: () => shapeList.forEach(shape => addShapeToScene(shape)),
+  release: () => releaseRemovedShapes(shapeList)
+});
+
+const clearShapesCommand = () => removeShapesCommand(shapes.slice(), 'Clear all shapes');
+
+// Fold an edit into the last undo step when it continues it (same mergeKey, soon enough)
+const mergeIntoLastCommand = (mergeKey, after, now) => {
+  const top = undoStack[undoStack.length - 1];
+  if (!mergeKey || pendingHistoryGroup || !top || top.mergeKey !== mergeKey || now - top.time >= historyMergeWindow) {
+    return false;
+  }
+  top.after = after;
+  top.time = now;
+  discardRedo();
+  markSceneChanged();
+  return true;
+};
+
+// Record a move/scale that was already applied live (during a drag), as one step from `before` to now
+const recordTransformChange = (shape, before, label, mergeKey = null) => {
+  if (!before) return;
+  const after = captureTransform(shape);
+  if (transformsEqual(before, after)) return;
+  
+  const now = Date.now();
+  if (mergeIntoLastCommand(mergeKey, after, now)) return;
+  
+  pushHistory({
+    label,
+    mergeKey,
+    time: now,
+    before,
+    after,
+    do() { applyTransform(shape, this.after); },
+    undo() { applyTransform(shape, this.before); }
+  });
+};
+
+const undo = () => {
+  if (pendingHistoryGroup || selectedShape) {
+    updateStatus('Finish the current gesture before undoing');
+    return;
+  }
+  const command = undoStack.pop();
+  if (!command) {
+    updateStatus('Nothing to undo');
+    return;
+  }
+  command.undo();
+  redoStack.push(command);
+  markSceneChanged({ committed: true });
+  logDebug(`Undo: ${command.label}`);
+  updateStatus(`Undo: ${command.label}`);
+};
+
+const redo = () => {
+  if (pendingHistoryGroup || selectedShape) {
+    updateStatus('Finish the current gesture before redoing');
+    return;
+  }
+  const command = redoStack.pop();
+  if (!command) {
+    updateStatus('Nothing to redo');
+    return;
+  }
+  command.do();
+  undoStack.push(command);
+  markSceneChanged({ committed: true });
+  logDebug(`Redo: ${command.label}`);
+  updateStatus(`Redo: ${command.label}`);
+};
+
+// Multi-select: Shift+click, a mouse box or a hand lasso collect shapes, which then move, scale
+// and get deleted together. Grouping turns the selection into one persistent, named shape whose
+// members are its children; ungrouping puts them back in the scene where they are.
+const selectionColor = 0x00ffff;
+const GROUP_SHAPE_TYPE = 'Group';
+const maxGroupNameLength = 40;
+let selection = new Set();
+
+const isGroupShape = (shape) => shape.userData.shapeType === GROUP_SHAPE_TYPE;
+
+// The outline a shape shows when nothing more specific (like the recycle bin) applies
+const resetWireframeColor = (shape) => setWireframeColor(shape, selection.has(shape) ? selectionColor : 0xffffff);
+
+const setSelection = (selected) => {
+  const previous = selection;
+  selection = new Set(selected.filter(shape => shapes.includes(shape)));
+  previous.forEach(resetWireframeColor);
+  selection.forEach(resetWireframeColor);
+  updateSelectionUI();
+};
+
+const toggleSelected = (shape) => {
+  const next = new Set(selection);
+  if (!next.delete(shape)) next.add(shape);
+  setSelection([...next]);
+};
+
+const clearSelection = () => setSelection([]);
+
+// Selected shapes in scene order
+const getSelectedShapes = () => shapes.filter(shape => selection.has(shape));
+
+// What grabbing a shape moves: the whole selection if the shape is part of it, else just the shape
+const getDragSet = (shape) => (selection.has(shape) ? getSelectedShapes() : [shape]);
+
+const captureTransforms = (shapeList) => new Map(shapeList.map(shape => [shape, captureTransform(shape)]));
+
+const getCenter = (shapeList) => shapeList
+  .reduce((sum, shape) => sum.add(shape.position), new THREE.Vector3())
+  .divideScalar(Math.max(shapeList.length, 1));
+
+// Move shapes from their start transforms as one rigid body: turned by rotation and scaled by
+// factor about pivot, then shifted by offset
+const transformShapes = (startTransforms, pivot, { offset = new THREE.Vector3(), rotation = new THREE.Quaternion(), factor = 1 } = {}) => {
+  startTransforms.forEach((start, shape) => {
+    shape.position.copy(start.position).sub(pivot).applyQuaternion(rotation).multiplyScalar(factor).add(pivot).add(offset);
+    shape.quaternion.copy(rotation).multiply(start.quaternion);
+    shape.scale.copy(start.scale).multiplyScalar(factor);
+  });
+};
+
+// Move the rest of a drag set along with the grabbed shape, which has already been moved
+const followGrabbedShape = (startTransforms, grabbed) => {
+  if (startTransforms.size < 2) return;
+  const start = startTransforms.get(grabbed);
+  transformShapes(startTransforms, start.position, {
+    offset: grabbed.position.clone().sub(start.position),
+    rotation: grabbed.quaternion.clone().multiply(start.quaternion.clone().invert())
+  });
+};
+
+// recordTransformChange for several shapes at once (a Map of shape to start transform), as one step
+const recordTransformChanges = (startTransforms, label, mergeKey = null) => {
+  if (startTransforms.size === 1) {
+    const [[shape, before]] = startTransforms;
+    recordTransformChange(shape, before, label, mergeKey);
+    return;
+  }
+  const after = captureTransforms([...startTransforms.keys()]);
+  if ([...startTransforms].every(([shape, before]) => transformsEqual(before, after.get(shape)))) return;
+  
+  // Only continues a step for the very same shapes
+  const setMergeKey = mergeKey && `${mergeKey}:${[...startTransforms.keys()].map(shape => shape.uuid).join(',')}`;
+  const now = Date.now();
+  if (mergeIntoLastCommand(setMergeKey, after, now)) return;
+  
+  pushHistory({
+    label,
+    mergeKey: setMergeKey,
+    time: now,
+    before: new Map(startTransforms),
+    after,
+    do() { this.after.forEach((transform, shape) => applyTransform(shape, transform)); },
+    undo() { this.before.forEach((transform, shape) => applyTransform(shape, transform)); }
+  });
+};
+
+// Delete several shapes as one undo step; undo puts each back at its restoreTransforms entry
+const deleteShapes = (shapeList, restoreTransforms = null) => withHistoryGroup(() => {
+  shapeList.forEach(shape => executeCommand(deleteShapeCommand(shape, restoreTransforms ? restoreTransforms.get(shape) : null)));
+});
+
+// Duplicates keep geometry, color, scale and rotation (and a group's members), a little to the
+// side of the original
+const cloneOffset = new THREE.Vector3(0.4, -0.4, 0);
+
+const cloneShape = (shape) => {
+  const copy = shape.clone();
+  // Materials and primitive geometry are shared anyway; text and model geometry is copied so
+  // each shape can free its own (the fill and outline of a shape share theirs)
+  const copies = new Map();
+  copy.traverse(object => {
+    if (!object.geometry || sharedResources.has(object.geometry)) return;
+    if (!copies.has(object.geometry)) copies.set(object.geometry, object.geometry.clone());
+    object.geometry = copies.get(object.geometry);
+  });
+  setWireframeColor(copy, 0xffffff);
+  if (isGroupShape(copy)) {
+    copy.userData.groupName = `${copy.userData.groupName} copy`.slice(0, maxGroupNameLength);
+  }
+  return copy;
+};
+
+// Add copies of shapes as one undo step and return them, in the same order
+const duplicateShapes = (shapeList, offset = cloneOffset) => withHistoryGroup(() => shapeList.map(shape => {
+  const copy = cloneShape(shape);
+  copy.position.add(offset);
+  executeCommand({ ...createShapeCommand(copy), label: 'Duplicate shape' });
+  createFeedbackEffect(copy.position);
+  return copy;
+}));
+
+const getGroupNames = () => {
+  const names = new Set();
+  shapes.forEach(shape => shape.traverse(object => {
+    if (object.userData.shapeType === GROUP_SHAPE_TYPE) names.add(object.userData.groupName);
+  }));
+  return names;
+};
+
+const nextGroupName = () => {
+  const names = getGroupNames();
+  let number = 1;
+  while (names.has(`Group ${number}`)) number++;
+  return `Group ${number}`;
+};
+
+const createGroupShape = (name) => {
+  const group = new THREE.Group();
+  group.userData.shapeType = GROUP_SHAPE_TYPE;
+  group.userData.groupName = name;
+  return group;
+};
+
+// The group sits at the center of its members, which keep their place in the world
+const groupShapesCommand = (members, name) => {
+  const ordered = shapes.filter(shape => members.includes(shape));
+  const indices = ordered.map(shape => shapes.indexOf(shape));
+  const worldTransforms = captureTransforms(ordered);
+  const pivot = getCenter(ordered);
+  const group = createGroupShape(name);
+  return {
+    label: 'Group shapes',
+    group,
+    do: () => {
+      group.position.copy(pivot);
+      group.quaternion.identity();
+      group.scale.setScalar(1);
+      ordered.forEach(member => {
+        removeShapeFromScene(member);
+        applyTransform(member, worldTransforms.get(member));
+        member.position.sub(pivot);
+        setWireframeColor(member, 0xffffff);
+        group.add(member);
+      });
+      addShapeToScene(group, indices[0]);
+    },
+    undo: () => {
+      removeShapeFromScene(group);
+      ordered.forEach((member, i) => {
+        group.remove(member);
+        applyTransform(member, worldTransforms.get(member));
+        addShapeToScene(member, indices[i]);
+      });
+    }
+  };
+};
+
+// Members get the group's transform baked into their own
+const ungroupShapeCommand = (group) => {
+  const index = shapes.indexOf(group);
+  const members = [...group.children];
+  const localTransforms = captureTransforms(members);
+  group.updateMatrix();
+  const worldTransforms = new Map(members.map(member => {
+    member.updateMatrix();
+    const transform = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() };
+    new THREE.Matrix4().multiplyMatrices(group.matrix, member.matrix).decompose(transform.position, transform.quaternion, transform.scale);
+    return [member, transform];
+  }));
+  return {
+    label: 'Ungroup shapes',
+    do: () => {
+      removeShapeFromScene(group);
+      members.forEach((member, i) => {
+        group.remove(member);
+        applyTransform(member, worldTransforms.get(member));
+        addShapeToScene(member, index + i);
+      });
+    },
+    undo: () => {
+      members.forEach(member => {
+        removeShapeFromScene(member);
+        applyTransform(member, localTransforms.get(member));
+        group.add(member);
+      });
+      addShapeToScene(group, index);
+    }
+  };
+};
+
+const renameGroupCommand = (group, name) => {
+  const previous = group.userData.groupName;
+  return {
+    label: 'Rename group',
+    do: () => { group.userData.groupName = name; updateSelectionUI(); },
+    undo: () => { group.userData.groupName = previous; updateSelectionUI(); }
+  };
+};
+
+// Grouping and deleting wait until no hand is holding anything
+const isShapeHeld = () => {
+  if (pendingHistoryGroup || selectedShape) {
+    updateStatus('Finish the current gesture first');
+    return true;
+  }
+  return false;
+};
+
+const groupSelection = (name = nextGroupName()) => {
+  if (isShapeHeld()) return null;
+  const members = getSelectedShapes();
+  if (members.length < 2) {
+    updateStatus('Select at least two shapes to group');
+    return null;
+  }
+  const command = groupShapesCommand(members, String(name).slice(0, maxGroupNameLength) || nextGroupName());
+  executeCommand(command);
+  setSelection([command.group]);
+  updateStatus(`Grouped ${members.length} shapes as "${command.group.userData.groupName}"`);
+  return command.group;
+};
+
+const ungroupSelection = () => {
+  if (isShapeHeld()) return [];
+  const groups = getSelectedShapes().filter(isGroupShape);
+  if (groups.length === 0) {
+    updateStatus('Select a group to ungroup');
+    return [];
+  }
+  const members = groups.flatMap(group => [...group.children]);
+  withHistoryGroup(() => groups.forEach(group => executeCommand(ungroupShapeCommand(group))));
+  setSelection(members);
+  updateStatus(`Ungrouped ${members.length} shapes`);
+  return members;
+};
+
+const renameGroup = (group, name) => {
+  const trimmed = String(name).trim().slice(0, maxGroupNameLength);
+  if (!isGroupShape(group) || !trimmed || trimmed === group.userData.groupName) return;
+  executeCommand(renameGroupCommand(group, trimmed));
+  updateStatus(`Group renamed to "${trimmed}"`);
+};
+
+// Copies of the selection become the new selection
+const duplicateSelection = () => {
+  if (isShapeHeld()) return [];
+  const selected = getSelectedShapes();
+  if (selected.length === 0) {
+    updateStatus('Select shapes to duplicate');
+    return [];
+  }
+  const copies = duplicateShapes(selected);
+  setSelection(copies);
+  updateStatus(`Duplicated ${copies.length} shape${copies.length === 1 ? '' : 's'}`);
+  return copies;
+};
+
+const deleteSelection = () => {
+  if (isShapeHeld()) return;
+  const selected = getSelectedShapes();
+  if (selected.length === 0) return;
+  deleteShapes(selected);
+  updateStatus(`Deleted ${selected.length} shape${selected.length === 1 ? '' : 's'}`);
+};
+
+// Shapes whose centers show inside a lasso drawn in hand image coordinates
+const findShapesInLasso = (points) => shapes.filter(shape => {
+  const point = coordinates.worldToHand(shape.position, camera ? camera.position.z : null);
+  return point && coordinates.isPointInPolygon(point, points);
+});
+
+// Selection bar: what is selected and what can be done with it
+const createSelectionUI = () => {
+  if (document.getElementById('selection-panel')) return;
+  
+  const buttonStyle = 'background: #00FFFF; color: black; border: none; padding: 6px 8px; margin: 0 3px; border-radius: 3px; cursor: pointer;';
+  const panel = document.createElement('div');
+  panel.id = 'selection-panel';
+  panel.style.cssText = 'position: fixed; top: 10px; left: 50%; transform: translateX(-50%); background: rgba(0,0,0,0.8); color: white; padding: 8px 12px; border-radius: 5px; z-index: 1000; font-family: sans-serif; font-size: 12px; display: none; align-items: center; gap: 4px;';
+  panel.innerHTML = `
+    <span id="selection-count"></span>
+    <input id="selection-group-name" type="text" maxlength="${maxGroupNameLength}" title="Group name" style="width: 110px; margin: 0 4px;">
+    <button id="selection-group" style="${buttonStyle}" title="Ctrl+G">Group</button>
+    <button id="selection-ungroup" style="${buttonStyle}" title="Ctrl+Shift+G">Ungroup</button>
+    <button id="selection-duplicate" style="${buttonStyle}" title="Ctrl+D">Duplicate</button>
+    <button id="selection-delete" style="${buttonStyle}" title="Delete">Delete</button>
+    <button id="selection-clear" style="${buttonStyle}" title="Esc">Deselect</button>
+  `;
+  
+  const nameInput = panel.querySelector('#selection-group-name');
+  nameInput.addEventListener('change', () => {
+    const [group] = getSelectedShapes();
+    if (group) renameGroup(group, nameInput.value);
+  });
+  panel.querySelector('#selection-group').addEventListener('click', () => groupSelection());
+  panel.querySelector('#selection-ungroup').addEventListener('click', ungroupSelection);
+  panel.querySelector('#selection-duplicate').addEventListener('click', duplicateSelection);
+  panel.querySelector('#selection-delete').addEventListener('click', deleteSelection);
+  panel.querySelector('#selection-clear').addEventListener('click', clearSelection);
+  
+  // Keep typing in the name field from reaching the canvas shortcuts
+  panel.addEventListener('keydown', (event) => event.stopPropagation());
+  
+  document.body.appendChild(panel);
+};
+
+const updateSelectionUI = () => {
+  const panel = document.getElementById('selection-panel');
+  if (!panel) return;
+  const selected = getSelectedShapes();
+  panel.style.display = selected.length > 0 ? 'flex' : 'none';
+  
+  const groups = selected.filter(isGroupShape);
+  const singleGroup = selected.length === 1 && groups.length === 1 ? groups[0] : null;
+  panel.querySelector('#selection-count').textContent = singleGroup
+    ? `Group (${singleGroup.children.length} shapes)`
+    : `${selected.length} selected`;
+  const nameInput = panel.querySelector('#selection-group-name');
+  nameInput.style.display = singleGroup ? 'inline-block' : 'none';
+  nameInput.value = singleGroup ? singleGroup.userData.groupName : '';
+  panel.querySelector('#selection-group').disabled = selected.length < 2;
+  panel.querySelector('#selection-ungroup').disabled = groups.length === 0;
+};
+
+// Snapping (see snapping.js): with the snapping setting on, dragged shapes land on grid points,
+// turn in rotationSnapDegrees steps and scale in scaleSnapStep steps. Alignment guides with
+// other shapes work with snapping on or off.
+const gridColors = { snapping: [0x00aaaa, 0x225555], free: [0x555555, 0x333333] };
+const guideOverhang = 0.3;  // Guides run a little past the shapes they line up
+let gridHelper = null;
+let alignmentGuideLines = null;
+
+// A floor grid about 20 units across whose lines fall on multiples of the grid step
+const updateGridHelper = () => {
+  if (!scene) return;
+  const step = config.snapping ? config.gridStep : 1;
+  const key = `${config.snapping}:${step}`;
+  if (gridHelper && gridHelper.userData.key === key) {
+    gridHelper.position.y = config.physics ? config.floorHeight : 0;
+    return;
+  }
+  if (gridHelper) {
+    scene.remove(gridHelper);
+    gridHelper.geometry.dispose();
+    gridHelper.material.dispose();
+  }
+  const divisions = 2 * Math.ceil(10 / step);
+  gridHelper = new THREE.GridHelper(divisions * step, divisions, ...gridColors[config.snapping ? 'snapping' : 'free']);
+  gridHelper.userData.key = key;
+  // In physics mode the grid is the floor
+  gridHelper.position.y = config.physics ? config.floorHeight : 0;
+  scene.add(gridHelper);
+};
+
+const setSnapping = (enabled) => {
+  if (isSetInUrl('snapping', 'Snapping')) return;
+  updateSettings({ snapping: enabled });
+  updateStatus(`Snapping ${config.snapping ? 'on' : 'off'}`);
+};
+
+const getSnappedScale = (scale) => (config.snapping ? snapping.snapScale(scale, config.scaleSnapStep) : scale);
+
+// Snaps a quaternion in place to whole rotation steps about each axis
+const snapRotation = (quaternion) => {
+  if (!config.snapping || config.rotationSnapDegrees === 0) return quaternion;
+  const euler = new THREE.Euler().setFromQuaternion(quaternion);
+  const { x, y, z } = snapping.snapAngles(euler, config.rotationSnapDegrees);
+  return quaternion.setFromEuler(euler.set(x, y, z));
+};
+
+// Where a shape dragged to position lands: the nearest grid point when snapping, then lined up
+// with any shape outside the drag set (a Map or Set of shapes) that is close enough, with
+// guides showing the lines that match
+const getSnappedPosition = (shape, position, dragged) => {
+  const snapped = config.snapping ? new THREE.Vector3().copy(snapping.snapPosition(position, config.gridStep)) : position.clone();
+  if (!config.alignmentGuides) return snapped;
+  const bounds = new THREE.Box3().setFromObject(shape).translate(snapped.clone().sub(shape.position));
+  const others = shapes.filter(other => !dragged.has(other)).map(other => new THREE.Box3().setFromObject(other));
+  const { offset, guides } = snapping.findAlignments(bounds, others, config.alignmentTolerance);
+  showAlignmentGuides(guides, snapped.z);
+  return snapped.add(offset);
+};
+
+const showAlignmentGuides = (guides, z) => {
+  if (!scene) return;
+  if (!alignmentGuideLines) {
+    // Drawn over the shapes so a guide through a shape's middle stays visible
+    alignmentGuideLines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0xffff00, transparent: true, opacity: 0.8, depthTest: false })
+    );
+    alignmentGuideLines.renderOrder = 1;
+    scene.add(alignmentGuideLines);
+  }
+  const points = guides.flatMap(({ axis, value, from, to }) => (axis === 'x'
+    ? [value, from - guideOverhang, z, value, to + guideOverhang, z]
+    : [from - guideOverhang, value, z, to + guideOverhang, value, z]));
+  alignmentGuideLines.geometry.dispose();
+  alignmentGuideLines.geometry = new THREE.BufferGeometry();
+  alignmentGuideLines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+  alignmentGuideLines.visible = points.length > 0;
+};
+
+const hideAlignmentGuides = () => {
+  if (alignmentGuideLines) alignmentGuideLines.visible = false;
+};
+
+// Physics mode (see physics.js): shapes fall to the floor grid, knock each other about as
+// spheres, bounce off the edges of the view and keep the hand's speed when they are let go.
+// animate advances it in fixed steps; advancePhysics can also be called directly (headless).
+const tipHistoryLength = 8;
+const maxThrowSpeed = 20;
+let tipHistory = new Map();  // Per hand ID: the index tip's recent {time, x, y}, oldest first
+let physicsAccumulator = 0;
+const shapeVelocities = new WeakMap();
+
+const recordTipHistory = (hands, time) => {
+  tipHistory = new Map(hands.map(({ id, landmarks }) => [
+    id,
+    [...(tipHistory.get(id) || []).slice(1 - tipHistoryLength), { time, x: landmarks[8].x, y: landmarks[8].y }]
+  ]));
+};
+
+const getVelocity = (shape) => {
+  if (!shapeVelocities.has(shape)) shapeVelocities.set(shape, new THREE.Vector3());
+  return shapeVelocities.get(shape);
+};
+
+// How fast a hand's index tip was moving, in world units per second at depth z
+const getThrowVelocity = (hand, z) => {
+  const samples = (tipHistory.get(hand) || []).map(({ time, x, y }) => ({ time, ...get3DCoords(x, y, z) }));
+  const { x, y } = physics.estimateVelocity(samples);
+  return new THREE.Vector3(x, y, 0).multiplyScalar(config.throwStrength).clampLength(0, maxThrowSpeed);
+};
+
+// The walls are the left and right edges of the view at z = 0
+const getPhysicsOptions = () => {
+  const halfHeight = camera ? Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * camera.position.z : 5;
+  return {
+    ...physics.defaultPhysicsOptions,
+    gravity: config.gravity,
+    restitution: config.bounciness,
+    floorY: config.floorHeight,
+    bounds: { x: halfHeight * (camera ? camera.aspect : 1), z: maxShapeDepth }
+  };
+};
+
+// Past config.physicsMaxShapes shapes a step takes too long to keep up with the display, so the
+// simulation holds everything where it is until there are fewer again
+let physicsOverLimit = false;
+
+const advancePhysics = (seconds) => {
+  const overLimit = shapes.length > config.physicsMaxShapes;
+  if (overLimit && !physicsOverLimit) {
+    updateStatus(`Physics paused: more than ${config.physicsMaxShapes} shapes`);
+  }
+  physicsOverLimit = overLimit;
+  if (overLimit) {
+    physicsAccumulator = 0;
+    return;
+  }
+  const { steps, accumulator } = physics.takeFixedSteps(physicsAccumulator, seconds);
+  physicsAccumulator = accumulator;
+  if (steps === 0 || shapes.length === 0) return;
+  
+  // Each shape is a sphere holding its geometry however it is turned (the radius the picking
+  // index uses), as heavy as its volume; held shapes don't move
+  const bodies = shapes.map(shape => {
+    const radius = getShapeRadius(shape);
+    const held = isHeldNow(shape);
+    const velocity = getVelocity(shape);
+    if (held) velocity.set(0, 0, 0);
+    return { position: shape.position, velocity, radius, mass: held ? Infinity : radius ** 3 };
+  });
+  const options = getPhysicsOptions();
+  for (let i = 0; i < steps; i++) {
+    physics.stepBodies(bodies, options);
+  }
+  if (bodies.some(body => body.velocity.lengthSq() > 0)) {
+    markSceneChanged();
+  }
+};
+
+const setPhysics = (enabled) => {
+  if (isSetInUrl('physics', 'Physics')) return;
+  updateSettings({ physics: enabled });
+  updateStatus(`Physics ${config.physics ? 'on' : 'off'}`);
+};
+
+// Instanced rendering: from config.instancingMinShapes shapes on, meshes that share a geometry
+// and a material (every primitive of a type and look) are drawn as one InstancedMesh instead of
+// one draw call each. The shape meshes stay in the scene, hidden, for picking, bounds and export.
+// Instances aren't sorted by depth, so smaller scenes keep drawing shapes one by one.
+const instancedBatches = new Map();  // 'geometry uuid/material uuid' to InstancedMesh
+let instancedMeshes = [];            // Shape meshes currently drawn by a batch
+
+const removeInstancedBatch = (key) => {
+  const batch = instancedBatches.get(key);
+  scene.remove(batch);
+  batch.dispose();
+  instancedBatches.delete(key);
+};
+
+// Once a frame, before rendering
+const updateInstancedRendering = () => {
+  instancedMeshes.forEach(mesh => {
+    mesh.visible = true;
+  });
+  instancedMeshes = [];
+  
+  const batched = new Map();
+  if (config.instancing && shapes.length >= config.instancingMinShapes) {
+    shapes.forEach(shape => shape.traverse(object => {
+      if (!object.isMesh || !sharedResources.has(object.geometry) || !sharedResources.has(object.material)) return;
+      const key = `${object.geometry.uuid}/${object.material.uuid}`;
+      if (!batched.has(key)) batched.set(key, []);
+      batched.get(key).push(object);
+    }));
+  }
+  [...instancedBatches.keys()].filter(key => !batched.has(key)).forEach(removeInstancedBatch);
+  if (batched.size === 0) return;
+  
+  scene.updateMatrixWorld();
+  batched.forEach((meshes, key) => {
+    if (instancedBatches.has(key) && instancedBatches.get(key).instanceMatrix.count < meshes.length) {
+      removeInstancedBatch(key);
+    }
+    if (!instancedBatches.has(key)) {
+      // Room to grow, so adding a shape doesn't mean a new batch
+      const batch = new THREE.InstancedMesh(meshes[0].geometry, meshes[0].material, Math.max(16, meshes.length * 2));
+      batch.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      // The geometry's own bounds say nothing about where the instances are
+      batch.frustumCulled = false;
+      scene.add(batch);
+      instancedBatches.set(key, batch);
+    }
+    const batch = instancedBatches.get(key);
+    meshes.forEach((mesh, i) => {
+      batch.setMatrixAt(i, mesh.matrixWorld);
+      mesh.visible = false;
+    });
+    batch.count = meshes.length;
+    batch.instanceMatrix.needsUpdate = true;
+    instancedMeshes = instancedMeshes.concat(meshes);
+  });
+};
+
+// Frames per second, averaged over half a second
+const frameRate = { frames: 0, since: null, fps: 0 };
+
+const countFrame = (now) => {
+  if (frameRate.since === null) frameRate.since = now;
+  frameRate.frames++;
+  if (now - frameRate.since < 500) return;
+  frameRate.fps = (frameRate.frames * 1000) / (now - frameRate.since);
+  frameRate.frames = 0;
+  frameRate.since = now;
+  updatePerfHud();
+};
+
+// Timings in ms, averaged over the last samples: frame (between renders), render (the work of one
+// frame), inference (a frame through the tracker) and lag (from hand results arriving to the render showing them)
+const maxTimingSamples = 60;
+const timingSamples = { frame: [], render: [], inference: [], lag: [] };
+let landmarksReceivedAt = null;  // Hand results not rendered yet
+
+const recordTiming = (name, ms) => {
+  const samples = timingSamples[name];
+  samples.push(ms);
+  if (samples.length > maxTimingSamples) samples.shift();
+};
+
+const averageTiming = (name) => {
+  const samples = timingSamples[name];
+  return samples.length > 0 ? samples.reduce((sum, ms) => sum + ms, 0) / samples.length : null;
+};
+
+// Adaptive quality (see quality.js): the levels the renderer and hand tracking run at, each on
+// its own ladder
+let qualityState = { render: quality.initialQualityState(), tracking: quality.initialQualityState() };
+
+const getRenderQuality = () => quality.renderQualityLevels[qualityState.render.level];
+const getTrackingQuality = () => quality.trackingQualityLevels[qualityState.tracking.level];
+
+const setQualityState = (state) => {
+  const previousRender = getRenderQuality();
+  const previousTracking = getTrackingQuality();
+  qualityState = state;
+  const render = getRenderQuality();
+  const tracking = getTrackingQuality();
+  if (renderer && render.pixelRatio !== previousRender.pixelRatio) {
+    renderer.setPixelRatio(window.devicePixelRatio * render.pixelRatio);
+  }
+  // Changing the model reloads it, which is why it comes last on the ladder
+  if (tracking.modelComplexity !== previousTracking.modelComplexity) {
+    updateHandsOptions();
+  }
+  if (render !== previousRender || tracking !== previousTracking) {
+    logDebug(`Quality: pixel ratio x${render.pixelRatio}, tracking input x${tracking.inputScale}, model ${tracking.modelComplexity}`);
+  }
+};
+
+// Once a frame. A smaller pixel ratio only helps rendering and a smaller input or model only
+// helps hand tracking, so each ladder follows its own time: the time a frame takes to produce,
+// and the time hand tracking takes per camera frame.
+const adaptQuality = (now) => {
+  if (!config.adaptiveQuality) return;
+  const budgetMs = 1000 / config.targetFps;
+  const renderMs = averageTiming('render');
+  const inferenceMs = averageTiming('inference');
+  setQualityState({
+    render: renderMs === null ? qualityState.render
+      : quality.stepQuality(qualityState.render, renderMs, now, budgetMs, quality.renderQualityLevels.length),
+    tracking: inferenceMs === null ? qualityState.tracking
+      : quality.stepQuality(qualityState.tracking, inferenceMs, now, budgetMs, quality.trackingQualityLevels.length)
+  });
+};
+
+// The camera frame for hand tracking, drawn smaller when the quality level scales the input down.
+// Landmarks are normalized, so nothing downstream notices.
+let trackingCanvas = null;
+
+const getTrackingInput = (source) => {
+  const { inputScale } = getTrackingQuality();
+  if (inputScale >= 1 || !source.videoWidth) return source;
+  if (!trackingCanvas) trackingCanvas = document.createElement('canvas');
+  const width = Math.round(source.videoWidth * inputScale);
+  const height = Math.round(source.videoHeight * inputScale);
+  if (trackingCanvas.width !== width || trackingCanvas.height !== height) {
+    trackingCanvas.width = width;
+    trackingCanvas.height = height;
+  }
+  trackingCanvas.getContext('2d').drawImage(source, 0, 0, width, height);
+  return trackingCanvas;
+};
+
+// Shown with config.performanceHud, and during the stress test
+const updatePerfHud = () => {
+  const hud = document.getElementById('perf-hud');
+  if (!hud) return;
+  const visible = config.performanceHud || Boolean(stressShapes);
+  hud.style.display = visible ? 'block' : 'none';
+  if (!visible) return;
+  
+  const ms = (name) => {
+    const average = averageTiming(name);
+    return average === null ? '-' : `${average.toFixed(1)} ms`;
+  };
+  const info = renderer && renderer.info ? renderer.info.render : { calls: 0, triangles: 0 };
+  const level = config.adaptiveQuality
+    ? `render ${qualityState.render.level}/${quality.renderQualityLevels.length - 1}, tracking ${qualityState.tracking.level}/${quality.trackingQualityLevels.length - 1} (adaptive)`
+    : 'full';
+  hud.textContent = [
+    `FPS            ${frameRate.fps.toFixed(0)} (${ms('frame')})`,
+    `Render         ${ms('render')}`,
+    `Hand tracking  ${ms('inference')}`,
+    `To render      ${ms('lag')}`,
+    `Draw calls     ${info.calls}`,
+    `Triangles      ${info.triangles}`,
+    `Shapes         ${shapes.length}${instancedBatches.size > 0 ? ' (instanced)' : ''}`,
+    `Quality        ${level}`
+  ].join('\n');
+};
+
+const setPerformanceHud = (enabled) => {
+  if (isSetInUrl('performanceHud', 'The performance HUD')) return;
+  updateSettings({ performanceHud: enabled });
+};
+
+// Stress test: config.stressShapeCount random primitives spread over the view, added as one undo
+// step, with the performance HUD shown until it's turned off, which removes them again
+let stressShapes = null;
+
+const setStressTest = (enabled) => {
+  if (enabled === Boolean(stressShapes) || isShapeHeld()) return;
+  if (enabled) {
+    const list = Array.from({ length: config.stressShapeCount }, () => {
+      const shape = buildShapeGroup({
+        type: randomShapeTypes[Math.floor(Math.random() * randomShapeTypes.length)],
+        color: getNextNeonColor()
+      });
+      shape.position.set((Math.random() - 0.5) * 12, (Math.random() - 0.5) * 7, (Math.random() - 0.5) * 4);
+      shape.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+      shape.scale.setScalar(0.2 + Math.random() * 0.3);
+      return shape;
+    });
+    executeCommand(addShapesCommand(list, 'Stress test'));
+    stressShapes = list;
+  } else {
+    // Whatever of them is still in the scene (some may have been deleted or undone)
+    const remaining = shapes.filter(shape => stressShapes.includes(shape));
+    stressShapes = null;
+    if (remaining.length > 0) executeCommand(removeShapesCommand(remaining, 'End stress test'));
+  }
+  const button = document.getElementById('stress-toggle');
+  if (button) {
+    button.textContent = `Stress Test: ${stressShapes ? 'On' : 'Off'}`;
+  }
+  updatePerfHud();
+  updateStatus(stressShapes ? `Stress test: ${stressShapes.length} shapes` : 'Stress test over');
+};
+
+const setAutoRotate = (enabled) => {
+  autoRotateShapes = enabled;
+  const button = document.getElementById('auto-rotate');
+  if (button) {
+    button.textContent = `Auto-Rotate: ${enabled ? 'On' : 'Off'}`;
+  }
+  updateStatus(`Idle rotation ${enabled ? 'on' : 'off'}`);
+};
+
+// Keyboard shortcuts: Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo (Cmd on macOS), R toggles idle
+// rotation, G toggles snapping, P toggles physics, H toggles the performance HUD.
+// Selection: Ctrl+A selects everything, Esc deselects, Delete removes the selection, Ctrl+D
+// duplicates it, Ctrl+G groups it and Ctrl+Shift+G ungroups.
+const setupKeyboardShortcuts = () => {
+  window.addEventListener('keydown', (event) => {
+    const plain = !event.ctrlKey && !event.metaKey && !event.altKey;
+    if (event.key.toLowerCase() === 'r' && plain) {
+      setAutoRotate(!autoRotateShapes);
+      return;
+    }
+    if (event.key.toLowerCase() === 'g' && plain) {
+      setSnapping(!config.snapping);
+      return;
+    }
+    if (event.key.toLowerCase() === 'p' && plain) {
+      setPhysics(!config.physics);
+      return;
+    }
+    if (event.key.toLowerCase() === 'h' && plain) {
+      setPerformanceHud(!config.performanceHud);
+      return;
+    }
+    if (event.key === 'Escape') {
+      clearSelection();
+      return;
+    }
+    if ((event.key === 'Delete' || event.key === 'Backspace') && plain) {
+      event.preventDefault();
+      deleteSelection();
+      return;
+    }
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      redo();
+    } else if (key === 'a') {
+      event.preventDefault();
+      setSelection(shapes);
+    } else if (key === 'd') {
+      event.preventDefault();
+      duplicateSelection();
+    } else if (key === 'g') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        ungroupSelection();
+      } else {
+        groupSelection();
+      }
+    }
+  });
+};
+
+const createFeedbackEffect = (position) => {
+  try {
+    // Create a pulsing sphere effect
+    const feedbackGeometry = new THREE.SphereGeometry(0.2, 16, 16);
+    const feedbackMaterial = new THREE.MeshBasicMaterial({ 
+      color: 0xFFFFFF, 
+      transparent: true, 
+      opacity: 0.8 
+    });
+    const feedbackMesh = new THREE.Mesh(feedbackGeometry, feedbackMaterial);
+    feedbackMesh.position.copy(position);
+    scene.add(feedbackMesh);
+    
+    // Animate and remove the feedback effect
+    let scale = 1;
+    const expandAndFade = () => {
+      scale += 0.1;
+      feedbackMesh.scale.set(scale, scale, scale);
+      feedbackMaterial.opacity -= 0.05;
+      
+      if (feedbackMaterial.opacity > 0) {
+        requestAnimationFrame(expandAndFade);
+      } else {
+        scene.remove(feedbackMesh);
+      }
+    };
+    
+    expandAndFade();
+  } catch (error) {
+    console.error('Error creating feedback effect:', error);
+    // Non-critical, so just log the error
+  }
+};
+
+// Scene serialization: every shape is saved as a plain entry in a versioned JSON document
+const SCENE_FORMAT = 'shape-creator-scene';
+const SCENE_FORMAT_VERSION = 4;
+
+// Upgrades for older scene files, keyed by the version they upgrade from.
+// Each step must return data in the format of the next version.
+const sceneMigrations = {
+  // Version 2 added imported models; version 1 scenes only hold primitives, which are unchanged
+  1: (data) => ({ ...data, version: 2 }),
+  // Version 3 added more primitives and text shapes; existing entries are unchanged
+  2: (data) => ({ ...data, version: 3 }),
+  // Version 4 added groups; existing entries are unchanged
+  3: (data) => ({ ...data, version: 4 })
+};
+
+const colorToHexString = (color) => `#${color.getHexString()}`;
+
+// The fill mesh is the non-wireframe child of a shape group
+const getFillMesh = (shape) => shape.children.find(child => child.material && !child.material.wireframe);
+
+const bytesToBase64 = (bytes) => {
+  let binaryString = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binaryString);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const serializeShape = (shape) => {
+  // Groups hold their members, with transforms relative to the group
+  if (isGroupShape(shape)) {
+    return {
+      type: GROUP_SHAPE_TYPE,
+      name: shape.userData.groupName,
+      position: shape.position.toArray(),
+      rotation: [shape.rotation.x, shape.rotation.y, shape.rotation.z],
+      scale: shape.scale.toArray(),
+      shapes: shape.children.map(serializeShape)
+    };
+  }
+  
+  const fillMesh = getFillMesh(shape);
+  const entry = {
+    type: shape.userData.shapeType,
+    color: colorToHexString(fillMesh.material.color),
+    opacity: fillMesh.material.opacity,
+    position: shape.position.toArray(),
+    rotation: [shape.rotation.x, shape.rotation.y, shape.rotation.z],
+    scale: shape.scale.toArray()
+  };
+  
+  if (entry.type === 'Text') {
+    entry.text = shape.userData.text;
+  }
+  
+  // Imported models can't be rebuilt from their type, so store the triangles
+  if (entry.type === MODEL_SHAPE_TYPE) {
+    const positions = fillMesh.geometry.attributes.position.array;
+    entry.name = shape.userData.modelName;
+    entry.mesh = { positions: bytesToBase64(new Uint8Array(positions.buffer, positions.byteOffset, positions.byteLength)) };
+  }
+  return entry;
+};
+
+const serializeScene = () => ({
+  format: SCENE_FORMAT,
+  version: SCENE_FORMAT_VERSION,
+  savedAt: new Date().toISOString(),
+  shapes: shapes.map(serializeShape)
+});
+
+const isVector3Array = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Model entries carry their triangles as base64-encoded float32 positions (9 floats per triangle)
+const validateModelMesh = (mesh, where) => {
+  if (!mesh || typeof mesh.positions !== 'string') {
+    return [`${where}.mesh.positions must be a base64 string`];
+  }
+  try {
+    const byteLength = atob(mesh.positions).length;
+    if (byteLength === 0 || byteLength % 36 !== 0) {
+      return [`${where}.mesh.positions must hold whole triangles`];
+    }
+  } catch (error) {
+    return [`${where}.mesh.positions is not valid base64`];
+  }
+  return [];
+};
+
+const validateTransformEntry = (entry, where) => ['position', 'rotation', 'scale']
+  .filter(key => !isVector3Array(entry[key]))
+  .map(key => `${where}.${key} must be an array of 3 numbers`);
+
+// Group entries: a name and at least one member, each a full shape entry itself
+const validateGroupEntry = (entry, where) => {
+  const problems = [];
+  if (typeof entry.name !== 'string' || entry.name.length === 0 || entry.name.length > maxGroupNameLength) {
+    problems.push(`${where}.name must be a string of 1 to ${maxGroupNameLength} characters`);
+  }
+  if (!Array.isArray(entry.shapes) || entry.shapes.length === 0) {
+    problems.push(`${where}.shapes must be a non-empty array`);
+  } else {
+    problems.push(...entry.shapes.flatMap((member, index) => validateShapeEntry(member, index, `${where}.shapes`)));
+  }
+  return [...problems, ...validateTransformEntry(entry, where)];
+};
+
+// Check a single shape entry, returning a list of problems (empty when valid)
+const validateShapeEntry = (entry, index, path = 'shapes') => {
+  const where = `${path}[${index}]`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${where} must be an object`];
+  }
+  if (entry.type === GROUP_SHAPE_TYPE) {
+    return validateGroupEntry(entry, where);
+  }
+  
+  const problems = [];
+  if (entry.type === MODEL_SHAPE_TYPE) {
+    problems.push(...validateModelMesh(entry.mesh, where));
+  } else if (!shapeTypes.includes(entry.type)) {
+    problems.push(`${where}.type "${entry.type}" is not one of ${[...shapeTypes, MODEL_SHAPE_TYPE, GROUP_SHAPE_TYPE].join(', ')}`);
+  }
+  if (entry.type === 'Text' && (typeof entry.text !== 'string' || entry.text.length === 0 || entry.text.length > maxShapeTextLength)) {
+    problems.push(`${where}.text must be a string of 1 to ${maxShapeTextLength} characters`);
+  }
+  if (typeof entry.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(entry.color)) {
+    problems.push(`${where}.color must be a hex string like "#ff00ff"`);
+  }
+  if (!Number.isFinite(entry.opacity) || entry.opacity < 0 || entry.opacity > 1) {
+    problems.push(`${where}.opacity must be a number between 0 and 1`);
+  }
+  return [...problems, ...validateTransformEntry(entry, where)];
+};
+
+// Validate a parsed scene document, upgrading older versions. Throws with a readable message.
+const validateSceneData = (data) => {
+  if (!data || typeof data !== 'object' || data.format !== SCENE_FORMAT) {
+    throw new Error('Invalid scene file: not a Shape Creator scene');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`Invalid scene file: unknown version "${data.version}"`);
+  }
+  if (data.version > SCENE_FORMAT_VERSION) {
+    throw new Error(`Scene file version ${data.version} was saved by a newer version of this app (supported: ${SCENE_FORMAT_VERSION})`);
+  }
+  
+  // Bring older files up to the current version one step at a time
+  let upgraded = data;
+  while (upgraded.version < SCENE_FORMAT_VERSION) {
+    const migrate = sceneMigrations[upgraded.version];
+    if (!migrate) {
+      throw new Error(`Scene file version ${upgraded.version} is no longer supported (current: ${SCENE_FORMAT_VERSION})`);
+    }
+    upgraded = migrate(upgraded);
+  }
+  
+  if (!Array.isArray(upgraded.shapes)) {
+    throw new Error('Invalid scene file: "shapes" must be an array');
+  }
+  
+  const problems = upgraded.shapes.flatMap((entry, index) => validateShapeEntry(entry, index));
+  if (problems.length > 0) {
+    const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+    throw new Error(`Invalid scene file: ${problems.slice(0, 5).join('; ')}${more}`);
+  }
+  
+  return upgraded;
+};
+
+// Build a shape (and a group's members) from a validated entry
+const buildShapeFromEntry = (entry) => {
+  let group;
+  if (entry.type === GROUP_SHAPE_TYPE) {
+    group = createGroupShape(entry.name);
+    entry.shapes.forEach(member => group.add(buildShapeFromEntry(member)));
+  } else if (entry.type === MODEL_SHAPE_TYPE) {
+    const bytes = base64ToBytes(entry.mesh.positions);
+    group = buildShapeGroup({ type: entry.type, color: new THREE.Color(entry.color), opacity: entry.opacity, geometry: geometryFromPositions(new Float32Array(bytes.buffer)) });
+    group.userData.modelName = entry.name;
+  } else {
+    group = buildShapeGroup({ type: entry.type, color: new THREE.Color(entry.color), opacity: entry.opacity, text: entry.text });
+  }
+  group.position.fromArray(entry.position);
+  group.rotation.set(entry.rotation[0], entry.rotation[1], entry.rotation[2]);
+  group.scale.fromArray(entry.scale);
+  return group;
+};
+
+// Create a shape from a validated entry and add it to the scene
+const addShapeFromEntry = (entry) => {
+  const group = buildShapeFromEntry(entry);
+  scene.add(group);
+  shapes.push(group);
+  shapeIndex = null;
+  return group;
+};
+
+// Replace the current scene with the one described by a JSON string or parsed object
+const loadScene = (json) => {
+  let data = json;
+  if (typeof json === 'string') {
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid scene file: ${error.message}`);
+    }
+  }
+  
+  // Validate everything before touching the current scene
+  const sceneData = validateSceneData(data);
+  
+  clearAllShapes();
+  sceneData.shapes.forEach(addShapeFromEntry);
+  clearHistory();
+  markSceneChanged({ committed: true });
+  
+  logDebug(`Loaded scene with ${shapes.length} shapes`);
+  return shapes.length;
+};
+
+// Download the current scene as a JSON file
+const saveSceneToFile = () => {
+  try {
+    const json = JSON.stringify(serializeScene(), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `shape-scene-${exportTimestamp()}.json`);
+    updateStatus(`Scene saved (${shapes.length} shapes)`);
+  } catch (error) {
+    console.error('Error saving scene:', error);
+    updateStatus('Failed to save scene');
+  }
+};
+
+// Load a scene from a user-picked JSON file
+const loadSceneFromFile = (file) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const count = loadScene(reader.result);
+      updateStatus(`Scene loaded (${count} shapes)`);
+    } catch (error) {
+      console.error('Error loading scene:', error);
+      showNotice(error.message);
+    }
+  };
+  reader.onerror = () => showNotice(`Could not read ${file.name}`);
+  reader.readAsText(file);
+};
+
+// Scene export: glTF/GLB and OBJ writers built on core three.js only, so they work offline
+const GLTF_FLOAT = 5126;
+const GLTF_UNSIGNED_SHORT = 5123;
+const GLTF_UNSIGNED_INT = 5125;
+const GLTF_ARRAY_BUFFER = 34962;
+const GLTF_ELEMENT_ARRAY_BUFFER = 34963;
+const GLTF_MODE_LINES = 1;
+
+const downloadBlob = (blob, fileName) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+const exportTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// Split a shape into its fill and wireframe meshes, with geometry baked into the given space
+// ('shape' = relative to the shape group, 'world' = scene coordinates)
+const collectShapeMeshes = (shape, space) => {
+  shape.updateMatrixWorld(true);
+  const toShape = new THREE.Matrix4().copy(shape.matrixWorld).invert();
+  const fills = [];
+  const wireframes = [];
+  
+  shape.traverse(object => {
+    if (!object.isMesh || !object.geometry) return;
+    const matrix = space === 'world' ? object.matrixWorld : new THREE.Matrix4().multiplyMatrices(toShape, object.matrixWorld);
+    const geometry = object.geometry.clone().applyMatrix4(matrix);
+    if (object.material.wireframe) {
+      wireframes.push({ geometry });
+    } else {
+      fills.push({ geometry, material: object.material });
+    }
+  });
+  
+  return { fills, wireframes };
+};
+
+// Triangle vertex indices of a geometry, whether or not it is indexed
+const getTriangleIndices = (geometry) => {
+  if (geometry.index) {
+    return Array.from(geometry.index.array);
+  }
+  return Array.from({ length: geometry.attributes.position.count }, (_, i) => i);
+};
+
+const getPositionBounds = (positions) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], positions[i + axis]);
+      max[axis] = Math.max(max[axis], positions[i + axis]);
+    }
+  }
+  return { min, max };
+};
+
+// Build a glTF 2.0 document (JSON + one binary buffer) for the given shapes
+const buildGltf = (shapeList, { includeWireframe = false } = {}) => {
+  const json = {
+    asset: { version: '2.0', generator: 'Shape Creator' },
+    extensionsUsed: ['KHR_materials_unlit'],
+    scene: 0,
+    scenes: [{ nodes: [] }],
+    nodes: [],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: []
+  };
+  const chunks = [];
+  let byteLength = 0;
+  const materialIndices = new Map();
+  
+  // Buffer views must start on 4-byte boundaries
+  const addAccessor = (array, type, componentType, target, extra = {}) => {
+    const padding = (4 - (byteLength % 4)) % 4;
+    if (padding > 0) {
+      chunks.push(new Uint8Array(padding));
+      byteLength += padding;
+    }
+    json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+    chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+    byteLength += array.byteLength;
+    
+    const componentsPerElement = type === 'VEC3' ? 3 : 1;
+    json.accessors.push({
+      bufferView: json.bufferViews.length - 1,
+      componentType,
+      count: array.length / componentsPerElement,
+      type,
+      ...extra
+    });
+    return json.accessors.length - 1;
+  };
+  
+  const addPositions = (geometry) => {
+    const positions = new Float32Array(geometry.attributes.position.array);
+    return addAccessor(positions, 'VEC3', GLTF_FLOAT, GLTF_ARRAY_BUFFER, getPositionBounds(positions));
+  };
+  
+  // Unlit materials match the flat MeshBasicMaterial look; glTF colors are linear
+  const addMaterial = (key, color, opacity) => {
+    if (!materialIndices.has(key)) {
+      const linear = color.clone().convertSRGBToLinear();
+      json.materials.push({
+        name: key,
+        pbrMetallicRoughness: { baseColorFactor: [linear.r, linear.g, linear.b, opacity], metallicFactor: 0, roughnessFactor: 1 },
+        alphaMode: opacity < 1 ? 'BLEND' : 'OPAQUE',
+        doubleSided: true,
+        extensions: { KHR_materials_unlit: {} }
+      });
+      materialIndices.set(key, json.materials.length - 1);
+    }
+    return materialIndices.get(key);
+  };
+  
+  shapeList.forEach((shape, shapeIndex) => {
+    const { fills, wireframes } = collectShapeMeshes(shape, 'shape');
+    const primitives = [];
+    
+    fills.forEach(({ geometry, material }) => {
+      const attributes = { POSITION: addPositions(geometry) };
+      if (geometry.attributes.normal) {
+        attributes.NORMAL = addAccessor(new Float32Array(geometry.attributes.normal.array), 'VEC3', GLTF_FLOAT, GLTF_ARRAY_BUFFER);
+      }
+      const triangleIndices = getTriangleIndices(geometry);
+      const indices = geometry.attributes.position.count > 65535 ? new Uint32Array(triangleIndices) : new Uint16Array(triangleIndices);
+      const opacity = material.transparent ? material.opacity : 1;
+      primitives.push({
+        attributes,
+        indices: addAccessor(indices, 'SCALAR', indices instanceof Uint32Array ? GLTF_UNSIGNED_INT : GLTF_UNSIGNED_SHORT, GLTF_ELEMENT_ARRAY_BUFFER),
+        material: addMaterial(`fill_${material.color.getHexString()}_${opacity}`, material.color, opacity)
+      });
+    });
+    
+    if (includeWireframe) {
+      wireframes.forEach(({ geometry }) => {
+        primitives.push({
+          attributes: { POSITION: addPositions(new THREE.WireframeGeometry(geometry)) },
+          mode: GLTF_MODE_LINES,
+          material: addMaterial('wireframe', new THREE.Color(0xffffff), 1)
+        });
+      });
+    }
+    
+    const name = `${shape.userData.shapeType || 'Shape'}_${shapeIndex + 1}`;
+    json.meshes.push({ name, primitives });
+    json.nodes.push({
+      name,
+      mesh: json.meshes.length - 1,
+      translation: shape.position.toArray(),
+      rotation: shape.quaternion.toArray(),
+      scale: shape.scale.toArray()
+    });
+    json.scenes[0].nodes.push(json.nodes.length - 1);
+  });
+  
+  const binary = new Uint8Array(byteLength);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    binary.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  json.buffers.push({ byteLength });
+  
+  return { json, binary };
+};
+
+// Pack a glTF document into a single binary GLB file
+const encodeGlb = ({ json, binary }) => {
+  const padTo4 = (bytes, fill) => {
+    const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4).fill(fill);
+    padded.set(bytes);
+    return padded;
+  };
+  const jsonChunk = padTo4(new TextEncoder().encode(JSON.stringify(json)), 0x20);
+  const binChunk = padTo4(binary, 0);
+  const totalLength = 12 + 8 + jsonChunk.length + 8 + binChunk.length;
+  
+  const glb = new Uint8Array(totalLength);
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546C67, true);  // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+  view.setUint32(12, jsonChunk.length, true);
+  view.setUint32(16, 0x4E4F534A, true); // "JSON"
+  glb.set(jsonChunk, 20);
+  view.setUint32(20 + jsonChunk.length, binChunk.length, true);
+  view.setUint32(24 + jsonChunk.length, 0x004E4942, true); // "BIN"
+  glb.set(binChunk, 28 + jsonChunk.length);
+  return glb;
+};
+
+// Self-contained .gltf with the buffer embedded as a data URI
+const encodeGltfJson = ({ json, binary }) => {
+  const embedded = { ...json, buffers: [{ byteLength: binary.length, uri: `data:application/octet-stream;base64,${bytesToBase64(binary)}` }] };
+  return JSON.stringify(embedded);
+};
+
+// Build an OBJ file in world space plus the MTL file holding its colors and opacity
+const buildObj = (shapeList, { includeWireframe = false, mtlFileName = 'shapes.mtl' } = {}) => {
+  const obj = ['# Shape Creator export', `mtllib ${mtlFileName}`];
+  const mtl = ['# Shape Creator materials'];
+  const materialNames = new Map();
+  const format = (value) => +value.toFixed(6);
+  let vertexOffset = 1;
+  let normalOffset = 1;
+  
+  const useMaterial = (key, color, opacity) => {
+    if (!materialNames.has(key)) {
+      materialNames.set(key, key);
+      mtl.push('', `newmtl ${key}`, `Kd ${format(color.r)} ${format(color.g)} ${format(color.b)}`, `d ${format(opacity)}`, 'illum 0');
+    }
+    obj.push(`usemtl ${key}`);
+  };
+  
+  const writeVertices = (positions) => {
+    for (let i = 0; i < positions.length; i += 3) {
+      obj.push(`v ${format(positions[i])} ${format(positions[i + 1])} ${format(positions[i + 2])}`);
+    }
+  };
+  
+  shapeList.forEach((shape, shapeIndex) => {
+    const name = `${shape.userData.shapeType || 'Shape'}_${shapeIndex + 1}`;
+    const { fills, wireframes } = collectShapeMeshes(shape, 'world');
+    
+    fills.forEach(({ geometry, material }) => {
+      const positions = geometry.attributes.position.array;
+      const normals = geometry.attributes.normal ? geometry.attributes.normal.array : null;
+      obj.push(`o ${name}`);
+      writeVertices(positions);
+      if (normals) {
+        for (let i = 0; i < normals.length; i += 3) {
+          obj.push(`vn ${format(normals[i])} ${format(normals[i + 1])} ${format(normals[i + 2])}`);
+        }
+      }
+      
+      const opacity = material.transparent ? material.opacity : 1;
+      useMaterial(`fill_${material.color.getHexString()}_${Math.round(opacity * 100)}`, material.color, opacity);
+      
+      const indices = getTriangleIndices(geometry);
+      for (let i = 0; i < indices.length; i += 3) {
+        const face = [indices[i], indices[i + 1], indices[i + 2]].map(index => (
+          normals ? `${index + vertexOffset}//${index + normalOffset}` : `${index + vertexOffset}`
+        ));
+        obj.push(`f ${face.join(' ')}`);
+      }
+      
+      vertexOffset += positions.length / 3;
+      if (normals) normalOffset += normals.length / 3;
+    });
+    
+    if (includeWireframe) {
+      wireframes.forEach(({ geometry }) => {
+        const positions = new THREE.WireframeGeometry(geometry).attributes.position.array;
+        obj.push(`o ${name}_wireframe`);
+        writeVertices(positions);
+        useMaterial('wireframe', new THREE.Color(0xffffff), 1);
+        for (let i = 0; i < positions.length / 3; i += 2) {
+          obj.push(`l ${i + vertexOffset} ${i + 1 + vertexOffset}`);
+        }
+        vertexOffset += positions.length / 3;
+      });
+    }
+  });
+  
+  return { obj: obj.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+};
+
+// Export the current shapes in the chosen format ('glb', 'gltf' or 'obj') and download the result
+const exportScene = (format, { includeWireframe = false } = {}) => {
+  try {
+    if (shapes.length === 0) {
+      updateStatus('No shapes to export');
+      return;
+    }
+    
+    const baseName = `shape-scene-${exportTimestamp()}`;
+    if (format === 'glb') {
+      downloadBlob(new Blob([encodeGlb(buildGltf(shapes, { includeWireframe }))], { type: 'model/gltf-binary' }), `${baseName}.glb`);
+    } else if (format === 'gltf') {
+      downloadBlob(new Blob([encodeGltfJson(buildGltf(shapes, { includeWireframe }))], { type: 'model/gltf+json' }), `${baseName}.gltf`);
+    } else if (format === 'obj') {
+      const { obj, mtl } = buildObj(shapes, { includeWireframe, mtlFileName: `${baseName}.mtl` });
+      downloadBlob(new Blob([obj], { type: 'text/plain' }), `${baseName}.obj`);
+      downloadBlob(new Blob([mtl], { type: 'text/plain' }), `${baseName}.mtl`);
+    } else {
+      throw new Error(`Unknown export format "${format}"`);
+    }
+    
+    logDebug(`Exported ${shapes.length} shapes as ${format.toUpperCase()}`);
+    updateStatus(`Exported ${shapes.length} shapes as ${format.toUpperCase()}`);
+  } catch (error) {
+    console.error('Error exporting scene:', error);
+    updateStatus(`Export failed: ${error.message}`);
+  }
+};
+
+// Small panel with the export formats and the wireframe option
+const toggleExportPanel = () => {
+  const existing = document.getElementById('export-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  
+  const panel = document.createElement('div');
+  panel.id = 'export-panel';
+  panel.style.cssText = 'position: fixed; bottom: 350px; right: 130px; background: rgba(0,0,0,0.85); color: white; padding: 15px; border-radius: 5px; z-index: 1000; font-family: sans-serif;';
+  panel.innerHTML = `
+    <label style="display: block; margin-bottom: 10px;"><input type="checkbox" id="export-wireframe"> Include wireframe</label>
+    <button data-format="glb" style="background: #00FFFF; color: black; border: none; padding: 8px; margin: 3px; border-radius: 3px; cursor: pointer;">GLB</button>
+    <button data-format="gltf" style="background: #00FFFF; color: black; border: none; padding: 8px; margin: 3px; border-radius: 3px; cursor: pointer;">glTF</button>
+    <button data-format="obj" style="background: #00FFFF; color: black; border: none; padding: 8px; margin: 3px; border-radius: 3px; cursor: pointer;">OBJ</button>
+  `;
+  panel.querySelectorAll('button[data-format]').forEach(button => {
+    button.addEventListener('click', () => {
+      exportScene(button.dataset.format, { includeWireframe: panel.querySelector('#export-wireframe').checked });
+    });
+  });
+  document.body.appendChild(panel);
+};
+
+// Model import: GLB/glTF, OBJ and STL files become regular shapes (fill + wireframe, one merged geometry)
+const MODEL_SHAPE_TYPE = 'Model';
+const maxModelTriangles = 200000;
+const importedModelSize = 1;  // Longest side after normalization, matching the unit-sized primitives
+
+// three.js r128 loaders, fetched on first use
+const modelLoaders = {
+  gltf: {
+    name: 'GLTFLoader',
+    check: () => typeof THREE.GLTFLoader !== 'undefined',
+    asset: 'gltfLoader'
+  },
+  obj: {
+    name: 'OBJLoader',
+    check: () => typeof THREE.OBJLoader !== 'undefined',
+    asset: 'objLoader'
+  },
+  stl: {
+    name: 'STLLoader',
+    check: () => typeof THREE.STLLoader !== 'undefined',
+    asset: 'stlLoader'
+  }
+};
+
+const modelFormatsByExtension = { glb: 'gltf', gltf: 'gltf', obj: 'obj', stl: 'stl' };
+
+const getModelFormat = (fileName) => modelFormatsByExtension[fileName.split('.').pop().toLowerCase()] || null;
+
+const ensureModelLoader = async (format) => {
+  const loader = modelLoaders[format];
+  if (loader.check()) return;
+  
+  updateStatus(`Loading ${loader.name}...`);
+  await loadScriptFrom(getAssetUrls(loader.asset));
+};
+
+const readFile = (file, asText) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+  if (asText) {
+    reader.readAsText(file);
+  } else {
+    reader.readAsArrayBuffer(file);
+  }
+});
+
+// Parse a file into a three.js object with the matching loader
+const parseModelFile = async (file, format) => {
+  await ensureModelLoader(format);
+  
+  if (format === 'gltf') {
+    const data = await readFile(file, false);
+    return new Promise((resolve, reject) => {
+      new THREE.GLTFLoader().parse(data, '', gltf => resolve(gltf.scene), error => {
+        reject(new Error(`Could not parse ${file.name}: ${error.message || error}. glTF files must be GLB or have their buffers embedded.`));
+      });
+    });
+  }
+  if (format === 'obj') {
+    return new THREE.OBJLoader().parse(await readFile(file, true));
+  }
+  return new THREE.Mesh(new THREE.STLLoader().parse(await readFile(file, false)));
+};
+
+// Bake every mesh of a loaded model into one triangle soup, centered and scaled to a unit size
+const mergeModelGeometry = (object) => {
+  object.updateMatrixWorld(true);
+  const meshes = [];
+  object.traverse(child => {
+    if (child.isMesh && child.geometry && child.geometry.attributes.position) {
+      meshes.push(child);
+    }
+  });
+  if (meshes.length === 0) {
+    throw new Error('The file does not contain any meshes');
+  }
+  
+  const triangleCount = meshes.reduce((total, mesh) => {
+    const geometry = mesh.geometry;
+    return total + (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+  }, 0);
+  if (triangleCount > maxModelTriangles) {
+    throw new Error(`Model has ${Math.round(triangleCount)} triangles (limit ${maxModelTriangles})`);
+  }
+  
+  const positions = new Float32Array(Math.round(triangleCount) * 9);
+  const vertex = new THREE.Vector3();
+  let offset = 0;
+  meshes.forEach(mesh => {
+    const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+    const attribute = geometry.attributes.position;
+    for (let i = 0; i < attribute.count; i++) {
+      vertex.fromBufferAttribute(attribute, i).applyMatrix4(mesh.matrixWorld);
+      vertex.toArray(positions, offset);
+      offset += 3;
+    }
+  });
+  
+  const merged = new THREE.BufferGeometry();
+  merged.setAttribute('position', new THREE.BufferAttribute(positions.subarray(0, offset), 3));
+  merged.computeBoundingBox();
+  const center = merged.boundingBox.getCenter(new THREE.Vector3());
+  const size = merged.boundingBox.getSize(new THREE.Vector3());
+  const longestSide = Math.max(size.x, size.y, size.z) || 1;
+  merged.translate(-center.x, -center.y, -center.z);
+  merged.scale(importedModelSize / longestSide, importedModelSize / longestSide, importedModelSize / longestSide);
+  merged.computeVertexNormals();
+  return merged;
+};
+
+// Rebuild a model geometry from the triangle positions stored in a saved scene
+const geometryFromPositions = (positions) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// Where a picked (not dropped) file should appear: at the hand if one was seen recently, else the center
+let lastHandPosition = null;
+
+const getImportPosition = () => {
+  if (lastHandPosition && Date.now() - lastHandPosition.time < 2000) {
+    return lastHandPosition.position.clone();
+  }
+  return get3DCoords(0.5, 0.5);
+};
+
+// Import a model file as a new shape at the given position
+const importModelFile = async (file, position) => {
+  const format = getModelFormat(file.name);
+  if (!format) {
+    showNotice(`Unsupported file type: ${file.name}. Use GLB, glTF, OBJ or STL.`);
+    return null;
+  }
+  
+  try {
+    updateStatus(`Importing ${file.name}...`);
+    const geometry = mergeModelGeometry(await parseModelFile(file, format));
+    
+    const group = buildShapeGroup({ type: MODEL_SHAPE_TYPE, color: getNextNeonColor(), geometry });
+    group.userData.modelName = file.name;
+    group.position.copy(position);
+    group.scale.setScalar(defaultShapeScale);
+    executeCommand(createShapeCommand(group));
+    
+    logDebug(`Imported ${file.name} (${geometry.attributes.position.count / 3} triangles)`);
+    updateStatus(`Imported ${file.name} (${shapes.length} total)`);
+    createFeedbackEffect(position);
+    return group;
+  } catch (error) {
+    console.error('Error importing model:', error);
+    showNotice(`Import failed: ${error.message}`);
+    return null;
+  }
+};
+
+// Accept model (and scene JSON) files dropped anywhere on the page
+const setupFileDrop = () => {
+  window.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  
+  window.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const files = Array.from(event.dataTransfer.files);
+    if (files.length === 0) return;
+    
+    const dropPosition = mouseToWorld(event);
+    files.forEach((file, index) => {
+      if (file.name.toLowerCase().endsWith('.json')) {
+        loadSceneFromFile(file);
+        return;
+      }
+      // Spread several dropped files out a little so they don't overlap
+      importModelFile(file, dropPosition.clone().add(new THREE.Vector3(index * 1.5, 0, 0)));
+    });
+  });
+};
+
+// Autosave: rolling scene snapshots in IndexedDB so sessions survive reloads and crashes. There is
+// one snapshot per committed history step, plus the live scene: changes in between (every frame
+// of a drag, or of physics settling) keep overwriting the newest snapshot, so a long gesture
+// can't push the earlier steps out.
+const AUTOSAVE_DB_NAME = 'shape-creator';
+const AUTOSAVE_STORE = 'snapshots';
+const maxAutosaveSnapshots = 5;
+const autosaveDelay = 500;      // Wait for changes to settle before saving
+const autosaveMaxWait = 2000;   // But never hold back a save longer than this during continuous edits
+let autosaveDbPromise = null;
+let autosaveTimer = null;
+let autosavePendingSince = 0;
+let autosavePaused = true;      // Stays paused until the user has decided whether to restore
+let lastAutosavedShapes = null;
+let liveSnapshotId = null;      // The snapshot live changes overwrite, until a step is committed
+let autosaveCommitPending = false;
+
+// Wrap an IndexedDB request in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openAutosaveDb = () => {
+  if (!autosaveDbPromise) {
+    autosaveDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not supported in this browser'));
+        return;
+      }
+      const request = indexedDB.open(AUTOSAVE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(AUTOSAVE_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return autosaveDbPromise;
+};
+
+// All stored snapshots, newest first
+const listSnapshots = async () => {
+  const db = await openAutosaveDb();
+  const store = db.transaction(AUTOSAVE_STORE, 'readonly').objectStore(AUTOSAVE_STORE);
+  const snapshots = await promisifyRequest(store.getAll());
+  return snapshots.reverse();
+};
+
+// Store the current scene in the live snapshot, starting a new one when there is none, and drop
+// the oldest ones beyond the limit. Once a committed step is saved its snapshot is kept as it is.
+const saveSnapshot = async () => {
+  const committing = autosaveCommitPending;
+  autosaveCommitPending = false;
+  const sceneData = serializeScene();
+  const shapesJson = JSON.stringify(sceneData.shapes);
+  if (shapesJson === lastAutosavedShapes) {
+    if (committing) liveSnapshotId = null;
+    return;
+  }
+  
+  const db = await openAutosaveDb();
+  const store = db.transaction(AUTOSAVE_STORE, 'readwrite').objectStore(AUTOSAVE_STORE);
+  const snapshot = { savedAt: Date.now(), shapeCount: shapes.length, scene: sceneData };
+  if (liveSnapshotId === null) {
+    liveSnapshotId = await promisifyRequest(store.add(snapshot));
+  } else {
+    await promisifyRequest(store.put({ ...snapshot, id: liveSnapshotId }));
+  }
+  lastAutosavedShapes = shapesJson;
+  if (committing) liveSnapshotId = null;
+  
+  const keys = await promisifyRequest(store.getAllKeys());
+  const staleKeys = keys.slice(0, Math.max(0, keys.length - maxAutosaveSnapshots));
+  await Promise.all(staleKeys.map(key => promisifyRequest(store.delete(key))));
+};
+
+// Save any pending change right away (used before reloads and when tracking fails)
+const flushAutosave = () => {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  if (autosavePaused) return Promise.resolve();
+  return saveSnapshot().catch(error => {
+    console.warn('Autosave failed:', error);
+  });
+};
+
+// Call after every change to the shapes, with committed for a new history step (or an undo, a
+// redo or a loaded scene); saves are debounced
+const markSceneChanged = ({ committed = false } = {}) => {
+  if (autosavePaused) return;
+  if (committed) autosaveCommitPending = true;
+  
+  const now = Date.now();
+  if (!autosaveTimer) {
+    autosavePendingSince = now;
+  }
+  clearTimeout(autosaveTimer);
+  const wait = Math.max(0, Math.min(autosaveDelay, autosavePendingSince + autosaveMaxWait - now));
+  autosaveTimer = setTimeout(flushAutosave, wait);
+};
+
+const resumeAutosave = () => {
+  autosavePaused = false;
+  window.addEventListener('pagehide', flushAutosave);
+  markSceneChanged();
+};
+
+// Show the list of snapshots and let the user restore one of them
+const showSnapshotPanel = (snapshots, { onClose } = {}) => {
+  const existing = document.getElementById('snapshot-panel');
+  if (existing) existing.remove();
+  
+  const panel = document.createElement('div');
+  panel.id = 'snapshot-panel';
+  panel.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: rgba(0,0,0,0.85); color: white; padding: 20px; border-radius: 5px; z-index: 1002; font-family: sans-serif; min-width: 280px;';
+  
+  const title = document.createElement('h3');
+  title.style.marginTop = '0';
+  title.textContent = onClose ? 'Restore your last session?' : 'Restore a snapshot';
+  panel.appendChild(title);
+  
+  const close = () => {
+    panel.remove();
+    if (onClose) onClose();
+  };
+  
+  snapshots.forEach((snapshot, index) => {
+    const button = document.createElement('button');
+    const label = index === 0 ? 'Latest' : `${index} change${index > 1 ? 's' : ''} earlier`;
+    button.textContent = `${label}: ${snapshot.shapeCount} shapes, ${new Date(snapshot.savedAt).toLocaleTimeString()}`;
+    button.style.cssText = 'display: block; width: 100%; margin: 5px 0; padding: 8px; background: #00FFFF; color: black; border: none; border-radius: 3px; cursor: pointer;';
+    button.onclick = () => {
+      try {
+        const count = loadScene(snapshot.scene);
+        updateStatus(`Restored snapshot (${count} shapes)`);
+      } catch (error) {
+        console.error('Error restoring snapshot:', error);
+        showNotice(`Could not restore snapshot: ${error.message}`);
+      }
+      close();
+    };
+    panel.appendChild(button);
+  });
+  
+  const dismissButton = document.createElement('button');
+  dismissButton.textContent = onClose ? 'Start fresh' : 'Cancel';
+  dismissButton.style.cssText = 'display: block; width: 100%; margin: 10px 0 0; padding: 8px; background: white; color: black; border: none; border-radius: 3px; cursor: pointer;';
+  dismissButton.onclick = close;
+  panel.appendChild(dismissButton);
+  
+  document.body.appendChild(panel);
+};
+
+// On startup, offer to restore the previous session before autosave starts writing
+const offerSessionRestore = async () => {
+  try {
+    const snapshots = await listSnapshots();
+    if (snapshots.length === 0) {
+      resumeAutosave();
+      return;
+    }
+    showSnapshotPanel(snapshots, { onClose: resumeAutosave });
+  } catch (error) {
+    console.warn('Autosave unavailable:', error);
+    logDebug(`Autosave disabled: ${error.message}`);
+  }
+};
+
+// Let the user roll back to any stored snapshot
+const openSnapshotBrowser = async () => {
+  try {
+    await flushAutosave();
+    const snapshots = await listSnapshots();
+    if (snapshots.length === 0) {
+      updateStatus('No snapshots saved yet');
+      return;
+    }
+    showSnapshotPanel(snapshots);
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    updateStatus('Snapshots unavailable');
+  }
+};
+
+// Normalized screen coordinates to a world point on the plane at depth z.
+// Further planes need a larger offset for the point to stay under the same screen spot.
+const get3DCoords = (normX, normY, z = 0) => {
+  try {
+    const { x, y } = coordinates.get3DCoords(normX, normY, z, camera ? camera.position.z : null);
+    return new THREE.Vector3(x, y, z);
+  } catch (error) {
+    console.error('Error calculating 3D coordinates:', error);
+    // Fallback to origin if there's an error
+    return new THREE.Vector3(0, 0, 0);
+  }
+};
+
+// Landmark filter stage: sits between hands.onResults and handleHandResults, smoothing every
+// landmark with a One Euro filter (landmarkFilter, filterMinCutoff, filterBeta, filterDCutoff
+// settings) and debouncing each hand's pinch state. filterMinCutoff (Hz): lower = smoother when
+// the hand is still; filterBeta: how quickly the cutoff rises with speed, higher = less lag on
+// fast moves; filterDCutoff (Hz): cutoff for the speed estimate itself.
+const getLandmarkFilterSettings = () => ({
+  minCutoff: config.filterMinCutoff,
+  beta: config.filterBeta,
+  dCutoff: config.filterDCutoff
+});
+
+// Gesture thresholds (pinchEnterRatio, pinchExitRatio, indexesCloseRatio settings) are in palm
+// sizes (see gestures.js); the calibration wizard replaces the defaults with ones measured for
+// the user. pinchMinHoldTime is how long (ms) a new pinch state must persist to be accepted.
+const GESTURE_CALIBRATION_KEY = 'shape-creator-gesture-calibration';
+const gestureThresholdKeys = ['pinchEnterRatio', 'pinchExitRatio', 'indexesCloseRatio'];
+
+const isValidGestureThresholds = (thresholds) =>
+  thresholds !== null && typeof thresholds === 'object' &&
+  gestureThresholdKeys.every(key => Number.isFinite(thresholds[key]) && thresholds[key] > 0) &&
+  thresholds.pinchExitRatio >= thresholds.pinchEnterRatio;
+
+try {
+  const storedCalibration = JSON.parse(localStorage.getItem(GESTURE_CALIBRATION_KEY));
+  if (storedCalibration && isValidGestureThresholds(storedCalibration.thresholds)) {
+    configSources.calibration = Object.fromEntries(gestureThresholdKeys.map(key => [key, storedCalibration.thresholds[key]]));
+  }
+} catch (error) {
+  console.warn('Ignoring stored gesture calibration:', error);
+}
+
+// All settings sources but the config file are known now; loadConfig adds that at startup
+resolveConfig().forEach(message => console.warn(`${message} - using the previous value`));
+
+// Stable hand IDs (see tracking.identifyHands): each tracker update (or played back frame) gives
+// each hand in its results one, as handIds alongside multiHandLandmarks, before anything else
+// looks at it
+let handIdentity = tracking.initialHandIdentity();
+
+const identifyHandResults = (results) => {
+  if (!results || !results.multiHandLandmarks) {
+    return results;
+  }
+  const { ids, identity } = tracking.identifyHands(handIdentity, results.multiHandLandmarks, results.multiHandedness);
+  handIdentity = identity;
+  return { ...results, handIds: ids };
+};
+
+// Per-hand filter and pinch state, by hand ID
+let handFilterStates = new Map();
+
+// Debounced pinch state for the landmarks of the current frame, filled in by filterHandResults
+const stablePinchStates = new WeakMap();
+
+const createHandFilterState = () => ({
+  filters: Array.from({ length: 21 }, () => ({
+    x: tracking.createOneEuroFilter(),
+    y: tracking.createOneEuroFilter(),
+    z: tracking.createOneEuroFilter()
+  })),
+  pinch: { pinching: false, candidateSince: null }
+});
+
+// Gesture math at the overlay's aspect ratio
+const getPinchRatio = (landmarks) => gestures.getPinchRatio(landmarks, getLandmarkAspect());
+const getIndexTipsRatio = (l, r) => gestures.getIndexTipsRatio(l, r, getLandmarkAspect());
+
+const updatePinchState = (state, landmarks, time) => gestures.updatePinchState(state, getPinchRatio(landmarks), time, {
+  enterRatio: config.pinchEnterRatio,
+  exitRatio: config.pinchExitRatio,
+  minHoldTime: config.pinchMinHoldTime
+});
+
+// Smooth a MediaPipe results object (returns a new one) and record each hand's stable pinch state
+const filterHandResults = (results, time) => {
+  if (!results || !results.multiHandLandmarks) {
+    return results;
+  }
+  
+  // Hands that disappeared start over when they come back
+  const ids = results.handIds;
+  handFilterStates.forEach((state, id) => {
+    if (!ids.includes(id)) handFilterStates.delete(id);
+  });
+  
+  const settings = getLandmarkFilterSettings();
+  const multiHandLandmarks = results.multiHandLandmarks.map((landmarks, index) => {
+    if (!landmarks || landmarks.length < 21 || ids[index] === null) return landmarks;
+    if (!handFilterStates.has(ids[index])) {
+      handFilterStates.set(ids[index], createHandFilterState());
+    }
+    const state = handFilterStates.get(ids[index]);
+    
+    const filtered = config.landmarkFilter
+      ? landmarks.map((landmark, i) => ({
+        x: state.filters[i].x(landmark.x, time, settings),
+        y: state.filters[i].y(landmark.y, time, settings),
+        z: state.filters[i].z(landmark.z, time, settings)
+      }))
+      : landmarks;
+    
+    stablePinchStates.set(filtered, updatePinchState(state.pinch, filtered, time));
+    return filtered;
+  });
+  
+  return { ...results, multiHandLandmarks };
+};
+
+// The last two live tracking updates ({results, time}), and whether the latest has been through
+// the pipeline yet
+let handUpdates = { previous: null, latest: null, handled: true };
+
+// Entry point for every frame of live hand tracking results, from the tracker (see trackFrame).
+// They wait for the next render frame (see pumpHandResults). While a recording plays back it
+// drives the hands instead, and live frames are dropped.
+const processHandResults = (results) => {
+  if (landmarkPlayback) return;
+  const time = performance.now();
+  landmarksReceivedAt = time;
+  recordHandFrame(results, time);
+  // Identified once per update, so interpolation can match the hands by ID
+  handUpdates = { previous: handUpdates.latest, latest: { results: identifyHandResults(results), time }, handled: false };
+};
+
+// Once per render frame, so rendering isn't tied to detection: the pipeline gets landmarks
+// interpolated to now (see tracking.js), or with interpolateLandmarks off each update once.
+// Nothing runs while tracking has stalled.
+const pumpHandResults = (now) => {
+  const { previous, latest, handled } = handUpdates;
+  if (!latest || landmarkPlayback) return;
+  if (!config.interpolateLandmarks) {
+    if (handled) return;
+    handUpdates.handled = true;
+    runIdentifiedHands(latest.results, latest.time);
+    return;
+  }
+  if (handled && now - latest.time > tracking.maxInterpolationGap) return;
+  handUpdates.handled = true;
+  runIdentifiedHands(tracking.interpolateHandResults(previous, latest, now), now);
+};
+
+// The rest of the hand pipeline, for results that already have their handIds
+const runIdentifiedHands = (results, time) => {
+  handleHandResults(filterHandResults(results, time), time);
+};
+
+// The whole pipeline for one update's results, as they come from a tracker
+const runHandPipeline = (results, time) => {
+  runIdentifiedHands(identifyHandResults(results), time);
+};
+
+// Landmark recordings: the raw tracker results stream with timestamps, so gestures can be
+// reproduced and the interaction logic run without a camera. Played back through the same
+// filter and gesture pipeline, with the recorded timing whatever the playback speed.
+const LANDMARK_RECORDING_FORMAT = 'shape-creator-landmarks';
+const LANDMARK_RECORDING_VERSION = 1;
+let landmarkRecording = null;
+let landmarkPlayback = null;
+
+// Five decimals is far below tracking noise and keeps recordings a fraction of the size
+const roundLandmark = ({ x, y, z }) => ({
+  x: Math.round(x * 1e5) / 1e5,
+  y: Math.round(y * 1e5) / 1e5,
+  z: Math.round(z * 1e5) / 1e5
+});
+
+const startLandmarkRecording = () => {
+  landmarkRecording = {
+    startTime: performance.now(),
+    recordedAt: new Date().toISOString(),
+    width: canvas ? canvas.width : 0,
+    height: canvas ? canvas.height : 0,
+    frames: []
+  };
+  logDebug('Recording hand landmarks');
+};
+
+const recordHandFrame = (results, time) => {
+  if (!landmarkRecording || !results) return;
+  landmarkRecording.frames.push({
+    t: Math.round(time - landmarkRecording.startTime),
+    multiHandLandmarks: (results.multiHandLandmarks || []).map(landmarks => landmarks.map(roundLandmark)),
+    multiHandedness: (results.multiHandedness || []).map(({ index, score, label }) => ({ index, score, label }))
+  });
+};
+
+// Stops recording and returns it in file form (null if nothing was being recorded)
+const stopLandmarkRecording = () => {
+  if (!landmarkRecording) return null;
+  const { recordedAt, width, height, frames } = landmarkRecording;
+  landmarkRecording = null;
+  return { format: LANDMARK_RECORDING_FORMAT, version: LANDMARK_RECORDING_VERSION, recordedAt, width, height, frames };
+};
+
+const isLandmark = (landmark) =>
+  landmark !== null && typeof landmark === 'object' && ['x', 'y', 'z'].every(key => Number.isFinite(landmark[key]));
+
+// Check a parsed recording (or JSON text) and return it; throws with a readable message if it is not usable
+const validateLandmarkRecording = (data) => {
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Invalid landmark recording: ${error.message}`);
+    }
+  }
+  if (!data || typeof data !== 'object' || data.format !== LANDMARK_RECORDING_FORMAT) {
+    throw new Error('Invalid landmark recording: not a Shape Creator landmark recording');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`Invalid landmark recording: unknown version "${data.version}"`);
+  }
+  if (data.version > LANDMARK_RECORDING_VERSION) {
+    throw new Error(`Landmark recording version ${data.version} was saved by a newer version of this app (supported: ${LANDMARK_RECORDING_VERSION})`);
+  }
+  if (!Array.isArray(data.frames)) {
+    throw new Error('Invalid landmark recording: "frames" must be an array');
+  }
+  
+  let previousTime = -Infinity;
+  data.frames.forEach((frame, index) => {
+    if (!frame || !Number.isFinite(frame.t) || frame.t < previousTime) {
+      throw new Error(`Invalid landmark recording: frame ${index} has a missing or out-of-order time`);
+    }
+    previousTime = frame.t;
+    const hands = frame.multiHandLandmarks;
+    if (!Array.isArray(hands) || !hands.every(landmarks => Array.isArray(landmarks) && landmarks.length === 21 && landmarks.every(isLandmark))) {
+      throw new Error(`Invalid landmark recording: frame ${index} needs multiHandLandmarks as lists of 21 {x, y, z} points`);
+    }
+  });
+  return data;
+};
+
+// Start the hands over, between live input and a playback. A fast playback's clock runs ahead of
+// the live one, so timers it set are brought back to now.
+const resetHandTracking = (time) => {
+  handIdentity = tracking.initialHandIdentity();
+  handUpdates = { previous: null, latest: null, handled: true };
+  handFilterStates = new Map();
+  releaseGestureRecognizers(time);
+  radialMenu.palmAnchor = null;
+  lastShapeCreationTime = Math.min(lastShapeCreationTime, performance.now());
+};
+
+// Feed a recording through the hand pipeline. speed 1 keeps the original timing, 2 plays twice as
+// fast, and Infinity plays every frame back to back (for headless runs). Resolves with the number
+// of frames played; stopLandmarkPlayback() ends it early.
+const playLandmarkRecording = async (recording, { speed = 1, onFrame = null } = {}) => {
+  const data = validateLandmarkRecording(recording);
+  if (!(speed > 0)) {
+    throw new Error('Playback speed must be greater than zero');
+  }
+  if (landmarkPlayback) {
+    stopLandmarkPlayback();
+  }
+  
+  const playback = { stopped: false };
+  landmarkPlayback = playback;
+  
+  // Frames are timed from a fresh base so the filters and gesture timers see the recorded gaps
+  const baseTime = performance.now();
+  const startTime = baseTime;
+  const firstFrameTime = data.frames.length > 0 ? data.frames[0].t : 0;
+  const liveSize = canvas ? { width: canvas.width, height: canvas.height } : null;
+  if (canvas && data.width > 0 && data.height > 0) {
+    canvas.width = data.width;
+    canvas.height = data.height;
+  }
+  resetHandTracking(baseTime);
+  
+  let played = 0;
+  try {
+    for (const frame of data.frames) {
+      if (playback.stopped) break;
+      const frameTime = frame.t - firstFrameTime;
+      if (Number.isFinite(speed)) {
+        const delay = startTime + frameTime / speed - performance.now();
+        if (delay > 0) await wait(delay);
+        if (playback.stopped) break;
+      }
+      
+      runHandPipeline({ multiHandLandmarks: frame.multiHandLandmarks, multiHandedness: frame.multiHandedness || [] }, baseTime + frameTime);
+      played++;
+      if (onFrame) onFrame(played, data.frames.length);
+    }
+  } finally {
+    const endTime = baseTime + (data.frames.length > 0 ? data.frames[data.frames.length - 1].t - firstFrameTime : 0);
+    // Hands leave at the end, so whatever they held is released as it would be live
+    runHandPipeline({ multiHandLandmarks: [], multiHandedness: [] }, endTime + 1);
+    resetHandTracking(endTime + 1);
+    if (canvas && liveSize) {
+      canvas.width = liveSize.width;
+      canvas.height = liveSize.height;
+    }
+    if (landmarkPlayback === playback) {
+      landmarkPlayback = null;
+    }
+  }
+  return played;
+};
+
+const stopLandmarkPlayback = () => {
+  if (landmarkPlayback) {
+    landmarkPlayback.stopped = true;
+    landmarkPlayback = null;
+  }
+};
+
+const saveLandmarkRecording = () => {
+  const recording = stopLandmarkRecording();
+  if (!recording) return;
+  downloadBlob(new Blob([JSON.stringify(recording)], { type: 'application/json' }), `hand-recording-${exportTimestamp()}.json`);
+  updateStatus(`Recording saved (${recording.frames.length} frames)`);
+};
+
+const playLandmarkRecordingText = async (json, speed) => {
+  try {
+    updateStatus('Playing hand recording...');
+    const played = await playLandmarkRecording(json, { speed });
+    updateStatus(`Hand recording finished (${played} frames)`);
+    return played;
+  } catch (error) {
+    console.error('Error playing hand recording:', error);
+    showNotice(error.message);
+    return 0;
+  }
+};
+
+const toggleReplayPanel = () => {
+  const existing = document.getElementById('replay-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  
+  const buttonStyle = 'background: #00FFFF; color: black; border: none; padding: 8px; margin: 3px; border-radius: 3px; cursor: pointer;';
+  const panel = document.createElement('div');
+  panel.id = 'replay-panel';
+  panel.style.cssText = 'position: fixed; bottom: 600px; right: 190px; background: rgba(0,0,0,0.85); color: white; padding: 15px; border-radius: 5px; z-index: 1000; font-family: sans-serif;';
+  panel.innerHTML = `
+    <button id="replay-record" style="${buttonStyle}"></button>
+    <button id="replay-play" style="${buttonStyle}">Play File</button>
+    <button id="replay-stop" style="${buttonStyle}">Stop</button>
+    <label style="display: block; margin-top: 10px;">Speed
+      <select id="replay-speed">
+        <option value="0.5">0.5x</option>
+        <option value="1" selected>1x</option>
+        <option value="2">2x</option>
+        <option value="4">4x</option>
+        <option value="Infinity">As fast as possible</option>
+      </select>
+    </label>
+    <input type="file" id="replay-file" accept=".json,application/json" style="display: none;">
+  `;
+  
+  const recordButton = panel.querySelector('#replay-record');
+  const updateRecordButton = () => {
+    recordButton.textContent = landmarkRecording ? 'Stop & Save Recording' : 'Record Hands';
+  };
+  updateRecordButton();
+  recordButton.addEventListener('click', () => {
+    if (landmarkRecording) {
+      saveLandmarkRecording();
+    } else {
+      startLandmarkRecording();
+      updateStatus('Recording hands...');
+    }
+    updateRecordButton();
+  });
+  
+  const fileInput = panel.querySelector('#replay-file');
+  panel.querySelector('#replay-play').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    const speed = Number(panel.querySelector('#replay-speed').value);
+    playLandmarkRecordingText(await readFile(file, true), speed);
+  });
+  panel.querySelector('#replay-stop').addEventListener('click', stopLandmarkPlayback);
+  
+  document.body.appendChild(panel);
+};
+
+// ?replay=<url>[&speed=<n>] plays a recording instead of using the camera, for runs without a
+// camera or MediaPipe. The page's data-replay attribute reads "done" or "failed" at the end.
+const getReplayOptions = () => {
+  const params = new URLSearchParams(window.location.search);
+  const url = params.get('replay');
+  if (!url) return null;
+  const speed = params.has('speed') ? Number(params.get('speed')) : 1;
+  return { url, speed };
+};
+
+const runReplayMode = async ({ url, speed }) => {
+  updateStatus(`Loading hand recording ${url}...`);
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load hand recording ${url} (HTTP ${response.status})`);
+    }
+    const played = await playLandmarkRecording(await response.text(), { speed });
+    updateStatus(`Hand recording finished (${played} frames)`);
+    document.body.dataset.replay = 'done';
+  } catch (error) {
+    console.error('Replay failed:', error);
+    showNotice(error.message);
+    document.body.dataset.replay = 'failed';
+  }
+};
+
+// Uses the debounced state from the filter stage when there is one, else a single-threshold check
+const isPinch = (landmarks) => {
+  try {
+    if (!landmarks || !landmarks[4] || !landmarks[8]) {
+      return false;
+    }
+    if (stablePinchStates.has(landmarks)) {
+      return stablePinchStates.get(landmarks);
+    }
+    return gestures.isPinch(landmarks, { aspect: getLandmarkAspect(), threshold: config.pinchEnterRatio });
+  } catch (error) {
+    console.error('Error detecting pinch:', error);
+    return false;
+  }
+};
+
+const areIndexFingersClose = (l, r) => {
+  try {
+    if (!l || !r || !l[8] || !r[8]) {
+      return false;
+    }
+    return gestures.areIndexFingersClose(l, r, { aspect: getLandmarkAspect(), threshold: config.indexesCloseRatio });
+  } catch (error) {
+    console.error('Error checking index fingers proximity:', error);
+    return false;
+  }
+};
+
+// Landmark x and y are normalized by the video width and height; this converts x to y units
+const getLandmarkAspect = () => (canvas && canvas.width && canvas.height ? canvas.width / canvas.height : 1);
+
+// Landmark to a vector in world orientation (image y points down, smaller z is closer to the camera)
+const landmarkToVector = (landmark, aspect) => new THREE.Vector3(landmark.x * aspect, -landmark.y, -landmark.z * aspect);
+
+// How much of the way to the hand's orientation a held shape turns each frame
+const handRotationSmoothing = 0.5;
+
+// Palm orientation from the wrist (0), index MCP (5) and pinky MCP (17)
+const getPalmQuaternion = (landmarks) => {
+  if (!landmarks || !landmarks[0] || !landmarks[5] || !landmarks[17]) {
+    return null;
+  }
+  
+  const aspect = getLandmarkAspect();
+  const wrist = landmarkToVector(landmarks[0], aspect);
+  const indexBase = landmarkToVector(landmarks[5], aspect);
+  const pinkyBase = landmarkToVector(landmarks[17], aspect);
+  
+  // Forward runs from the wrist to the knuckles, side across the knuckles, normal out of the palm
+  const forward = indexBase.clone().add(pinkyBase).multiplyScalar(0.5).sub(wrist);
+  const side = indexBase.clone().sub(pinkyBase);
+  if (forward.lengthSq() < 1e-8 || side.lengthSq() < 1e-8) {
+    return null;
+  }
+  forward.normalize();
+  side.sub(forward.clone().multiplyScalar(side.dot(forward))).normalize();
+  const normal = new THREE.Vector3().crossVectors(side, forward);
+  
+  return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(side, forward, normal));
+};
+
+// Depth control: a grabbed shape moves toward the camera as the hand gets bigger on screen
+// (closer), plus a little from the index tip's own depth relative to the wrist.
+const DEPTH_CALIBRATION_KEY = 'shape-creator-depth-calibration';
+const maxShapeDepth = 3;              // Shapes stay within +/- this many units of the z=0 plane
+const defaultNearHandRatio = 1.6;     // Uncalibrated: hand 1.6x bigger than at the grab = maxShapeDepth closer
+const landmarkDepthWeight = 4;        // World units per unit of index tip depth relative to the wrist
+const depthSmoothing = 0.2;           // Fraction of the way to the target depth per frame
+let depthCalibration = null;
+let latestHandResults = null;
+let calibrationInProgress = false;
+
+try {
+  depthCalibration = JSON.parse(localStorage.getItem(DEPTH_CALIBRATION_KEY));
+} catch (error) {
+  console.warn('Ignoring stored depth calibration:', error);
+}
+
+// Apparent hand size: wrist (0) to middle finger MCP (9), in units of the image height
+const getHandSize = (landmarks) => gestures.getHandSize(landmarks, getLandmarkAspect());
+
+// World units of depth per unit of relative hand size change
+const getDepthGain = () => {
+  const nearRatio = depthCalibration ? depthCalibration.nearHandSize / depthCalibration.neutralHandSize : defaultNearHandRatio;
+  return maxShapeDepth / (nearRatio - 1);
+};
+
+// The depth state of one hand drag (see handDrags)
+const startDepthDrag = (landmarks, shape) => ({
+  startHandSize: getHandSize(landmarks),
+  startTipDepth: landmarks[8].z,
+  startDepth: shape.position.z,
+  depth: shape.position.z
+});
+
+// Smoothed depth for the current frame of a hand drag
+const updateDepthDrag = (depthDrag, landmarks) => {
+  if (!depthDrag.startHandSize) return depthDrag.depth;
+  
+  const sizeChange = getHandSize(landmarks) / depthDrag.startHandSize - 1;
+  const tipChange = -(landmarks[8].z - depthDrag.startTipDepth);
+  const target = THREE.MathUtils.clamp(
+    depthDrag.startDepth + sizeChange * getDepthGain() + tipChange * landmarkDepthWeight,
+    -maxShapeDepth,
+    maxShapeDepth
+  );
+  depthDrag.depth += (target - depthDrag.depth) * depthSmoothing;
+  return depthDrag.depth;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Average of measure(hands) over a short window. measure returns null when the hands in view
+// don't fit the step (e.g. it needs two), and those frames are skipped.
+const sampleHands = async (duration, measure, missingMessage) => {
+  const samples = [];
+  const end = Date.now() + duration;
+  while (Date.now() < end) {
+    if (latestHandResults && Date.now() - latestHandResults.time < 200) {
+      const value = measure(latestHandResults.multiHandLandmarks);
+      if (value !== null) samples.push(value);
+    }
+    await wait(50);
+  }
+  if (samples.length < 5) {
+    throw new Error(missingMessage);
+  }
+  return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+};
+
+const sampleHandSize = (duration) => sampleHands(
+  duration,
+  hands => hands.length > 0 ? getHandSize(hands[0]) : null,
+  'No hand detected - keep one hand in view of the camera'
+);
+
+// Centered instruction panel shared by the calibration flows; hand input is ignored while it is up
+const createCalibrationPanel = (id) => {
+  const panel = document.createElement('div');
+  panel.id = id;
+  panel.style.cssText = 'position: fixed; top: 30%; left: 50%; transform: translateX(-50%); background: rgba(0,0,0,0.85); color: white; padding: 20px; border-radius: 5px; z-index: 1002; font-family: sans-serif; font-size: 18px; text-align: center; max-width: 400px;';
+  document.body.appendChild(panel);
+  calibrationInProgress = true;
+  return panel;
+};
+
+const closeCalibrationPanel = async (panel) => {
+  await wait(1500);
+  panel.remove();
+  calibrationInProgress = false;
+};
+
+const calibrationCountdown = async (panel, message) => {
+  for (let seconds = 3; seconds > 0; seconds--) {
+    panel.textContent = `${message} (${seconds})`;
+    await wait(1000);
+  }
+  panel.textContent = `${message} - hold still...`;
+};
+
+// Two-step calibration: the hand's size at a comfortable distance, then as close as the user wants to reach
+const runDepthCalibration = async () => {
+  if (calibrationInProgress) return;
+  
+  const panel = createCalibrationPanel('depth-calibration');
+  
+  try {
+    await calibrationCountdown(panel, 'Hold one hand at a comfortable distance from the camera');
+    const neutralHandSize = await sampleHandSize(1000);
+    
+    await calibrationCountdown(panel, 'Now bring your hand closer, as close as you want to pull shapes');
+    const nearHandSize = await sampleHandSize(1000);
+    
+    if (nearHandSize < neutralHandSize * 1.1) {
+      throw new Error('Your hand did not get much closer - try again with a bigger movement');
+    }
+    
+    depthCalibration = { neutralHandSize, nearHandSize };
+    localStorage.setItem(DEPTH_CALIBRATION_KEY, JSON.stringify(depthCalibration));
+    logDebug(`Depth calibrated (neutral ${neutralHandSize.toFixed(3)}, near ${nearHandSize.toFixed(3)})`);
+    panel.textContent = 'Depth calibrated!';
+    updateStatus('Depth calibration saved');
+  } catch (error) {
+    console.warn('Depth calibration failed:', error);
+    panel.textContent = `Calibration failed: ${error.message}`;
+  }
+  
+  await closeCalibrationPanel(panel);
+};
+
+// Turn the three recorded poses into thresholds. Pinch enter/exit sit a third and a half of the
+// way from the user's pinch to their open hand; the touch threshold allows a generous margin
+// because both hands are moving while they create shapes.
+const deriveGestureThresholds = ({ openRatio, pinchRatio, touchRatio }) => {
+  if (openRatio < pinchRatio * 1.5) {
+    throw new Error('The open hand and the pinch looked too similar - spread your fingers wider and pinch fully');
+  }
+  const span = openRatio - pinchRatio;
+  return {
+    pinchEnterRatio: pinchRatio + span / 3,
+    pinchExitRatio: pinchRatio + span / 2,
+    indexesCloseRatio: Math.max(touchRatio * 3, 0.6)
+  };
+};
+
+const resetGestureCalibration = () => {
+  localStorage.removeItem(GESTURE_CALIBRATION_KEY);
+  configSources.calibration = {};
+  applyConfig();
+  logDebug('Gesture calibration reset to defaults');
+  updateStatus('Gesture calibration reset');
+};
+
+// Three-step wizard: an open hand, a pinch, and both index fingertips touching
+const runGestureCalibration = async () => {
+  if (calibrationInProgress) return;
+  
+  const panel = createCalibrationPanel('gesture-calibration');
+  const oneHand = 'No hand detected - keep one hand in view of the camera';
+  
+  try {
+    await calibrationCountdown(panel, 'Hold one hand open with your fingers spread');
+    const openRatio = await sampleHands(1000, hands => hands.length > 0 ? getPinchRatio(hands[0]) : null, oneHand);
+    
+    await calibrationCountdown(panel, 'Now pinch your thumb and index finger together');
+    const pinchRatio = await sampleHands(1000, hands => hands.length > 0 ? getPinchRatio(hands[0]) : null, oneHand);
+    
+    await calibrationCountdown(panel, 'Now touch the tips of both index fingers together');
+    const touchRatio = await sampleHands(
+      1000,
+      hands => hands.length >= 2 ? getIndexTipsRatio(hands[0], hands[1]) : null,
+      'Both hands need to be in view of the camera'
+    );
+    
+    const recorded = { openRatio, pinchRatio, touchRatio };
+    const thresholds = deriveGestureThresholds(recorded);
+    localStorage.setItem(GESTURE_CALIBRATION_KEY, JSON.stringify({ thresholds, recorded, savedAt: Date.now() }));
+    // A new calibration replaces thresholds typed into the settings panel
+    const panelSettings = { ...configSources.panel };
+    gestureThresholdKeys.forEach(key => delete panelSettings[key]);
+    configSources.panel = panelSettings;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(panelSettings));
+    configSources.calibration = thresholds;
+    applyConfig();
+    logDebug(`Gestures calibrated (pinch ${thresholds.pinchEnterRatio.toFixed(2)}-${thresholds.pinchExitRatio.toFixed(2)}, touch ${thresholds.indexesCloseRatio.toFixed(2)} palm sizes)`);
+    panel.textContent = 'Gestures calibrated!';
+    updateStatus('Gesture calibration saved');
+  } catch (error) {
+    console.warn('Gesture calibration failed:', error);
+    panel.textContent = `Calibration failed: ${error.message}`;
+  }
+  
+  await closeCalibrationPanel(panel);
+};
+
+// A finger is extended when its tip is farther from the wrist than its middle (PIP) joint
+const isFingerExtended = (landmarks, tip, pip) => {
+  const wrist = landmarks[0];
+  const d = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  return d(landmarks[tip], wrist) > d(landmarks[pip], wrist) * 1.1;
+};
+
+// Peace sign: index and middle fingers up, ring and pinky folded
+const isVictorySign = (landmarks) => {
+  try {
+    if (!landmarks || landmarks.length < 21) {
+      return false;
+    }
+    return isFingerExtended(landmarks, 8, 6) &&
+      isFingerExtended(landmarks, 12, 10) &&
+      !isFingerExtended(landmarks, 16, 14) &&
+      !isFingerExtended(landmarks, 20, 18);
+  } catch (error) {
+    console.error('Error detecting victory sign:', error);
+    return false;
+  }
+};
+
+// Gesture registry: each recognizer reads one hand (or both) per frame and emits named gesture
+// events, and application actions subscribe to those events with onGesture. A recognizer declares
+// the landmarks it needs; a hand missing any of them counts as gone for that recognizer.
+//
+// registerGestureRecognizer(name, {
+//   hands: 1,               // 1 = run once per hand, 2 = run once with both hands
+//   landmarks: [4, 8],      // landmark indices recognize() reads
+//   recognize(state, hand, emit, time) {},  // hand is the landmarks (or [left, right] for 2)
+//   release(state, emit, time) {}           // optional: the hand went away, end anything ongoing
+// });
+//
+// emit(event, detail) calls the subscribers with { hand, handedness, landmarks, time, ...detail },
+// where hand is the hand's ID (see identifyHandResults), the same for as long as the hand stays
+// in view, and handedness its 'Left' or 'Right' label when the tracker gave one. Two-hand
+// recognizers get hand: null and hands: [left ID, right ID] (see tracking.orderHandPair).
+// Recognizers run in registration order, and state is a per-recognizer, per-hand object they can
+// keep anything in.
+const gestureRecognizers = new Map();
+const gestureListeners = new Map();
+const gestureRecognizerStates = new Map();  // Recognizer name to a Map of hand ID (IDs joined by '+' for two) to state
+let handPairOrder = null;  // The IDs of the two hands, in the order two-hand recognizers see them
+
+const registerGestureRecognizer = (name, { hands = 1, landmarks = [], recognize, release = null }) => {
+  if (typeof recognize !== 'function') {
+    throw new Error(`Gesture recognizer "${name}" needs a recognize function`);
+  }
+  if (hands !== 1 && hands !== 2) {
+    throw new Error(`Gesture recognizer "${name}" must use 1 or 2 hands`);
+  }
+  gestureRecognizers.set(name, { name, hands, landmarks, recognize, release });
+};
+
+const unregisterGestureRecognizer = (name) => {
+  gestureRecognizers.delete(name);
+  gestureRecognizerStates.delete(name);
+};
+
+// Subscribe to a gesture event; returns a function that unsubscribes
+const onGesture = (eventName, handler) => {
+  if (!gestureListeners.has(eventName)) {
+    gestureListeners.set(eventName, new Set());
+  }
+  gestureListeners.get(eventName).add(handler);
+  return () => gestureListeners.get(eventName).delete(handler);
+};
+
+const emitGesture = (eventName, detail) => {
+  // -move events come every frame; the starts and ends are enough to follow a gesture
+  if (!eventName.endsWith('-move')) logDebug(`Gesture: ${eventName}`);
+  const listeners = gestureListeners.get(eventName);
+  if (!listeners) return;
+  for (const handler of [...listeners]) {
+    try {
+      handler(detail);
+    } catch (error) {
+      console.error(`Error in ${eventName} gesture handler:`, error);
+    }
+  }
+};
+
+const hasLandmarks = (landmarks, indices) =>
+  Array.isArray(landmarks) && landmarks.length >= 21 && indices.every(index => landmarks[index]);
+
+const runRecognizer = (recognizer, key, input, present, baseDetail, time) => {
+  if (!gestureRecognizerStates.has(recognizer.name)) {
+    gestureRecognizerStates.set(recognizer.name, new Map());
+  }
+  const states = gestureRecognizerStates.get(recognizer.name);
+  const state = states.get(key);
+  const emit = (eventName, detail = {}) => emitGesture(eventName, { ...baseDetail, time, ...detail });
+  try {
+    if (present) {
+      if (!state) states.set(key, {});
+      recognizer.recognize(states.get(key), input, emit, time);
+    } else if (state) {
+      states.delete(key);
+      if (recognizer.release) recognizer.release(state, emit, time);
+    }
+  } catch (error) {
+    console.error(`Error in gesture recognizer "${recognizer.name}":`, error);
+  }
+};
+
+// Run every recognizer over this frame's hands ({ id, label, landmarks }, see getIdentifiedHands).
+// State goes by hand ID (or the pair's IDs), so it stays with its hand whatever order the tracker
+// lists them in, and a hand that is gone ends what it was doing.
+const runGestureRecognizers = (hands, time) => {
+  const pair = hands.length >= 2 ? tracking.orderHandPair(hands.slice(0, 2), handPairOrder) : null;
+  handPairOrder = pair && pair.map(hand => hand.id);
+  const inputs = {
+    1: hands.map(({ id, label, landmarks }) => ({ key: String(id), landmarks, detail: { hand: id, handedness: label } })),
+    2: pair ? [{ key: handPairOrder.join('+'), landmarks: pair.map(hand => hand.landmarks), detail: { hand: null, hands: handPairOrder } }] : []
+  };
+  
+  for (const recognizer of gestureRecognizers.values()) {
+    const seen = new Set();
+    for (const { key, landmarks, detail } of inputs[recognizer.hands]) {
+      const present = recognizer.hands === 2
+        ? landmarks.every(hand => hasLandmarks(hand, recognizer.landmarks))
+        : hasLandmarks(landmarks, recognizer.landmarks);
+      seen.add(key);
+      runRecognizer(recognizer, key, landmarks, present, { ...detail, landmarks: present ? landmarks : null }, time);
+    }
+    
+    const states = gestureRecognizerStates.get(recognizer.name);
+    for (const key of states ? [...states.keys()] : []) {
+      if (seen.has(key)) continue;
+      const ids = key.split('+').map(Number);
+      const detail = recognizer.hands === 2 ? { hand: null, hands: ids } : { hand: ids[0], handedness: null };
+      runRecognizer(recognizer, key, null, false, { ...detail, landmarks: null }, time);
+    }
   }
 };
 
-// Enhanced version of createRandomShape with more logging and safety checks
-const createRandomShape = (position) => {
-  try {
-    logDebug(`Creating shape at position (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
-    
-    // Verify that THREE.js is available
-    if (typeof THREE === 'undefined') {
-      logDebug('ERROR: THREE.js not available');
-      return null;
+// End every ongoing gesture, e.g. while a menu or calibration has taken over the hands
+const releaseGestureRecognizers = (time) => runGestureRecognizers([], time);
+
+// A pose that fires its event once after being held for holdTime ms, and again only after it is dropped
+const createPoseRecognizer = (eventName, landmarks, test, holdTime) => ({
+  landmarks,
+  recognize: (state, hand, emit, time) => {
+    if (!test(hand)) {
+      state.since = null;
+      state.fired = false;
+      return;
     }
-    
-    // Verify that scene exists
-    if (!scene) {
-      logDebug('ERROR: scene not available');
-      return null;
+    if (state.since == null) state.since = time;
+    if (!state.fired && time - state.since >= holdTime) {
+      state.fired = true;
+      emit(eventName);
+    }
+  }
+});
+
+const allLandmarks = Array.from({ length: 21 }, (_, index) => index);
+const curledFingers = (landmarks, fingers) => fingers.every(([tip, pip]) => !isFingerExtended(landmarks, tip, pip));
+const indexFinger = [8, 6];
+const otherFingers = [[12, 10], [16, 14], [20, 18]];
+
+// Thumb straight and pointing up (image y grows downwards), every other finger folded
+const isThumbsUp = (landmarks) =>
+  isFingerExtended(landmarks, 4, 3) &&
+  landmarks[4].y < landmarks[3].y && landmarks[3].y < landmarks[2].y && landmarks[4].y < landmarks[5].y &&
+  curledFingers(landmarks, [indexFinger, ...otherFingers]);
+
+const isFist = (landmarks) => curledFingers(landmarks, [indexFinger, ...otherFingers]) && !isThumbsUp(landmarks);
+
+const isPointing = (landmarks) =>
+  isFingerExtended(landmarks, ...indexFinger) && curledFingers(landmarks, otherFingers) && !isPinch(landmarks);
+
+// Swipe: the palm travels swipeSettings.distance (image heights) along one axis within
+// swipeSettings.window ms, while not pinching. Directions are as the user sees the mirrored view.
+const swipeSettings = {
+  distance: 0.25,
+  window: 300,
+  cooldown: 600  // ms before the same hand can swipe again
+};
+
+const swipeRecognizer = {
+  landmarks: [0, 4, 8, 9],
+  recognize: (state, hand, emit, time) => {
+    state.track = state.track || [];
+    if (isPinch(hand) || time < (state.cooldownUntil || 0)) {
+      state.track = [];
+      return;
     }
     
-    // Select a random geometry
-    const geometries = [
-      new THREE.BoxGeometry(1, 1, 1),
-      new THREE.SphereGeometry(0.5, 32, 32),
-      new THREE.ConeGeometry(0.5, 1, 32),
-      new THREE.CylinderGeometry(0.5, 0.5, 1, 32),
-      new THREE.TorusGeometry(0.5, 0.2, 16, 32),
-      new THREE.TetrahedronGeometry(0.6)
-    ];
-    
-    const geometryIndex = Math.floor(Math.random() * geometries.length);
-    const geometry = geometries[geometryIndex];
-    const geometryNames = ['Box', 'Sphere', 'Cone', 'Cylinder', 'Torus', 'Tetrahedron'];
-    
-    // Get a neon color
-    const color = getNextNeonColor();
-    
-    // Create a group to hold our shape parts
-    const group = new THREE.Group();
-    
-    // Create the filled mesh with semi-transparency
-    const material = new THREE.MeshBasicMaterial({ 
-      color: color, 
-      transparent: true, 
-      opacity: 0.6,
-      side: THREE.DoubleSide  // Render both sides of faces
-    });
-    const fillMesh = new THREE.Mesh(geometry, material);
-    
-    // Create wireframe outline for better visibility
-    const wireframeMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0xffffff, 
-      wireframe: true,
-      wireframeLinewidth: 2
-    });
-    const wireframeMesh = new THREE.Mesh(geometry, wireframeMaterial);
-    
-    // Add both meshes to the group
-    group.add(fillMesh);
-    group.add(wireframeMesh);
-    
-    // Set position
-    group.position.copy(position);
-    
-    // Make shape slightly larger for better visibility
-    group.scale.set(1.5, 1.5, 1.5);
-    
-    // Add to scene
-    scene.add(group);
-    
-    // Store shape in our array
-    shapes.push(group);
-    
-    // Log creation success with details
-    logDebug(`Created ${geometryNames[geometryIndex]} shape (${shapes.length} total)`);
-    updateStatus(`Created ${geometryNames[geometryIndex]} shape (${shapes.length} total)`);
+    const aspect = getLandmarkAspect();
+    state.track.push({ x: hand[9].x * aspect, y: hand[9].y, time });
+    state.track = state.track.filter(point => time - point.time <= swipeSettings.window);
     
-    // Create visual feedback effect
-    createFeedbackEffect(position);
+    const first = state.track[0];
+    const dx = hand[9].x * aspect - first.x;
+    const dy = hand[9].y - first.y;
+    const horizontal = Math.abs(dx) >= Math.abs(dy) * 2 && Math.abs(dx) >= swipeSettings.distance;
+    const vertical = Math.abs(dy) >= Math.abs(dx) * 2 && Math.abs(dy) >= swipeSettings.distance;
+    if (!horizontal && !vertical) return;
     
-    return group;
-  } catch (error) {
-    console.error('Error creating shape:', error);
-    logDebug(`ERROR creating shape: ${error.message}`);
-    updateStatus('Failed to create shape');
-    return null;
+    // The view is mirrored, so moving towards the image's left is a swipe to the user's right
+    const direction = horizontal ? (dx < 0 ? 'right' : 'left') : (dy < 0 ? 'up' : 'down');
+    state.track = [];
+    state.cooldownUntil = time + swipeSettings.cooldown;
+    emit('swipe', { direction });
   }
 };
 
-const createFeedbackEffect = (position) => {
-  try {
-    // Create a pulsing sphere effect
-    const feedbackGeometry = new THREE.SphereGeometry(0.2, 16, 16);
-    const feedbackMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0xFFFFFF, 
-      transparent: true, 
-      opacity: 0.8 
-    });
-    const feedbackMesh = new THREE.Mesh(feedbackGeometry, feedbackMaterial);
-    feedbackMesh.position.copy(position);
-    scene.add(feedbackMesh);
+// Lasso: point with the index finger for lassoSettings.holdTime ms, then draw around shapes. The
+// loop finishes when the fingertip comes back near where it started, or when the finger is
+// lowered. Emits lasso-start, lasso-move and lasso-end, each with the points so far (normalized
+// image coordinates).
+const lassoSettings = {
+  holdTime: 300,
+  closeDistance: 0.06,  // Image heights from the start that close the loop
+  minLength: 0.3        // Path length (image heights) before the loop can close
+};
+
+const endLasso = (state, emit) => {
+  if (!state.points) return;
+  const points = state.points;
+  state.points = null;
+  emit('lasso-end', { points });
+};
+
+const lassoRecognizer = {
+  landmarks: allLandmarks,
+  recognize: (state, hand, emit, time) => {
+    if (!isPointing(hand)) {
+      endLasso(state, emit);
+      state.since = null;
+      state.done = false;
+      return;
+    }
+    if (state.since == null) state.since = time;
+    if (state.done || time - state.since < lassoSettings.holdTime) return;
     
-    // Animate and remove the feedback effect
-    let scale = 1;
-    const expandAndFade = () => {
-      scale += 0.1;
-      feedbackMesh.scale.set(scale, scale, scale);
-      feedbackMaterial.opacity -= 0.05;
-      
-      if (feedbackMaterial.opacity > 0) {
-        requestAnimationFrame(expandAndFade);
-      } else {
-        scene.remove(feedbackMesh);
-      }
-    };
+    const aspect = getLandmarkAspect();
+    const tip = { x: hand[8].x, y: hand[8].y };
+    if (!state.points) {
+      state.points = [tip];
+      state.length = 0;
+      emit('lasso-start', { points: state.points });
+      return;
+    }
     
-    expandAndFade();
-  } catch (error) {
-    console.error('Error creating feedback effect:', error);
-    // Non-critical, so just log the error
-  }
+    const last = state.points[state.points.length - 1];
+    state.length += Math.hypot((tip.x - last.x) * aspect, tip.y - last.y);
+    state.points.push(tip);
+    emit('lasso-move', { points: state.points });
+    
+    const first = state.points[0];
+    if (state.length >= lassoSettings.minLength && Math.hypot((tip.x - first.x) * aspect, tip.y - first.y) <= lassoSettings.closeDistance) {
+      // Closed; the finger has to drop before the next lasso
+      state.done = true;
+      endLasso(state, emit);
+    }
+  },
+  release: (state, emit) => endLasso(state, emit)
 };
 
-const get3DCoords = (normX, normY) => {
-  try {
-    const x = (normX - 0.5) * 10;
-    const y = (0.5 - normY) * 10;
-    return new THREE.Vector3(x, y, 0);
-  } catch (error) {
-    console.error('Error calculating 3D coordinates:', error);
-    // Fallback to origin if there's an error
-    return new THREE.Vector3(0, 0, 0);
+// Stable pinch state (see filterHandResults) as start / move-every-frame / end events
+const pinchRecognizer = {
+  landmarks: [0, 4, 8, 9],
+  recognize: (state, hand, emit) => {
+    const pinching = isPinch(hand);
+    if (pinching) {
+      emit(state.pinching ? 'pinch-move' : 'pinch-start', { tip: hand[8] });
+    } else if (state.pinching) {
+      emit('pinch-end');
+    }
+    state.pinching = pinching;
+  },
+  release: (state, emit) => {
+    if (state.pinching) emit('pinch-end');
   }
 };
 
-const isPinch = (landmarks) => {
-  try {
-    if (!landmarks || !landmarks[4] || !landmarks[8]) {
-      return false;
+const twoHandPinchRecognizer = {
+  hands: 2,
+  landmarks: [0, 4, 8, 9],
+  recognize: (state, [l, r], emit) => {
+    const pinching = isPinch(l) && isPinch(r);
+    if (pinching) {
+      const left = l[8];
+      const right = r[8];
+      emit(state.pinching ? 'two-hand-pinch-move' : 'two-hand-pinch-start', {
+        left,
+        right,
+        center: { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 },
+        // Distance between the index fingers (for scaling)
+        distance: Math.hypot(left.x - right.x, left.y - right.y),
+        // Angle of the line between the index fingers (for twisting about the view axis)
+        twistAngle: Math.atan2(right.y - left.y, (right.x - left.x) * getLandmarkAspect()),
+        indexesClose: areIndexFingersClose(l, r)
+      });
+    } else if (state.pinching) {
+      emit('two-hand-pinch-end');
     }
-    const d = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
-    return d(landmarks[4], landmarks[8]) < 0.06;
-  } catch (error) {
-    console.error('Error detecting pinch:', error);
-    return false;
+    state.pinching = pinching;
+  },
+  release: (state, emit) => {
+    if (state.pinching) emit('two-hand-pinch-end');
   }
 };
 
-const areIndexFingersClose = (l, r) => {
-  try {
-    if (!l || !r || !l[8] || !r[8]) {
-      return false;
-    }
-    const d = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
-    return d(l[8], r[8]) < 0.12;
-  } catch (error) {
-    console.error('Error checking index fingers proximity:', error);
-    return false;
+// Built-in recognizers. Two-hand pinch goes first so its handlers see a frame before the
+// one-hand pinch handlers do.
+registerGestureRecognizer('two-hand-pinch', twoHandPinchRecognizer);
+registerGestureRecognizer('pinch', pinchRecognizer);
+registerGestureRecognizer('fist', createPoseRecognizer('fist', allLandmarks, isFist, 300));
+registerGestureRecognizer('open-palm', createPoseRecognizer('open-palm', allLandmarks, isOpenPalm, 300));
+registerGestureRecognizer('point', createPoseRecognizer('point', allLandmarks, isPointing, 300));
+registerGestureRecognizer('thumbs-up', createPoseRecognizer('thumbs-up', allLandmarks, isThumbsUp, 300));
+registerGestureRecognizer('swipe', swipeRecognizer);
+registerGestureRecognizer('lasso', lassoRecognizer);
+
+// Holding a peace sign (not while pinching) fires one victory event; the sign must be dropped
+// before it can fire again
+registerGestureRecognizer('victory', createPoseRecognizer('victory', allLandmarks, landmarks => isVictorySign(landmarks) && !isPinch(landmarks), 600));
+
+// Spatial index over the shapes (see spatial.js) for mouse picking in large scenes. Adding or
+// removing a shape drops it, and the next query rebuilds it. Each frame (animate and each hand
+// frame) marks it stale, and the first query after that gives the shapes that moved or were
+// resized new bounds, so frames where nothing is picked cost nothing. Bounds are a sphere around the position that
+// turning can't change, so auto-rotation leaves the index alone.
+let shapeIndex = null;
+let shapeIndexStale = true;
+const shapeIndexItems = new Map();  // Shape to its { value, bounds, position, scale } item
+
+// Radius about a shape's origin that holds all of its geometry at scale 1, from the geometries'
+// bounding spheres. Worked out once per shape; swapping a shape's geometry clears it.
+const shapeRadii = new WeakMap();
+const getShapeLocalRadius = (shape) => {
+  if (!shapeRadii.has(shape)) {
+    let radius = 0;
+    const matrix = new THREE.Matrix4();
+    shape.updateMatrixWorld();
+    shape.traverse(object => {
+      if (!object.geometry) return;
+      if (!object.geometry.boundingSphere) object.geometry.computeBoundingSphere();
+      matrix.identity();
+      for (let node = object; node !== shape; node = node.parent) matrix.premultiply(node.matrix);
+      const sphere = object.geometry.boundingSphere.clone().applyMatrix4(matrix);
+      radius = Math.max(radius, sphere.center.length() + sphere.radius);
+    });
+    shapeRadii.set(shape, radius);
   }
+  return shapeRadii.get(shape);
 };
 
-const findNearestShape = (position) => {
-  try {
-    let minDist = Infinity;
-    let closest = null;
+const getShapeRadius = (shape) => (
+  getShapeLocalRadius(shape) * Math.max(Math.abs(shape.scale.x), Math.abs(shape.scale.y), Math.abs(shape.scale.z))
+);
+
+const setShapeBounds = (item, shape) => {
+  const radius = getShapeRadius(shape);
+  const { x, y, z } = shape.position;
+  item.bounds = { min: { x: x - radius, y: y - radius, z: z - radius }, max: { x: x + radius, y: y + radius, z: z + radius } };
+  item.position.copy(shape.position);
+  item.scale.copy(shape.scale);
+};
+
+const refreshShapeIndex = () => {
+  if (!shapeIndex) {
+    shapeIndexItems.clear();
     shapes.forEach(shape => {
-      const dist = shape.position.distanceTo(position);
-      if (dist < 1.5 && dist < minDist) {
-        minDist = dist;
-        closest = shape;
-      }
+      const item = { value: shape, bounds: null, position: new THREE.Vector3(), scale: new THREE.Vector3() };
+      setShapeBounds(item, shape);
+      shapeIndexItems.set(shape, item);
+    });
+    shapeIndex = spatial.buildBVH([...shapeIndexItems.values()]);
+    shapeIndexStale = false;
+    return shapeIndex;
+  }
+
+  let moved = false;
+  shapeIndexItems.forEach((item, shape) => {
+    if (shape.position.equals(item.position) && shape.scale.equals(item.scale)) return;
+    setShapeBounds(item, shape);
+    moved = true;
+  });
+  if (moved) spatial.refitBVH(shapeIndex);
+  shapeIndexStale = false;
+  return shapeIndex;
+};
+
+const getShapeIndex = () => (!shapeIndex || shapeIndexStale ? refreshShapeIndex() : shapeIndex);
+
+// Nearest shape within config.pickRadius of a normalized screen point, measured at each shape's
+// own depth. A plain scan: measuring every shape is quicker than keeping the index fresh for it
+// (see npm run benchmark). With accept, only shapes it returns true for count.
+const findNearestShape = (normX, normY, accept = null) => {
+  try {
+    return coordinates.findNearestShape(normX, normY, accept ? shapes.filter(accept) : shapes, {
+      cameraZ: camera ? camera.position.z : null,
+      radius: config.pickRadius
     });
-    return closest;
   } catch (error) {
     console.error('Error finding nearest shape:', error);
     return null;
@@ -1050,125 +5234,350 @@ const findNearestShape = (position) => {
 
 const isInRecycleBinZone = (position) => {
   try {
-    const vector = position.clone().project(camera);
-    const screenX = ((vector.x + 1) / 2) * window.innerWidth;
-    const screenY = ((-vector.y + 1) / 2) * window.innerHeight;
-
-    const binWidth = 160;
-    const binHeight = 160;
-    const binLeft = window.innerWidth - 60 - binWidth;
-    const binTop = window.innerHeight - 60 - binHeight;
-    const binRight = binLeft + binWidth;
-    const binBottom = binTop + binHeight;
-
-    const adjustedX = window.innerWidth - screenX;
-
-    return adjustedX >= binLeft && adjustedX <= binRight && screenY >= binTop && screenY <= binBottom;
+    return coordinates.isInRecycleBinZone(position, {
+      camera,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      bin: { width: config.recycleBinWidth, height: config.recycleBinHeight, margin: config.recycleBinMargin }
+    });
   } catch (error) {
     console.error('Error checking recycle bin zone:', error);
     return false;
   }
 };
 
-// MediaPipe Hands initialization with error handling and resource preloading
-const initMediaPipeHands = async () => {
-  try {
-    updateStatus('Loading hand tracking models...');
-    
-    // Create offline fallback URLs for resources
-    const MEDIAPIPE_URLS = [
-      'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915',
-      'https://cdn.jsdelivr.net/npm/@mediapipe/hands'
-    ];
-    
-    // Test CDN connectivity before initializing
-    await testCdnConnectivity();
+// Hand tracking: the tracker picked by config.tracker (see trackers.js) turns camera frames into
+// results for processHandResults. The adapters below wrap each backend's library.
+let tracker = null;
+let trackingLoopRunning = false;
+
+// Legacy MediaPipe Hands on the main thread; results arrive through onResults during send
+const createMediaPipeHandsTracker = () => {
+  let hands = null;
+  let latest = null;
+  return {
+    name: 'mediapipe-hands',
+    usesImage: true,
+    initialize: async () => {
+      if (typeof Hands === 'undefined') {
+        await loadScriptFrom(getAssetUrls('hands'));
+      }
+      // Model file locations: the local copy and/or the CDN, see assets.js
+      let lastError = null;
+      for (const base of getAssetUrls('handsFiles')) {
+        const candidate = new Hands({ locateFile: file => `${base}/${file}` });
+        candidate.setOptions(getHandsOptions());
+        candidate.onResults((results) => {
+          latest = results;
+        });
+        try {
+          // Preload the model to avoid "Failed to fetch" errors during camera streaming
+          await candidate.initialize();
+          hands = candidate;
+          return;
+        } catch (error) {
+          console.error(`Failed to initialize with the model files from ${base}:`, error);
+          updateStatus('Trying alternate model source...');
+          lastError = error;
+        }
+      }
+      throw lastError || new Error('No hand tracking model location');
+    },
+    setOptions: (options) => {
+      if (hands) hands.setOptions(options);
+    },
+    send: async (image) => {
+      latest = null;
+      await hands.send({ image });
+      return latest && trackers.normalizeMediaPipeHandsResults(latest);
+    },
+    close: () => {
+      if (hands) hands.close();
+      hands = null;
+    }
+  };
+};
+
+// MediaPipe Hands in a worker (tracking-worker.js), so inference doesn't hold up rendering:
+// frames go to it as ImageBitmaps and results come back as messages
+const trackingWorkerStartTimeout = 30000;
+
+const canUseTrackingWorker = () => typeof Worker === 'function' && typeof OffscreenCanvas === 'function' && typeof createImageBitmap === 'function';
+
+const createTrackingWorkerTracker = () => {
+  let worker = null;
+  let pending = null;  // The frame in flight's {resolve, reject}
+  
+  const settle = (outcome, value) => {
+    const frame = pending;
+    pending = null;
+    if (frame) frame[outcome](value);
+  };
+  
+  const start = () => new Promise((resolve, reject) => {
+    worker = new Worker('tracking-worker.js');
+    let ready = false;
+    const fail = (error) => {
+      clearTimeout(timeout);
+      worker.terminate();
+      worker = null;
+      reject(error);
+    };
+    const timeout = setTimeout(() => fail(new Error('Hand tracking worker did not start in time')), trackingWorkerStartTimeout);
     
-    const hands = new Hands({ 
-      locateFile: file => {
-        // Try to use a more specific version to avoid CDN caching issues
-        return `${MEDIAPIPE_URLS[0]}/${file}`;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'ready') {
+        ready = true;
+        clearTimeout(timeout);
+        resolve();
+      } else if (data.type === 'error') {
+        fail(new Error(data.message));
+      } else if (data.type === 'results') {
+        settle('resolve', trackers.normalizeMediaPipeHandsResults(data));
+      } else if (data.type === 'frame-error') {
+        settle('reject', new Error(data.message));
       }
-    });
+    };
+    worker.onerror = (event) => {
+      if (ready) {
+        console.error('Hand tracking worker error:', event.message);
+        settle('reject', new Error(event.message));
+      } else {
+        fail(new Error(event.message || 'Hand tracking worker failed to load'));
+      }
+    };
     
-    // Reduce model complexity for better performance and less network dependency
-    hands.setOptions({ 
-      maxNumHands: 2, 
-      modelComplexity: 0,  // Use simpler model (0 instead of 1)
-      minDetectionConfidence: 0.6,  // Slightly lower threshold
-      minTrackingConfidence: 0.6    // Slightly lower threshold
+    worker.postMessage({
+      type: 'init',
+      scriptUrls: getAssetUrls('hands'),
+      fileUrls: getAssetUrls('handsFiles'),
+      options: getHandsOptions()
     });
+  });
+  
+  return {
+    name: 'mediapipe-hands (worker)',
+    usesImage: true,
+    initialize: start,
+    setOptions: (options) => {
+      if (worker) worker.postMessage({ type: 'options', options });
+    },
+    send: async (image) => {
+      const frame = await createImageBitmap(image);
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        worker.postMessage({ type: 'frame', frame }, [frame]);
+      });
+    },
+    close: () => {
+      if (worker) worker.terminate();
+      worker = null;
+      settle('reject', new Error('Hand tracking stopped'));
+    }
+  };
+};
 
-    // Set up custom error handler for MediaPipe internal errors
-    hands.onResults((results) => {
-      try {
-        handleHandResults(results);
-      } catch (error) {
-        console.error("Error in hand tracking results handler:", error);
+// MediaPipe Tasks HandLandmarker, loaded from the CDN as an ES module. It has no model
+// complexity setting; the rest map onto its options.
+const getHandLandmarkerOptions = ({ maxNumHands, minDetectionConfidence, minTrackingConfidence }) => ({
+  numHands: maxNumHands,
+  minHandDetectionConfidence: minDetectionConfidence,
+  minHandPresenceConfidence: minDetectionConfidence,
+  minTrackingConfidence
+});
+
+const createHandLandmarkerTracker = () => {
+  let landmarker = null;
+  return {
+    name: 'mediapipe-tasks',
+    usesImage: true,
+    initialize: async () => {
+      const { FilesetResolver, HandLandmarker } = await import(assets.trackerAssets.tasksVision);
+      const files = await FilesetResolver.forVisionTasks(assets.trackerAssets.tasksVisionFiles);
+      landmarker = await HandLandmarker.createFromOptions(files, {
+        baseOptions: { modelAssetPath: assets.trackerAssets.handLandmarkerModel, delegate: 'GPU' },
+        runningMode: 'VIDEO',
+        ...getHandLandmarkerOptions(getHandsOptions())
+      });
+    },
+    setOptions: (options) => {
+      if (landmarker) landmarker.setOptions(getHandLandmarkerOptions(options));
+    },
+    // Video mode wants increasing timestamps, which performance.now() times are
+    send: async (image, time) => trackers.normalizeHandLandmarkerResult(landmarker.detectForVideo(image, time)),
+    close: () => {
+      if (landmarker) landmarker.close();
+      landmarker = null;
+    }
+  };
+};
+
+// TensorFlow.js handpose: one hand, no handedness (trackers.js infers it), and its detection
+// confidence is fixed when the model loads
+const createHandposeTracker = () => {
+  let model = null;
+  return {
+    name: 'tfjs-handpose',
+    usesImage: true,
+    initialize: async () => {
+      if (!window.handpose) {
+        for (const url of assets.trackerAssets.handpose) {
+          await loadScript(url);
+        }
       }
-    });
-    
-    // Check for compatibility
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      throw new Error('MediaDevices API not supported in this browser');
+      model = await window.handpose.load({ detectionConfidence: config.minDetectionConfidence });
+    },
+    setOptions: () => {},
+    send: async (image) => {
+      const predictions = await model.estimateHands(image);
+      return trackers.normalizeHandposePredictions(predictions, {
+        width: image.videoWidth || image.width,
+        height: image.videoHeight || image.height
+      });
+    },
+    close: () => {
+      model = null;
     }
+  };
+};
+
+// Plays config.trackerRecording (a landmark recording) over and over, in place of the camera
+const createRecordingTracker = () => {
+  let replay = null;
+  return {
+    name: 'replay',
+    usesImage: false,
+    initialize: async () => {
+      const response = await fetch(config.trackerRecording);
+      if (!response.ok) {
+        throw new Error(`Could not load hand recording ${config.trackerRecording} (HTTP ${response.status})`);
+      }
+      replay = trackers.createReplayTracker(validateLandmarkRecording(await response.text()), { loop: true });
+      await replay.initialize();
+    },
+    setOptions: () => {},
+    send: (image, time) => replay.send(image, time),
+    close: () => {
+      if (replay) replay.close();
+    }
+  };
+};
+
+const trackerFactories = {
+  'mediapipe-hands': createMediaPipeHandsTracker,
+  'mediapipe-tasks': createHandLandmarkerTracker,
+  'tfjs-handpose': createHandposeTracker,
+  replay: createRecordingTracker
+};
+
+// MediaPipe Hands goes in the worker when it can, and on the main thread when the worker
+// doesn't start
+const startTracker = async (backend) => {
+  if (backend === 'mediapipe-hands' && config.trackingWorker && canUseTrackingWorker()) {
+    const workerTracker = createTrackingWorkerTracker();
+    try {
+      await workerTracker.initialize();
+      return workerTracker;
+    } catch (error) {
+      console.warn('Hand tracking worker unavailable, tracking on the main thread:', error);
+    }
+  }
+  const candidate = trackerFactories[backend]();
+  await candidate.initialize();
+  return candidate;
+};
+
+// Hand tracking initialization with error handling
+const initHandTracking = async () => {
+  try {
+    updateStatus('Loading hand tracking models...');
     
-    // Preload the model to avoid "Failed to fetch" errors during camera streaming
-    updateStatus('Preloading hand tracking models (this may take a moment)...');
-    
-    await hands.initialize()
-      .catch(error => {
-        console.error("Failed to initialize with primary CDN:", error);
-        // If primary CDN fails, try alternate CDN
-        updateStatus('Trying alternate model source...');
-        
-        // Create new hands instance with alternate CDN
-        const fallbackHands = new Hands({
-          locateFile: file => `${MEDIAPIPE_URLS[1]}/${file}`
-        });
-        
-        fallbackHands.setOptions({ 
-          maxNumHands: 2, 
-          modelComplexity: 0,
-          minDetectionConfidence: 0.6,
-          minTrackingConfidence: 0.6
-        });
-        
-        fallbackHands.onResults((results) => {
-          try {
-            handleHandResults(results);
-          } catch (error) {
-            console.error("Error in hand tracking results handler:", error);
-          }
-        });
-        
-        return fallbackHands.initialize()
-          .then(() => {
-            // Use fallback instance instead
-            hands = fallbackHands;
-          });
-      });
+    // Test connectivity to the model files before initializing
+    if (config.tracker === 'mediapipe-hands') {
+      await testAssetConnectivity();
+    }
     
-    // Set global variable for camera initialization
-    window.hands = hands;
+    if (tracker) tracker.close();
+    tracker = await startTracker(config.tracker);
     handsInitialized = true;
-    updateStatus('Hand tracking initialized successfully');
+    updateStatus(`Hand tracking initialized successfully (${tracker.name})`);
+    // A retry once the app is up has no loop to pick the new tracker up
+    if (isApplicationRunning) runTrackingLoop();
     return Promise.resolve();
   } catch (error) {
-    console.error('MediaPipe Hands initialization error:', error);
+    console.error('Hand tracking initialization error:', error);
     // Create a special offline mode for the app
     enableOfflineMode();
     return Promise.reject(new Error(`Failed to initialize hand tracking: ${error.message}`));
   }
 };
 
-// Test CDN connectivity before initializing MediaPipe
-const testCdnConnectivity = async () => {
+// Camera frames go to the tracker one at a time: the next goes once the last one's results are
+// in, so frames the camera delivers meanwhile are skipped rather than queued. A new video frame
+// is waited for where the browser can tell (requestVideoFrameCallback), else the next display
+// frame.
+const nextTrackingFrame = () => new Promise((resolve) => {
+  if (tracker && tracker.usesImage && typeof video.requestVideoFrameCallback === 'function') {
+    video.requestVideoFrameCallback(() => resolve());
+  } else {
+    requestAnimationFrame(() => resolve());
+  }
+});
+
+// One frame through the tracker
+const trackFrame = async (image, time) => {
+  const sentAt = performance.now();
+  let results;
+  try {
+    results = await tracker.send(image, time);
+  } catch (error) {
+    countFrameError(error);
+    return;
+  }
+  recordTiming('inference', performance.now() - sentAt);
+  // Reset error count on success
+  window.frameErrorCount = 0;
+  if (results) processHandResults(results);
+};
+
+const runTrackingLoop = async () => {
+  if (trackingLoopRunning) return;
+  trackingLoopRunning = true;
+  while (tracker) {
+    await nextTrackingFrame();
+    if (!tracker || !isApplicationRunning) continue;
+    if (tracker.usesImage && video.readyState < video.HAVE_CURRENT_DATA) continue;
+    try {
+      await trackFrame(tracker.usesImage ? getTrackingInput(video) : null, performance.now());
+    } catch (error) {
+      // Too many errors: offline mode has taken over
+      console.error('Error processing frame:', error);
+      if (tracker) tracker.close();
+      tracker = null;
+    }
+  }
+  trackingLoopRunning = false;
+};
+
+// Frames that fail are logged; after too many in a row hand tracking gives up for offline mode
+const countFrameError = (error) => {
+  console.warn('Error tracking hands in a frame:', error);
+  if (!window.frameErrorCount) window.frameErrorCount = 0;
+  window.frameErrorCount++;
+  if (window.frameErrorCount > 30) {
+    console.error('Too many frame processing errors, switching to offline mode');
+    flushAutosave();
+    enableOfflineMode();
+    throw new Error('Hand tracking failed - switched to offline mode');
+  }
+};
+
+// Test that the MediaPipe model files can be reached before initializing
+const testAssetConnectivity = async () => {
   try {
     updateStatus('Testing network connection...');
     
-    // Test connectivity to MediaPipe CDN with a small resource
-    const testUrl = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/hands_solution_packed_assets.data';
+    // Test connectivity to the model source with a HEAD request for one of its files
+    const testUrl = `${getAssetUrls('handsFiles')[0]}/hands_solution_packed_assets.data`;
     
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
@@ -1183,12 +5592,12 @@ const testCdnConnectivity = async () => {
     clearTimeout(timeoutId);
     
     if (!response.ok) {
-      throw new Error(`CDN connectivity test failed with status: ${response.status}`);
+      throw new Error(`Connectivity test failed with status: ${response.status}`);
     }
     
     updateStatus('Network connection successful');
   } catch (error) {
-    console.warn('CDN connectivity test failed:', error);
+    console.warn('Connectivity test failed:', error);
     updateStatus('Network issues detected - trying offline mode');
     
     // Show a warning to the user
@@ -1212,9 +5621,9 @@ const showNetworkWarning = () => {
   document.getElementById('retry-network').addEventListener('click', async () => {
     warningEl.remove();
     try {
-      await testCdnConnectivity();
-      // Reinitialize MediaPipe if connection is restored
-      await initMediaPipeHands();
+      await testAssetConnectivity();
+      // Reinitialize hand tracking if connection is restored
+      await initHandTracking();
     } catch (error) {
       console.error('Network retry failed:', error);
       showNetworkWarning();
@@ -1248,8 +5657,7 @@ const enableOfflineMode = () => {
   
   document.getElementById('clear-shapes').addEventListener('click', () => {
     // Remove all shapes
-    shapes.forEach(shape => scene.remove(shape));
-    shapes = [];
+    executeCommand(clearShapesCommand());
     updateStatus('All shapes cleared');
   });
   
@@ -1323,8 +5731,8 @@ const initCamera = async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ 
         video: { 
-          width: { ideal: 1280 },
-          height: { ideal: 720 },
+          width: { ideal: config.cameraWidth },
+          height: { ideal: config.cameraHeight },
           facingMode: 'user'
         } 
       });
@@ -1384,54 +5792,14 @@ const setupCameraStream = async (stream) => {
         canvas.width = video.videoWidth;
         canvas.height = video.videoHeight;
         
-        // Create Camera instance for MediaPipe with error handling
-        try {
-          const cameraInstance = new Camera(video, {
-            onFrame: async () => {
-              try {
-                if (window.hands && isApplicationRunning) {
-                  await window.hands.send({ image: video })
-                    .catch(error => {
-                      // Handle MediaPipe send errors without crashing
-                      console.warn('Error sending frame to MediaPipe:', error);
-                      
-                      // Count consecutive errors
-                      if (!window.frameErrorCount) window.frameErrorCount = 0;
-                      window.frameErrorCount++;
-                      
-                      // If we have too many consecutive errors, switch to offline mode
-                      if (window.frameErrorCount > 30) {
-                        console.error('Too many frame processing errors, switching to offline mode');
-                        enableOfflineMode();
-                        throw new Error('Hand tracking failed - switched to offline mode');
-                      }
-                    });
-                  
-                  // Reset error count on success
-                  window.frameErrorCount = 0;
-                }
-              } catch (error) {
-                console.error('Error processing frame:', error);
-                // Don't reject the promise, just log the error and continue
-              }
-            },
-            width: video.videoWidth,
-            height: video.videoHeight
+        // The tracking loop (runTrackingLoop) reads frames from the playing video
+        video.play()
+          .then(resolve)
+          .catch(err => {
+            console.error('Camera start error:', err);
+            setupFallbackRendering(video);
+            resolve(); // Resolve anyway to continue app initialization
           });
-          
-          cameraInstance.start()
-            .then(resolve)
-            .catch(err => {
-              console.error('Camera start error:', err);
-              // Try a fallback approach without MediaPipe Camera
-              setupFallbackRendering(video);
-              resolve(); // Resolve anyway to continue app initialization
-            });
-        } catch (cameraError) {
-          console.error('Error creating Camera instance:', cameraError);
-          setupFallbackRendering(video);
-          resolve(); // Resolve anyway to continue app initialization
-        }
       };
       
       // Handle loading errors
@@ -1445,7 +5813,7 @@ const setupCameraStream = async (stream) => {
   });
 };
 
-// Setup fallback rendering without MediaPipe Camera
+// Setup fallback rendering when the camera video won't play
 const setupFallbackRendering = (videoElement) => {
   updateStatus('Using fallback video rendering');
   
@@ -1461,4 +5829,37 @@ const setupFallbackRendering = (videoElement) => {
 };
 
 // Start the application when the document is fully loaded
-document.addEventListener('DOMContentLoaded', initApp);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', initApp);
+
+// For extending the app from other modules, and for driving it without a browser page (see test/)
+export {
+  config,
+  updateSettings,
+  resetSettings,
+  advancePhysics,
+  createShape,
+  registerGestureRecognizer,
+  unregisterGestureRecognizer,
+  onGesture,
+  initHeadless,
+  runHandPipeline,
+  playLandmarkRecording,
+  shapes,
+  selectedShape,
+  setSelection,
+  getSelectedShapes,
+  groupSelection,
+  ungroupSelection,
+  duplicateSelection,
+  deleteSelection,
+  setStressTest,
+  updateInstancedRendering,
+  serializeScene,
+  loadScene,
+  buildGltf,
+  encodeGlb,
+  buildObj,
+  importModelFile,
+  undo,
+  redo
+};
\ No newline at end of file
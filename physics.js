@@ -0,0 +1,169 @@
+// Physics for the optional physics mode: gravity, bounces off a floor and side walls, and
+// collisions between shapes treated as spheres. Pure: bodies are plain objects
+// ({position, velocity, radius, mass} with {x, y, z} vectors, which three.js vectors also are)
+// and the simulation advances in fixed steps, so the same input always gives the same result.
+
+// Seconds per step
+export const physicsTimestep = 1 / 120;
+
+// Most steps taken for one frame; after a long pause (a background tab) the simulation slows
+// down rather than trying to catch up all at once
+export const maxStepsPerFrame = 12;
+
+export const defaultPhysicsOptions = {
+  gravity: 9.8,        // Units per second squared, pulling down y
+  restitution: 0.4,    // Share of speed kept in a bounce
+  friction: 3,         // How fast sliding along the floor slows down, per second
+  floorY: -3,
+  bounds: { x: 6, z: 3 },  // Walls at +/- these x and z
+  restSpeed: 0.3,      // Bounces slower than this stop, so shapes settle instead of buzzing
+  stopSpeed: 0.05      // Sliding slower than this stops
+};
+
+// Whole steps to take for elapsed seconds plus what was left over from last time. Returns the
+// step count and the new remainder.
+export const takeFixedSteps = (accumulator, elapsed, step = physicsTimestep, maxSteps = maxStepsPerFrame) => {
+  let time = accumulator + Math.max(0, elapsed);
+  const steps = Math.min(maxSteps, Math.floor(time / step + 1e-9));
+  time -= steps * step;
+  // Anything still owed after maxSteps is dropped
+  return { steps, accumulator: Math.min(time, step) };
+};
+
+// Velocity (units per second) from timed positions ({time in ms, x, y, z}, oldest first): the
+// least-squares slope over the samples within windowMs of the latest, or zero if there is only one
+export const estimateVelocity = (samples, windowMs = 100) => {
+  const zero = { x: 0, y: 0, z: 0 };
+  if (samples.length < 2) return zero;
+  const latest = samples[samples.length - 1].time;
+  const recent = samples.filter(sample => latest - sample.time <= windowMs);
+  if (recent.length < 2) return zero;
+
+  const meanTime = recent.reduce((sum, sample) => sum + sample.time, 0) / recent.length;
+  const spread = recent.reduce((sum, sample) => sum + (sample.time - meanTime) ** 2, 0);
+  if (spread === 0) return zero;
+  const slope = (axis) => {
+    const mean = recent.reduce((sum, sample) => sum + sample[axis], 0) / recent.length;
+    return (recent.reduce((sum, sample) => sum + (sample.time - meanTime) * (sample[axis] - mean), 0) / spread) * 1000;
+  };
+  return { x: slope('x'), y: slope('y'), z: slope('z') };
+};
+
+// Bounce off a wall or the floor along one axis: push the body back inside and reverse the
+// speed heading out
+const bounce = (body, axis, limit, side, { restitution, restSpeed }) => {
+  const edge = body.position[axis] + side * body.radius;
+  if (side * (edge - limit) <= 0) return false;
+  body.position[axis] = limit - side * body.radius;
+  if (side * body.velocity[axis] > 0) {
+    const speed = body.velocity[axis] * restitution;
+    body.velocity[axis] = Math.abs(speed) < restSpeed ? 0 : -speed;
+  }
+  return true;
+};
+
+// Push two overlapping bodies apart and exchange momentum along the line between them
+const collide = (a, b, { restitution, restSpeed }) => {
+  const inverseA = a.mass === Infinity ? 0 : 1 / a.mass;
+  const inverseB = b.mass === Infinity ? 0 : 1 / b.mass;
+  if (inverseA + inverseB === 0) return;
+
+  const dx = b.position.x - a.position.x;
+  const dy = b.position.y - a.position.y;
+  const dz = b.position.z - a.position.z;
+  const distance = Math.hypot(dx, dy, dz);
+  const overlap = a.radius + b.radius - distance;
+  if (overlap <= 0) return;
+  // Bodies at the same point separate straight up
+  const normal = distance > 1e-9 ? { x: dx / distance, y: dy / distance, z: dz / distance } : { x: 0, y: 1, z: 0 };
+
+  const total = inverseA + inverseB;
+  for (const axis of ['x', 'y', 'z']) {
+    a.position[axis] -= normal[axis] * overlap * (inverseA / total);
+    b.position[axis] += normal[axis] * overlap * (inverseB / total);
+  }
+
+  const approach = ['x', 'y', 'z'].reduce((sum, axis) => sum + (b.velocity[axis] - a.velocity[axis]) * normal[axis], 0);
+  if (approach >= 0) return;
+  // Slow contacts (one shape resting on another) don't bounce
+  const impulse = (-(1 + (-approach < restSpeed ? 0 : restitution)) * approach) / total;
+  for (const axis of ['x', 'y', 'z']) {
+    a.velocity[axis] -= impulse * inverseA * normal[axis];
+    b.velocity[axis] += impulse * inverseB * normal[axis];
+  }
+};
+
+// Bodies are sorted into a grid of cells as wide as the largest body, so two that touch are
+// always in the same or neighboring cells and each body is only checked against those. Cells
+// are found by a hash of their coordinates; two cells sharing one only adds candidates.
+const cellHash = (x, y, z) => (x * 73856093) ^ (y * 19349663) ^ (z * 83492791);
+
+const buildCollisionGrid = (bodies) => {
+  const cellSize = 2 * bodies.reduce((largest, body) => Math.max(largest, body.radius), 0);
+  if (!(cellSize > 0)) return null;
+  const cells = new Map();
+  const bodyCells = bodies.map(({ position }, i) => {
+    const cell = [position.x, position.y, position.z].map(value => Math.floor(value / cellSize));
+    const hash = cellHash(...cell);
+    if (!cells.has(hash)) cells.set(hash, []);
+    cells.get(hash).push(i);
+    return cell;
+  });
+  return { cells, bodyCells };
+};
+
+// Collides body i with the bodies after it in or next to its cell, in order
+const collideNeighbors = ({ cells, bodyCells }, bodies, i, options) => {
+  const [x, y, z] = bodyCells[i];
+  const candidates = [];
+  const visited = [];
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const hash = cellHash(x + dx, y + dy, z + dz);
+        const cell = cells.get(hash);
+        if (!cell || visited.includes(hash)) continue;
+        visited.push(hash);
+        cell.forEach(j => {
+          if (j > i) candidates.push(j);
+        });
+      }
+    }
+  }
+  candidates.sort((a, b) => a - b).forEach(j => collide(bodies[i], bodies[j], options));
+};
+
+// One fixed step. Bodies with infinite mass (shapes being held) push the others but don't move.
+// Pairs are collided in the same order as checking every pair would, skipping only those that
+// were too far apart to touch at the start of the step.
+export const stepBodies = (bodies, options = defaultPhysicsOptions, dt = physicsTimestep) => {
+  const { gravity, friction, floorY, bounds, stopSpeed } = options;
+  const moving = bodies.filter(body => body.mass !== Infinity);
+
+  moving.forEach(body => {
+    body.velocity.y -= gravity * dt;
+    body.position.x += body.velocity.x * dt;
+    body.position.y += body.velocity.y * dt;
+    body.position.z += body.velocity.z * dt;
+  });
+
+  const grid = buildCollisionGrid(bodies);
+  if (grid) {
+    for (let i = 0; i < bodies.length; i++) {
+      collideNeighbors(grid, bodies, i, options);
+    }
+  }
+
+  moving.forEach(body => {
+    bounce(body, 'x', -bounds.x, -1, options);
+    bounce(body, 'x', bounds.x, 1, options);
+    bounce(body, 'z', -bounds.z, -1, options);
+    bounce(body, 'z', bounds.z, 1, options);
+    if (bounce(body, 'y', floorY, -1, options)) {
+      // Sliding along the floor slows down
+      const keep = Math.hypot(body.velocity.x, body.velocity.z) < stopSpeed ? 0 : Math.max(0, 1 - friction * dt);
+      body.velocity.x *= keep;
+      body.velocity.z *= keep;
+    }
+  });
+};
@@ -0,0 +1,56 @@
+// Adaptive quality: steps down a ladder of cheaper settings while frames take longer than the
+// budget, and back up when there has been headroom for a while. Rendering and hand tracking each
+// have their own ladder, driven by their own times, so one being slow never cheapens the other.
+// Pure: the caller measures the times, keeps a state object per ladder and applies the levels.
+
+// Best first. pixelRatio scales the device pixel ratio.
+export const renderQualityLevels = [
+  { pixelRatio: 1 },
+  { pixelRatio: 0.75 },
+  { pixelRatio: 0.5 }
+];
+
+// Best first. inputScale scales the image sent to hand tracking, and modelComplexity caps the
+// configured hand model.
+export const trackingQualityLevels = [
+  { inputScale: 1, modelComplexity: 1 },
+  { inputScale: 0.75, modelComplexity: 1 },
+  { inputScale: 0.5, modelComplexity: 1 },
+  { inputScale: 0.5, modelComplexity: 0 }
+];
+
+export const defaultQualityOptions = {
+  lowerAfterMs: 2000,      // Over budget this long before stepping down
+  raiseAfterMs: 5000,      // Headroom this long before stepping up...
+  maxRaiseAfterMs: 60000,  // ...doubling up to this every time a level turns out too slow
+  headroom: 0.75           // Share of the budget frames must stay under to count as headroom
+};
+
+export const initialQualityState = (level = 0) => ({
+  level,
+  overSince: null,
+  underSince: null,
+  raiseAfterMs: defaultQualityOptions.raiseAfterMs
+});
+
+// The state after a frame (or tracking update) that took frameMs at time now (ms), on a ladder of
+// levelCount levels. A level change restarts both timers, so each level gets a fair run before
+// the next change.
+export const stepQuality = (state, frameMs, now, budgetMs, levelCount, options = defaultQualityOptions) => {
+  const { lowerAfterMs, maxRaiseAfterMs, headroom } = options;
+  const over = frameMs > budgetMs;
+  const under = frameMs < budgetMs * headroom;
+  const next = {
+    ...state,
+    overSince: over ? (state.overSince ?? now) : null,
+    underSince: under ? (state.underSince ?? now) : null
+  };
+
+  if (over && now - next.overSince >= lowerAfterMs && state.level < levelCount - 1) {
+    return { level: state.level + 1, overSince: null, underSince: null, raiseAfterMs: Math.min(maxRaiseAfterMs, state.raiseAfterMs * 2) };
+  }
+  if (under && now - next.underSince >= state.raiseAfterMs && state.level > 0) {
+    return { ...next, level: state.level - 1, overSince: null, underSince: null };
+  }
+  return next;
+};
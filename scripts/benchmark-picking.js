@@ -0,0 +1,143 @@
+// Times shape picking with and without the spatial index, on scenes built like the app's (a
+// group per shape holding a fill and a wireframe mesh), checks both ways pick the same shapes,
+// and fails if the index is slower where the app uses it (mouse picking from
+// indexedRaycastMinItems shapes on). Nearest-shape picking is a plain scan, timed for reference. Run it with `npm install && npm run benchmark [-- <shape counts>]`.
+import { performance } from 'node:perf_hooks';
+import * as THREE from 'three';
+import { findNearestShape, defaultPickRadius } from '../coordinates.js';
+import { buildBVH, refitBVH, raycastNearest, indexedRaycastMinItems } from '../spatial.js';
+
+const counts = process.argv.slice(2).map(Number).filter(count => count > 0);
+const shapeCounts = counts.length > 0 ? counts : [100, indexedRaycastMinItems, 500, 2000];
+const queryCount = 500;
+const cameraZ = 5;
+
+// Repeatable pseudo-random numbers, so every run measures the same scenes
+let seed = 1;
+const random = () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+const geometries = [
+  new THREE.BoxGeometry(1, 1, 1),
+  new THREE.SphereGeometry(0.5, 32, 32),
+  new THREE.TorusKnotGeometry(0.4, 0.15, 100, 16)
+];
+const fill = new THREE.MeshPhongMaterial();
+const outline = new THREE.MeshBasicMaterial({ wireframe: true });
+
+const buildScene = (count) => Array.from({ length: count }, () => {
+  const geometry = geometries[Math.floor(random() * geometries.length)];
+  const shape = new THREE.Group();
+  shape.add(new THREE.Mesh(geometry, fill), new THREE.Mesh(geometry, outline));
+  shape.position.set(random() * 14 - 7, random() * 8 - 4, random() * 6 - 3);
+  shape.rotation.set(random() * Math.PI, random() * Math.PI, 0);
+  shape.scale.setScalar(0.3 + random() * 0.5);
+  shape.updateMatrixWorld();
+  return shape;
+});
+
+// As main.js bounds shapes: a sphere around the position from the geometry's bounding sphere and
+// the largest scale, which turning doesn't change
+geometries.forEach(geometry => geometry.computeBoundingSphere());
+const setBounds = (item) => {
+  const shape = item.value;
+  const { boundingSphere } = shape.children[0].geometry;
+  const radius = (boundingSphere.center.length() + boundingSphere.radius) * Math.max(shape.scale.x, shape.scale.y, shape.scale.z);
+  const { x, y, z } = shape.position;
+  item.bounds = { min: { x: x - radius, y: y - radius, z: z - radius }, max: { x: x + radius, y: y + radius, z: z + radius } };
+  item.position.copy(shape.position);
+  item.scale.copy(shape.scale);
+  return item;
+};
+
+// What the app pays each frame before its first query: a check of every shape, then new bounds
+// for those that moved and a refit when any did
+const refresh = (index, items) => {
+  let moved = false;
+  items.forEach(item => {
+    if (item.value.position.equals(item.position) && item.value.scale.equals(item.scale)) return;
+    setBounds(item);
+    moved = true;
+  });
+  if (moved) refitBVH(index);
+  return index;
+};
+
+// Milliseconds per call, over every query, after a first untimed pass to warm up the JIT
+const time = (queries, run) => {
+  queries.forEach(run);
+  const start = performance.now();
+  const results = queries.map(run);
+  return { perCall: (performance.now() - start) / queries.length, results };
+};
+
+const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+camera.position.z = cameraZ;
+camera.updateMatrixWorld();
+const raycaster = new THREE.Raycaster();
+const pickOptions = { cameraZ, radius: defaultPickRadius };
+
+const slowerAt = [];
+const rows = shapeCounts.map(count => {
+  const shapes = buildScene(count);
+  const points = Array.from({ length: queryCount }, () => ({ x: random(), y: random() }));
+
+  const items = shapes.map(shape => setBounds({ value: shape, position: new THREE.Vector3(), scale: new THREE.Vector3() }));
+  const build = time([items], buildBVH);
+  const index = build.results[0];
+
+  // Every query is a frame where one shape is being dragged (nudged back and forth, too little
+  // to change what is picked), so the indexed queries pay for a refresh and a refit each time
+  const dragged = shapes[0];
+  const drag = (i) => {
+    dragged.position.x += i % 2 === 0 ? 1e-6 : -1e-6;
+  };
+  const nearestScan = time(points, ({ x, y }, i) => {
+    drag(i);
+    return findNearestShape(x, y, shapes, pickOptions);
+  });
+
+  const raycastScan = time(points, ({ x, y }, i) => {
+    drag(i);
+    raycaster.setFromCamera(new THREE.Vector2(x * 2 - 1, y * 2 - 1), camera);
+    const [hit] = raycaster.intersectObjects(shapes, true);
+    return hit ? hit.object.parent : null;
+  });
+  const raycastIndexed = time(points, ({ x, y }, i) => {
+    drag(i);
+    raycaster.setFromCamera(new THREE.Vector2(x * 2 - 1, y * 2 - 1), camera);
+    const nearest = raycastNearest(refresh(index, items), raycaster.ray.origin, raycaster.ray.direction, shape => {
+      const [hit] = raycaster.intersectObject(shape, true);
+      return hit ? hit.distance : null;
+    });
+    return nearest ? nearest.value : null;
+  });
+
+  const same = (a, b) => a.results.every((result, i) => result === b.results[i]);
+  if (!same(raycastScan, raycastIndexed)) {
+    throw new Error(`The index picked different shapes with ${count} shapes`);
+  }
+
+  const indexed = count >= indexedRaycastMinItems;
+  if (indexed && raycastIndexed.perCall > raycastScan.perCall) slowerAt.push(count);
+
+  const ms = (value) => value.toFixed(4);
+  return {
+    shapes: count,
+    'nearest scan (ms)': ms(nearestScan.perCall),
+    'raycast scan (ms)': ms(raycastScan.perCall),
+    'raycast index (ms)': ms(raycastIndexed.perCall),
+    'build (ms)': ms(build.perCall),
+    'app uses the index': indexed ? 'yes' : 'no'
+  };
+});
+
+console.log(`Picking, ${queryCount} frames per scene with one query each. Indexed times include the per-frame refresh and refit; the app builds only when shapes are added or removed, and uses the index for mouse picking only where the last column says so.`);
+console.table(rows);
+
+if (slowerAt.length > 0) {
+  console.error(`Indexed mouse picking was slower than testing every shape with ${slowerAt.join(', ')} shapes; raise indexedRaycastMinItems in spatial.js`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,73 @@
+// Copies three.js and MediaPipe out of node_modules into a local asset directory (vendor/ by
+// default), with a manifest.json the service worker precaches from. Run it with
+// `npm install && npm run vendor [-- <dir>]`, then serve the app as usual: with the default
+// asset source ('auto') the page picks the local copy up by itself.
+import { copyFile, mkdir, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { assetVersions, localAssets, localManifestFile } from '../assets.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const nodeModules = path.join(root, 'node_modules');
+const outDir = path.resolve(root, process.argv[2] || 'vendor');
+
+// Package metadata that the app never loads
+const skippedFiles = new Set(['README.md', 'package.json', 'index.d.ts']);
+
+const packageVersions = {
+  three: assetVersions.three,
+  '@mediapipe/hands': assetVersions.hands
+};
+
+const checkInstalledVersions = async () => {
+  for (const [name, expected] of Object.entries(packageVersions)) {
+    let installed;
+    try {
+      installed = JSON.parse(await readFile(path.join(nodeModules, name, 'package.json'), 'utf8')).version;
+    } catch (error) {
+      throw new Error(`${name} is not installed - run npm install first`);
+    }
+    if (installed !== expected) {
+      throw new Error(`${name} ${installed} is installed but the app is built against ${expected}`);
+    }
+  }
+};
+
+// Copies a file, or every file in a directory, and returns the copied paths relative to outDir
+const copyAsset = async (from, to) => {
+  const source = path.join(nodeModules, from);
+  const target = path.join(outDir, to);
+  if (!(await stat(source)).isDirectory()) {
+    await mkdir(path.dirname(target), { recursive: true });
+    await copyFile(source, target);
+    return [to];
+  }
+
+  await mkdir(target, { recursive: true });
+  const copied = [];
+  for (const entry of await readdir(source, { withFileTypes: true })) {
+    if (!entry.isFile() || skippedFiles.has(entry.name)) continue;
+    await copyFile(path.join(source, entry.name), path.join(target, entry.name));
+    copied.push(`${to}/${entry.name}`);
+  }
+  return copied;
+};
+
+const vendorAssets = async () => {
+  await checkInstalledVersions();
+  await rm(outDir, { recursive: true, force: true });
+
+  const files = [];
+  for (const { path: to, from } of Object.values(localAssets)) {
+    files.push(...await copyAsset(from, to));
+  }
+
+  const manifest = { versions: assetVersions, files: [...new Set(files)].sort() };
+  await writeFile(path.join(outDir, localManifestFile), `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Copied ${manifest.files.length} files to ${path.relative(root, outDir) || '.'}`);
+};
+
+vendorAssets().catch(error => {
+  console.error(`Vendoring failed: ${error.message}`);
+  process.exitCode = 1;
+});
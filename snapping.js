@@ -0,0 +1,67 @@
+// Snapping for imprecise input: positions to a grid, angles to fixed steps, sizes to scale steps,
+// and lining a dragged shape's center or edges up with other shapes'. Pure: works on plain
+// {x, y, z} objects and numbers; main.js applies the results to the three.js shapes.
+
+// Nearest multiple of step; a step of 0 leaves the value alone
+export const snapValue = (value, step) => (step > 0 ? Math.round(value / step) * step : value);
+
+export const snapPosition = ({ x, y, z }, step) => ({
+  x: snapValue(x, step),
+  y: snapValue(y, step),
+  z: snapValue(z, step)
+});
+
+// Euler angles in radians, each to the nearest multiple of stepDegrees
+export const snapAngles = ({ x, y, z }, stepDegrees) => {
+  const step = (stepDegrees * Math.PI) / 180;
+  return { x: snapValue(x, step), y: snapValue(y, step), z: snapValue(z, step) };
+};
+
+// Never snaps a shape down to nothing: the smallest size is one step
+export const snapScale = (scale, step) => (step > 0 ? Math.max(step, snapValue(scale, step)) : scale);
+
+// Guides are drawn in the view plane: an x alignment is a vertical line, a y alignment a
+// horizontal one
+const guideAxes = { x: 'y', y: 'x' };
+
+// Both edges and the center of bounds along an axis
+const alignmentLines = (bounds, axis) => [bounds.min[axis], (bounds.min[axis] + bounds.max[axis]) / 2, bounds.max[axis]];
+
+// Lines up moving bounds ({min, max} corners) with the closest center or edge of the other
+// bounds, separately in x and y, when one is within tolerance. Returns the offset that does it
+// and a guide for each line that then matches: {axis, value, from, to}, where from and to span
+// both shapes along the other axis.
+export const findAlignments = (moving, others, tolerance) => {
+  const offset = { x: 0, y: 0, z: 0 };
+  for (const axis of Object.keys(guideAxes)) {
+    let best = null;
+    for (const other of others) {
+      for (const target of alignmentLines(other, axis)) {
+        for (const line of alignmentLines(moving, axis)) {
+          const delta = target - line;
+          if (Math.abs(delta) <= tolerance && (best === null || Math.abs(delta) < Math.abs(best))) best = delta;
+        }
+      }
+    }
+    if (best !== null) offset[axis] = best;
+  }
+
+  const guides = new Map();
+  for (const [axis, across] of Object.entries(guideAxes)) {
+    const movedLines = alignmentLines(moving, axis).map(line => line + offset[axis]);
+    for (const other of others) {
+      for (const target of alignmentLines(other, axis)) {
+        if (!movedLines.some(line => Math.abs(line - target) < 1e-6)) continue;
+        // One guide per line, long enough to reach every shape on it
+        const key = `${axis}:${target.toFixed(6)}`;
+        const from = Math.min(moving.min[across] + offset[across], other.min[across]);
+        const to = Math.max(moving.max[across] + offset[across], other.max[across]);
+        const guide = guides.get(key);
+        guides.set(key, guide
+          ? { ...guide, from: Math.min(guide.from, from), to: Math.max(guide.to, to) }
+          : { axis, value: target, from, to });
+      }
+    }
+  }
+  return { offset, guides: [...guides.values()] };
+};
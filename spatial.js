@@ -0,0 +1,141 @@
+// Bounding volume hierarchy over the shapes, so a ray only has its exact test run against the
+// shapes whose bounds it passes through instead of every one. Pure: items are {value, bounds} with bounds as
+// {min, max} corners of {x, y, z} (three.js Box3s also fit). The caller keeps item bounds up to
+// date and calls refitBVH after changing them, or buildBVH again when items come or go.
+
+const leafSize = 4;
+
+// Below this many shapes, testing every one against a ray is as quick as going through the index
+// once its per-frame refresh is counted (see npm run benchmark, which checks it still holds)
+export const indexedRaycastMinItems = 300;
+const axes = ['x', 'y', 'z'];
+
+const emptyBounds = () => ({
+  min: { x: Infinity, y: Infinity, z: Infinity },
+  max: { x: -Infinity, y: -Infinity, z: -Infinity }
+});
+
+// Written out per axis: this runs for every node on every rebuild and refit
+const growBounds = (bounds, { min, max }) => {
+  bounds.min.x = Math.min(bounds.min.x, min.x);
+  bounds.min.y = Math.min(bounds.min.y, min.y);
+  bounds.min.z = Math.min(bounds.min.z, min.z);
+  bounds.max.x = Math.max(bounds.max.x, max.x);
+  bounds.max.y = Math.max(bounds.max.y, max.y);
+  bounds.max.z = Math.max(bounds.max.z, max.z);
+  return bounds;
+};
+
+// Builds the node for entries[start, end) ({item, center} with the center worked out once),
+// splitting on the longest spread of centers with half the entries each side
+const buildNode = (entries, start, end) => {
+  const bounds = emptyBounds();
+  const centers = emptyBounds();
+  for (let i = start; i < end; i++) {
+    growBounds(bounds, entries[i].item.bounds);
+    growBounds(centers, { min: entries[i].center, max: entries[i].center });
+  }
+  if (end - start <= leafSize) {
+    return { bounds, items: entries.slice(start, end).map(entry => entry.item) };
+  }
+
+  const axis = axes.reduce((longest, next) => (
+    centers.max[next] - centers.min[next] > centers.max[longest] - centers.min[longest] ? next : longest
+  ));
+  const sorted = entries.slice(start, end).sort((a, b) => a.center[axis] - b.center[axis]);
+  sorted.forEach((entry, i) => {
+    entries[start + i] = entry;
+  });
+  const middle = start + Math.floor((end - start) / 2);
+  return { bounds, left: buildNode(entries, start, middle), right: buildNode(entries, middle, end) };
+};
+
+export const buildBVH = (items) => {
+  const entries = items.map(item => {
+    const { min, max } = item.bounds;
+    return { item, center: { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 } };
+  });
+  return { root: entries.length > 0 ? buildNode(entries, 0, entries.length) : null, size: items.length };
+};
+
+// Recomputes node bounds from the items' current bounds. The tree stays correct however far
+// items move; it only gets less tight than a fresh build.
+export const refitBVH = (bvh) => {
+  const refit = (node) => {
+    node.bounds = node.items
+      ? node.items.reduce((grown, item) => growBounds(grown, item.bounds), emptyBounds())
+      : growBounds(growBounds(emptyBounds(), refit(node.left)), refit(node.right));
+    return node.bounds;
+  };
+  if (bvh.root) refit(bvh.root);
+  return bvh;
+};
+
+// Values of the items whose bounds pass test, skipping every branch whose bounds fail it. test
+// must pass any bounds that enclose bounds it passes.
+export const queryBVH = (bvh, test) => {
+  const found = [];
+  const stack = bvh.root ? [bvh.root] : [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!test(node.bounds)) continue;
+    if (node.items) {
+      node.items.forEach(item => {
+        if (test(item.bounds)) found.push(item.value);
+      });
+    } else {
+      stack.push(node.left, node.right);
+    }
+  }
+  return found;
+};
+
+// Distance along a ray to where it enters bounds (0 if it starts inside), or null if it misses
+export const rayBoundsDistance = (origin, direction, { min, max }) => {
+  let near = 0;
+  let far = Infinity;
+  for (const axis of axes) {
+    if (direction[axis] === 0) {
+      if (origin[axis] < min[axis] || origin[axis] > max[axis]) return null;
+      continue;
+    }
+    const a = (min[axis] - origin[axis]) / direction[axis];
+    const b = (max[axis] - origin[axis]) / direction[axis];
+    near = Math.max(near, Math.min(a, b));
+    far = Math.min(far, Math.max(a, b));
+    if (near > far) return null;
+  }
+  return near;
+};
+
+// Items whose bounds a ray passes through, as {value, distance} with the nearest entry first
+export const raycastBVH = (bvh, origin, direction) => {
+  const hits = [];
+  const stack = bvh.root ? [bvh.root] : [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (rayBoundsDistance(origin, direction, node.bounds) === null) continue;
+    if (node.items) {
+      node.items.forEach(item => {
+        const distance = rayBoundsDistance(origin, direction, item.bounds);
+        if (distance !== null) hits.push({ value: item.value, distance });
+      });
+    } else {
+      stack.push(node.left, node.right);
+    }
+  }
+  return hits.sort((a, b) => a.distance - b.distance);
+};
+
+// The nearest real hit along a ray. intersect(value) gives the exact distance to an item (or
+// null for a miss) and is only asked about items whose bounds the ray enters, nearest bounds
+// first, until the next bounds start beyond the best hit so far. Returns {value, distance} or null.
+export const raycastNearest = (bvh, origin, direction, intersect) => {
+  let nearest = null;
+  for (const { value, distance } of raycastBVH(bvh, origin, direction)) {
+    if (nearest && distance > nearest.distance) break;
+    const hit = intersect(value);
+    if (hit !== null && (!nearest || hit < nearest.distance)) nearest = { value, distance: hit };
+  }
+  return nearest;
+};
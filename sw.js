@@ -0,0 +1,122 @@
+// Service worker: keeps the app working with no network after the first load. It precaches
+// the app's own files and, when `npm run vendor` has been run, the local copy of three.js and
+// MediaPipe listed in <assetPath>/manifest.json. CDN files the app fetches are cached as they
+// are used, so a CDN-backed install also keeps working offline once everything has loaded once.
+
+const CACHE_VERSION = 'v1';
+const APP_CACHE = `shape-creator-app-${CACHE_VERSION}`;
+const ASSET_CACHE = `shape-creator-assets-${CACHE_VERSION}`;
+
+const APP_FILES = [
+  './',
+  'index.html',
+  'main.js',
+  'gestures.js',
+  'coordinates.js',
+  'assets.js',
+  'config.js',
+  'snapping.js',
+  'physics.js',
+  'spatial.js',
+  'quality.js',
+  'tracking.js',
+  'trackers.js',
+  'tracking-worker.js',
+  'styles.css',
+  'recyclebin.png'
+];
+
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'unpkg.com'];
+
+// The page registers sw.js?assetPath=<dir>, matching its asset settings
+const assetPath = (new URL(self.location.href).searchParams.get('assetPath') || 'vendor').replace(/\/+$/, '');
+const assetBase = new URL(`${assetPath}/`, self.location.href).href;
+
+const precacheLocalAssets = async () => {
+  const manifestUrl = `${assetBase}manifest.json`;
+  let response;
+  try {
+    response = await fetch(manifestUrl, { cache: 'no-cache' });
+  } catch (error) {
+    response = null;
+  }
+  // No local copy: the app uses the CDN
+  if (!response || !response.ok) return;
+
+  const manifest = await response.clone().json();
+  const cache = await caches.open(ASSET_CACHE);
+  await cache.addAll(manifest.files.map(file => `${assetBase}${file}`));
+  await cache.put(manifestUrl, response);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(APP_FILES);
+    await precacheLocalAssets();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [APP_CACHE, ASSET_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('shape-creator-') && !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Local assets and CDN files never change for a given URL: serve them from the cache first
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(ASSET_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// The app's own files: the network when there is one (so updates show up), else the cache
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(APP_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// The page checks for files with HEAD requests; answer those from the cache when offline
+const headFromCache = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreMethod: true });
+    if (cached) return new Response(null, { status: cached.status, headers: cached.headers });
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method === 'HEAD') {
+    event.respondWith(headFromCache(request));
+  } else if (request.method !== 'GET') {
+    return;
+  } else if (request.url.startsWith(assetBase) || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, stat } from 'node:fs/promises';
+import { cdnAssets, localAssets, getAssetUrls } from '../assets.js';
+
+test('getAssetUrls returns the CDN URLs for the cdn source', () => {
+  assert.deepEqual(getAssetUrls('hands', { source: 'cdn', localPath: 'vendor' }), cdnAssets.hands);
+});
+
+test('getAssetUrls puts the local copy first and keeps the CDN as a fallback', () => {
+  const urls = getAssetUrls('three', { source: 'local', localPath: 'offline/assets/' });
+  assert.equal(urls[0], 'offline/assets/three/three.min.js');
+  assert.deepEqual(urls.slice(1), cdnAssets.three);
+});
+
+test('getAssetUrls rejects unknown assets', () => {
+  assert.throws(() => getAssetUrls('jquery', { source: 'cdn', localPath: 'vendor' }), /Unknown asset "jquery"/);
+});
+
+test('every asset has a CDN and a local location', () => {
+  assert.deepEqual(Object.keys(localAssets).sort(), Object.keys(cdnAssets).sort());
+});
+
+test('local assets come from the package versions the app is pinned to', async () => {
+  const { devDependencies } = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+  for (const { from } of Object.values(localAssets)) {
+    const name = from.startsWith('@') ? from.split('/').slice(0, 2).join('/') : from.split('/')[0];
+    assert.ok(devDependencies[name], `${name} is a dev dependency`);
+    await stat(new URL(`../node_modules/${from}`, import.meta.url));
+  }
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  configSchema,
+  defaultConfig,
+  validateConfigValue,
+  mergeConfig,
+  parseColor,
+  parseConfigParams,
+  parseConfigFile,
+  formatConfigValue
+} from '../config.js';
+
+test('every setting has a default that passes its own validation', () => {
+  for (const key of Object.keys(configSchema)) {
+    assert.deepEqual(validateConfigValue(key, defaultConfig[key]), defaultConfig[key], key);
+  }
+});
+
+test('validateConfigValue rejects unknown settings and out-of-range values', () => {
+  assert.throws(() => validateConfigValue('speed', 1), /Unknown setting "speed"/);
+  assert.throws(() => validateConfigValue('minDetectionConfidence', 1.5), /expected 0 to 1/);
+  assert.throws(() => validateConfigValue('maxNumHands', 1.5), /whole number/);
+  assert.throws(() => validateConfigValue('assetSource', 'ftp'), /one of cdn, local, auto/);
+  assert.throws(() => validateConfigValue('neonColors', [0x1000000]), /0xRRGGBB/);
+});
+
+test('mergeConfig layers overrides in order and keeps earlier values for bad ones', () => {
+  const { config, errors } = mergeConfig(
+    defaultConfig,
+    { pickRadius: 2, shapeCreationCooldown: 500 },
+    { pickRadius: 3, shapeCreationCooldown: -1 }
+  );
+  assert.equal(config.pickRadius, 3);
+  assert.equal(config.shapeCreationCooldown, 500);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /shapeCreationCooldown/);
+});
+
+test('mergeConfig drops overrides that would end a pinch before it starts', () => {
+  const { config, errors } = mergeConfig(defaultConfig, { pinchEnterRatio: 0.6, pickRadius: 2 });
+  assert.equal(config.pinchEnterRatio, defaultConfig.pinchEnterRatio);
+  assert.equal(config.pickRadius, defaultConfig.pickRadius);
+  assert.match(errors[0], /pinchExitRatio must not be smaller/);
+});
+
+test('parseConfigParams converts URL parameters and ignores the rest', () => {
+  const params = new URLSearchParams('?maxNumHands=1&pickRadius=2.5&neonColors=%23ff0000,00ff00&assets=local&replay=x.json');
+  assert.deepEqual(parseConfigParams(params), {
+    maxNumHands: 1,
+    pickRadius: 2.5,
+    neonColors: [0xff0000, 0x00ff00],
+    assetSource: 'local'
+  });
+  const { errors } = mergeConfig(defaultConfig, parseConfigParams(new URLSearchParams('?pickRadius=big&neonColors=red')));
+  assert.equal(errors.length, 2);
+});
+
+test('switches read on and off from URL text', () => {
+  assert.deepEqual(parseConfigParams(new URLSearchParams('?snapping=on&alignmentGuides=0')), { snapping: true, alignmentGuides: false });
+  const { config, errors } = mergeConfig(defaultConfig, parseConfigParams(new URLSearchParams('?snapping=maybe')));
+  assert.equal(config.snapping, false);
+  assert.match(errors[0], /Invalid setting "snapping": expected true or false/);
+});
+
+test('parseConfigFile accepts colors as numbers or strings', () => {
+  assert.deepEqual(parseConfigFile('{"neonColors": [16711680, "#00ff00"], "cameraWidth": 640}'), {
+    neonColors: [0xff0000, 0x00ff00],
+    cameraWidth: 640
+  });
+  assert.throws(() => parseConfigFile('[1, 2]'), /expected a JSON object/);
+  assert.ok(Number.isNaN(parseColor('#ff00')));
+});
+
+test('formatConfigValue writes colors back in the form the panel and URL read', () => {
+  assert.equal(formatConfigValue('neonColors', [0xff00ff, 0x39ff14]), '#ff00ff,#39ff14');
+  assert.equal(formatConfigValue('pickRadius', 1.5), '1.5');
+});
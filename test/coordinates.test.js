@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  get3DCoords,
+  findNearestShape,
+  projectToScreen,
+  isInRecycleBinZone,
+  defaultRecycleBin,
+  worldToHand,
+  isPointInPolygon
+} from '../coordinates.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+const viewport = { width: 1280, height: 720 };
+const camera = { fov: 75, aspect: viewport.width / viewport.height, position: { x: 0, y: 0, z: 5 } };
+
+test('get3DCoords maps the image center to the origin and the edges to +/- 5 units', () => {
+  assert.deepEqual(get3DCoords(0.5, 0.5), { x: 0, y: 0, z: 0 });
+  const topLeft = get3DCoords(0, 0, 0, 5);
+  close(topLeft.x, -5, 'x');
+  close(topLeft.y, 5, 'y');
+});
+
+test('get3DCoords shrinks the offset for planes nearer the camera', () => {
+  const near = get3DCoords(1, 0.5, 2.5, 5);
+  close(near.x, 2.5, 'x halfway to the camera');
+  assert.equal(near.z, 2.5);
+
+  const far = get3DCoords(1, 0.5, -5, 5);
+  close(far.x, 10, 'x twice as far');
+});
+
+test('findNearestShape picks the closest shape within the radius', () => {
+  const shapes = [
+    { name: 'left', position: { x: -2, y: 0, z: 0 } },
+    { name: 'center', position: { x: 0.4, y: 0, z: 0 } },
+    { name: 'right', position: { x: 1, y: 0, z: 0 } }
+  ];
+  assert.equal(findNearestShape(0.5, 0.5, shapes, { cameraZ: 5 }).name, 'center');
+  assert.equal(findNearestShape(0.3, 0.5, shapes, { cameraZ: 5 }).name, 'left');
+  assert.equal(findNearestShape(0.95, 0.05, shapes, { cameraZ: 5 }), null);
+  assert.equal(findNearestShape(0.5, 0.5, [], { cameraZ: 5 }), null);
+});
+
+test('findNearestShape measures each shape at its own depth', () => {
+  // Under the finger at x = 0.8 of the image, a shape pulled halfway to the camera sits at x = 1.5
+  const pulled = { position: { x: 1.5, y: 0, z: 2.5 } };
+  assert.equal(findNearestShape(0.8, 0.5, [pulled], { cameraZ: 5, radius: 0.1 }), pulled);
+  assert.equal(findNearestShape(0.8, 0.5, [{ position: { x: 1.5, y: 0, z: 0 } }], { cameraZ: 5, radius: 0.1 }), null);
+});
+
+test('projectToScreen matches a three.js perspective camera', () => {
+  const threeCamera = new THREE.PerspectiveCamera(camera.fov, camera.aspect, 0.1, 1000);
+  threeCamera.position.z = 5;
+  threeCamera.lookAt(0, 0, 0);
+  threeCamera.updateMatrixWorld();
+
+  for (const [x, y, z] of [[0, 0, 0], [2, -1, 0], [-3, 2, 1.5], [1, 1, -4]]) {
+    const ndc = new THREE.Vector3(x, y, z).project(threeCamera);
+    const screen = projectToScreen({ x, y, z }, camera, viewport);
+    close(screen.x, ((ndc.x + 1) / 2) * viewport.width, `x of (${x}, ${y}, ${z})`);
+    close(screen.y, ((-ndc.y + 1) / 2) * viewport.height, `y of (${x}, ${y}, ${z})`);
+  }
+
+  assert.equal(projectToScreen({ x: 0, y: 0, z: 6 }, camera, viewport), null);
+});
+
+test('isInRecycleBinZone is true only over the bin in the bottom corner', () => {
+  // World point on the z=0 plane that shows at a given pixel of the unmirrored projection
+  const halfHeight = 5 * Math.tan((camera.fov * Math.PI) / 360);
+  const atPixel = (px, py) => ({
+    x: ((px / viewport.width) * 2 - 1) * halfHeight * camera.aspect,
+    y: (1 - (py / viewport.height) * 2) * halfHeight,
+    z: 0
+  });
+
+  // The view is mirrored, so the bin's corner is on the left of the projection
+  const binCenter = atPixel(defaultRecycleBin.margin + defaultRecycleBin.width / 2, viewport.height - defaultRecycleBin.margin - defaultRecycleBin.height / 2);
+  assert.equal(isInRecycleBinZone(binCenter, { camera, viewport }), true);
+
+  assert.equal(isInRecycleBinZone({ x: 0, y: 0, z: 0 }, { camera, viewport }), false);
+  assert.equal(isInRecycleBinZone(atPixel(viewport.width - 140, viewport.height - 140), { camera, viewport }), false);
+  assert.equal(isInRecycleBinZone(atPixel(140, 140), { camera, viewport }), false);
+
+  // A bigger bin reaches further
+  const edge = atPixel(250, viewport.height - 140);
+  assert.equal(isInRecycleBinZone(edge, { camera, viewport }), false);
+  assert.equal(isInRecycleBinZone(edge, { camera, viewport, bin: { width: 250, height: 160, margin: 60 } }), true);
+});
+
+test('worldToHand undoes get3DCoords at any depth', () => {
+  for (const z of [-2, 0, 3]) {
+    const back = worldToHand(get3DCoords(0.2, 0.7, z, 5), 5);
+    close(back.x, 0.2, `x at z=${z}`);
+    close(back.y, 0.7, `y at z=${z}`);
+  }
+  assert.equal(worldToHand({ x: 0, y: 0, z: 6 }, 5), null);
+});
+
+test('isPointInPolygon handles concave outlines', () => {
+  // A U shape open at the top
+  const outline = [{ x: 0, y: 0 }, { x: 0.2, y: 0 }, { x: 0.2, y: 0.6 }, { x: 0.4, y: 0.6 }, { x: 0.4, y: 0 }, { x: 0.6, y: 0 }, { x: 0.6, y: 1 }, { x: 0, y: 1 }];
+  assert.equal(isPointInPolygon({ x: 0.1, y: 0.5 }, outline), true);
+  assert.equal(isPointInPolygon({ x: 0.3, y: 0.3 }, outline), false);
+  assert.equal(isPointInPolygon({ x: 0.3, y: 0.8 }, outline), true);
+  assert.equal(isPointInPolygon({ x: 0.7, y: 0.5 }, outline), false);
+});
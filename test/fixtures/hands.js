@@ -0,0 +1,41 @@
+// Synthetic MediaPipe hand landmarks. The hand is upright with the palm to the camera: wrist
+// at the bottom, fingers straight up, index tip at (x, y). size is the palm size (wrist to
+// middle finger MCP) in units of the image height, at a square aspect ratio.
+
+const point = (x, y, z = 0) => ({ x, y, z });
+
+// Finger joints as fractions of the palm size above the wrist: [MCP, PIP, DIP, tip]
+const fingerHeights = [1, 1.45, 1.75, 2];
+const fingerOffsets = { index: -0.25, middle: 0, ring: 0.22, pinky: 0.42 };
+
+export const hand = (x, y, { size = 0.1, pinch = false, folded = [] } = {}) => {
+  const wristY = y + size * fingerHeights[3];
+  const landmarks = [point(x, wristY)];
+
+  // Thumb (1-4) sticks out to the side, or meets the index tip when pinching
+  const thumbTip = pinch ? point(x - size * 0.28, y + size * 0.02) : point(x - size * 1.2, y + size * 0.9);
+  landmarks.push(
+    point(x - size * 0.3, wristY - size * 0.3),
+    point(x - size * 0.55, wristY - size * 0.55),
+    point((x - size * 0.55 + thumbTip.x) / 2, (wristY - size * 0.55 + thumbTip.y) / 2),
+    thumbTip
+  );
+
+  for (const [finger, offset] of Object.entries(fingerOffsets)) {
+    const fingerX = x + offset * size;
+    const isFolded = folded.includes(finger);
+    fingerHeights.forEach((height, joint) => {
+      // A folded finger curls back down towards the palm after its MCP
+      const reach = isFolded && joint > 0 ? fingerHeights[0] - (joint * 0.25) : height;
+      landmarks.push(point(fingerX, wristY - reach * size));
+    });
+  }
+
+  // The index tip is the reference point; shift the hand so it lands exactly on (x, y)
+  const dx = x - landmarks[8].x;
+  const dy = y - landmarks[8].y;
+  return landmarks.map(({ x: px, y: py, z }) => point(px + dx, py + dy, z));
+};
+
+// One frame of hands.onResults output
+export const frame = (...hands) => ({ multiHandLandmarks: hands, multiHandedness: [] });
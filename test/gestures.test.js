@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  defaultGestureThresholds,
+  getHandSize,
+  getPinchRatio,
+  isPinch,
+  areIndexFingersClose,
+  updatePinchState
+} from '../gestures.js';
+import { hand } from './fixtures/hands.js';
+
+test('getHandSize measures wrist to middle finger MCP', () => {
+  assert.ok(Math.abs(getHandSize(hand(0.5, 0.5, { size: 0.1 })) - 0.1) < 1e-9);
+  assert.ok(Math.abs(getHandSize(hand(0.5, 0.5, { size: 0.2 })) - 0.2) < 1e-9);
+});
+
+test('isPinch detects thumb and index together', () => {
+  assert.equal(isPinch(hand(0.5, 0.5, { pinch: true })), true);
+  assert.equal(isPinch(hand(0.5, 0.5)), false);
+});
+
+test('isPinch does not depend on how far the hand is from the camera', () => {
+  for (const size of [0.05, 0.1, 0.3]) {
+    assert.equal(isPinch(hand(0.5, 0.5, { size, pinch: true })), true, `pinched at size ${size}`);
+    assert.equal(isPinch(hand(0.5, 0.5, { size })), false, `open at size ${size}`);
+  }
+});
+
+test('isPinch uses the given threshold and aspect ratio', () => {
+  const pinched = hand(0.5, 0.5, { pinch: true });
+  const ratio = getPinchRatio(pinched);
+  assert.equal(isPinch(pinched, { threshold: ratio * 0.9 }), false);
+  assert.equal(isPinch(pinched, { threshold: ratio * 1.1 }), true);
+  assert.ok(getPinchRatio(pinched, 16 / 9) !== ratio);
+});
+
+test('isPinch rejects incomplete landmarks', () => {
+  assert.equal(isPinch(null), false);
+  assert.equal(isPinch([]), false);
+  const missingThumb = hand(0.5, 0.5, { pinch: true });
+  missingThumb[4] = undefined;
+  assert.equal(isPinch(missingThumb), false);
+});
+
+test('areIndexFingersClose compares the tip gap with the palm size', () => {
+  assert.equal(areIndexFingersClose(hand(0.45, 0.5), hand(0.5, 0.5)), true);
+  assert.equal(areIndexFingersClose(hand(0.3, 0.5), hand(0.7, 0.5)), false);
+
+  // The same gap counts as close for big (near) hands but not for small (far) ones
+  assert.equal(areIndexFingersClose(hand(0.4, 0.5, { size: 0.2 }), hand(0.6, 0.5, { size: 0.2 })), true);
+  assert.equal(areIndexFingersClose(hand(0.4, 0.5, { size: 0.05 }), hand(0.6, 0.5, { size: 0.05 })), false);
+
+  assert.equal(areIndexFingersClose(hand(0.45, 0.5), null), false);
+});
+
+test('updatePinchState waits out the hold time and uses separate enter and exit thresholds', () => {
+  const settings = {
+    enterRatio: defaultGestureThresholds.pinchEnterRatio,
+    exitRatio: defaultGestureThresholds.pinchExitRatio,
+    minHoldTime: 60
+  };
+  const state = { pinching: false, candidateSince: null };
+
+  assert.equal(updatePinchState(state, 0.1, 0, settings), false);
+  assert.equal(updatePinchState(state, 0.1, 30, settings), false);
+  assert.equal(updatePinchState(state, 0.1, 60, settings), true);
+
+  // Between the thresholds a pinch stays a pinch
+  assert.equal(updatePinchState(state, 0.45, 100, settings), true);
+  assert.equal(updatePinchState(state, 0.45, 500, settings), true);
+
+  // A blip past the exit threshold shorter than the hold time is ignored
+  assert.equal(updatePinchState(state, 0.8, 510, settings), true);
+  assert.equal(updatePinchState(state, 0.2, 540, settings), true);
+  assert.equal(updatePinchState(state, 0.8, 600, settings), true);
+  assert.equal(updatePinchState(state, 0.8, 660, settings), false);
+
+  // And between the thresholds an open hand stays open
+  assert.equal(updatePinchState(state, 0.45, 800, settings), false);
+});
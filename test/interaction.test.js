@@ -0,0 +1,458 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/browser.js';
+import { hand, frame } from './fixtures/hands.js';
+
+const { THREE } = globalThis;
+
+const app = await import('../main.js');
+
+app.initHeadless({ width: window.innerWidth, height: window.innerHeight });
+
+// Dragged shapes only line up with their neighbors in the test about that: the first shape's
+// type is random, so where the others would line up with it changes from run to run
+const resetSettings = () => {
+  app.resetSettings();
+  app.updateSettings({ alignmentGuides: false });
+};
+resetSettings();
+
+// Frames go through the same filter and gesture pipeline as the camera's, 30 per second
+let time = 1000;
+const play = (results, frames = 10) => {
+  for (let i = 0; i < frames; i++) {
+    time += 33;
+    app.runHandPipeline(results, time);
+  }
+};
+
+// Long moves take several frames, as they would for a real hand: one that jumps further than a
+// hand can move between frames is taken for a new hand, which lets go of what the old one held
+const glide = (from, to, frames = 10) => {
+  for (let i = 1; i <= frames; i++) {
+    const multiHandLandmarks = to.multiHandLandmarks.map((landmarks, h) => landmarks.map((point, j) => {
+      const start = from.multiHandLandmarks[h][j];
+      return { x: start.x + (point.x - start.x) * i / frames, y: start.y + (point.y - start.y) * i / frames, z: point.z };
+    }));
+    play({ ...to, multiHandLandmarks }, 1);
+  }
+};
+
+test('create, grab, move and drop a shape in the recycle bin', () => {
+  assert.equal(app.shapes.length, 0);
+
+  // Both hands pinch with the index fingers together: a new shape appears between them
+  play(frame(hand(0.48, 0.5, { pinch: true }), hand(0.52, 0.5, { pinch: true })));
+  assert.equal(app.shapes.length, 1);
+  const shape = app.shapes[0];
+  const createdScale = shape.scale.x;
+
+  // Pulling the hands apart while pinching scales it up
+  play(frame(hand(0.4, 0.5, { pinch: true }), hand(0.6, 0.5, { pinch: true })));
+  assert.ok(shape.scale.x > createdScale * 2, `scaled from ${createdScale} to ${shape.scale.x}`);
+
+  // Letting go ends the gesture; the shape stays and nothing is held
+  play(frame(hand(0.4, 0.5), hand(0.6, 0.5)));
+  assert.equal(app.shapes.length, 1);
+  assert.equal(app.selectedShape, null);
+
+  // One hand pinching over the shape grabs it
+  play(frame(hand(0.5, 0.5, { pinch: true })));
+  assert.equal(app.selectedShape, shape);
+
+  // and the shape follows the index tip
+  glide(frame(hand(0.5, 0.5, { pinch: true })), frame(hand(0.7, 0.3, { pinch: true })));
+  play(frame(hand(0.7, 0.3, { pinch: true })), 20);
+  assert.ok(Math.abs(shape.position.x - 2) < 0.05, `x = ${shape.position.x}`);
+  assert.ok(Math.abs(shape.position.y - 2) < 0.05, `y = ${shape.position.y}`);
+  const beforeBin = shape.position.clone();
+
+  // Dragged over the recycle bin (bottom right of the mirrored view) and released: deleted
+  glide(frame(hand(0.7, 0.3, { pinch: true })), frame(hand(0.04, 0.8, { pinch: true })));
+  play(frame(hand(0.04, 0.8, { pinch: true })), 20);
+  assert.equal(app.shapes.length, 1, 'still held over the bin');
+  play(frame(hand(0.04, 0.8)));
+  assert.equal(app.shapes.length, 0);
+  assert.equal(app.selectedShape, null);
+
+  // Undo brings it back from where the drag started, not from the bin
+  app.undo();
+  assert.equal(app.shapes.length, 1);
+  assert.ok(app.shapes[0].position.distanceTo(beforeBin) > 1);
+  assert.ok(app.shapes[0].position.length() < 0.1, 'back where the grab began');
+});
+
+test('a shape released outside the bin stays where it was dropped', () => {
+  const shape = app.shapes[0];
+
+  play(frame(hand(0.5, 0.5, { pinch: true })));
+  assert.equal(app.selectedShape, shape);
+  play(frame(hand(0.3, 0.6, { pinch: true })), 20);
+  play(frame(hand(0.3, 0.6)));
+
+  assert.equal(app.selectedShape, null);
+  assert.equal(app.shapes.length, 1);
+  assert.ok(Math.abs(shape.position.x + 2) < 0.05, `x = ${shape.position.x}`);
+  assert.ok(Math.abs(shape.position.y + 1) < 0.05, `y = ${shape.position.y}`);
+});
+
+test('an open second hand does not drop the shape the other hand holds', () => {
+  const shape = app.shapes[0];
+
+  play(frame(hand(0.3, 0.6, { pinch: true }), hand(0.8, 0.3)));
+  assert.equal(app.selectedShape, shape);
+  play(frame(hand(0.5, 0.5, { pinch: true }), hand(0.8, 0.3)), 20);
+  assert.equal(app.selectedShape, shape);
+  assert.ok(shape.position.length() < 0.05);
+
+  play(frame());
+  assert.equal(app.selectedShape, null);
+});
+
+test('the pick radius setting decides how close a pinch must be to grab', () => {
+  const shape = app.shapes[0];
+
+  // One world unit to the right of the shape: out of reach with a small radius...
+  app.updateSettings({ pickRadius: 0.5 });
+  play(frame(hand(0.6, 0.5, { pinch: true })));
+  assert.equal(app.selectedShape, null);
+  play(frame());
+
+  // ...and within the default one
+  resetSettings();
+  assert.equal(app.config.pickRadius, 1.5);
+  play(frame(hand(0.6, 0.5, { pinch: true })));
+  assert.equal(app.selectedShape, shape);
+  play(frame());
+});
+
+const pointing = (x, y) => hand(x, y, { folded: ['middle', 'ring', 'pinky'] });
+const near = (position, x, y, message) =>
+  assert.ok(Math.abs(position.x - x) < 0.05 && Math.abs(position.y - y) < 0.05, `${message}: (${position.x}, ${position.y})`);
+
+test('a pointing lasso selects the shapes inside it, and they move together', () => {
+  const [center] = app.shapes;
+  const centerStart = center.position.clone();
+  const upper = app.createShape({ type: 'Box', position: new THREE.Vector3(-2, 1, 0) });
+  const lower = app.createShape({ type: 'Box', position: new THREE.Vector3(-2, 0, 0) });
+
+  // Point for a moment, then draw a loop around the two new shapes and back to the start
+  play(frame(pointing(0.3, 0.25)), 15);
+  for (let step = 1; step <= 40; step++) {
+    const angle = (step / 40) * 2 * Math.PI;
+    play(frame(pointing(0.3 + 0.12 * Math.sin(angle), 0.45 - 0.2 * Math.cos(angle))), 1);
+  }
+  play(frame(pointing(0.3, 0.25)), 10);
+  play(frame());
+  assert.deepEqual(app.getSelectedShapes(), [upper, lower]);
+
+  // Dragging one of them brings the other along
+  play(frame(hand(0.3, 0.5, { pinch: true })));
+  assert.equal(app.selectedShape, lower);
+  play(frame(hand(0.3, 0.7, { pinch: true })), 20);
+  play(frame(hand(0.3, 0.7)));
+  near(lower.position, -2, -2, 'grabbed shape');
+  near(upper.position, -2, -1, 'selected shape');
+  assert.ok(center.position.equals(centerStart), 'the unselected shape stays put');
+
+  // and undo puts both back in one step
+  app.undo();
+  near(lower.position, -2, 0, 'grabbed shape after undo');
+  near(upper.position, -2, 1, 'selected shape after undo');
+});
+
+test('grouping makes the selection one shape until it is ungrouped', () => {
+  const [center, upper, lower] = app.shapes;
+  app.setSelection([upper, lower]);
+  const group = app.groupSelection('Pair');
+  assert.deepEqual(app.shapes, [center, group]);
+  assert.equal(group.userData.groupName, 'Pair');
+  near(group.position, -2, 0.5, 'group');
+
+  // The group moves as a whole
+  play(frame(hand(0.3, 0.45, { pinch: true })));
+  assert.equal(app.selectedShape, group);
+  play(frame(hand(0.5, 0.45, { pinch: true })), 20);
+  play(frame(hand(0.5, 0.45)));
+  near(group.position, 0, 0.5, 'moved group');
+
+  // and survives a save and load
+  app.loadScene(JSON.parse(JSON.stringify(app.serializeScene())));
+  const [, loaded] = app.shapes;
+  assert.equal(loaded.userData.groupName, 'Pair');
+  assert.equal(loaded.children.length, 2);
+
+  // Ungrouping puts the members back in the scene where the group had taken them
+  app.setSelection([loaded]);
+  const members = app.ungroupSelection();
+  assert.equal(app.shapes.length, 3);
+  near(members[0].position, 0, 1, 'first member');
+  near(members[1].position, 0, 0, 'second member');
+
+  app.undo();
+  assert.equal(app.shapes.length, 2);
+  assert.equal(app.shapes[1], loaded);
+});
+
+test('duplicating keeps the shape, color, scale and rotation, a little to the side', () => {
+  const cone = app.createShape({ type: 'Cone', color: 0x39FF14, position: new THREE.Vector3(2, -2, 0), scale: 1.5 });
+  cone.rotation.set(0.3, 0.6, 0);
+  const count = app.shapes.length;
+
+  app.setSelection([cone]);
+  const [copy] = app.duplicateSelection();
+  assert.equal(app.shapes.length, count + 1);
+  assert.deepEqual(app.getSelectedShapes(), [copy]);
+  assert.equal(copy.userData.shapeType, 'Cone');
+  assert.equal(copy.children[0].material.color.getHex(), 0x39FF14);
+  // The copy is selected, and its highlighted outline leaves the original's alone
+  assert.notEqual(copy.children[1].material.color.getHex(), 0xffffff);
+  assert.equal(cone.children[1].material.color.getHex(), 0xffffff);
+  assert.ok(copy.scale.equals(cone.scale));
+  assert.ok(copy.quaternion.equals(cone.quaternion));
+  assert.ok(copy.position.distanceTo(cone.position) > 0.1 && copy.position.distanceTo(cone.position) < 1);
+
+  app.undo();
+  assert.equal(app.shapes.length, count);
+  app.setSelection([]);
+});
+
+test('pinching a held shape with the other hand pulls off a copy', () => {
+  const cone = app.shapes[app.shapes.length - 1];
+  const count = app.shapes.length;
+
+  play(frame(hand(0.7, 0.7, { pinch: true }), hand(0.9, 0.2)));
+  assert.equal(app.selectedShape, cone);
+  play(frame(hand(0.7, 0.7, { pinch: true }), hand(0.72, 0.7, { pinch: true })), 5);
+  assert.equal(app.shapes.length, count + 1, 'one copy, however long the pinch lasts');
+  const copy = app.shapes[count];
+  assert.equal(copy.userData.shapeType, 'Cone');
+  assert.ok(copy.scale.equals(cone.scale));
+
+  // The first hand still holds the original and carries it on
+  play(frame(hand(0.7, 0.5, { pinch: true }), hand(0.9, 0.2)), 20);
+  assert.equal(app.selectedShape, cone);
+  play(frame());
+  near(cone.position, 2, 0, 'original');
+  assert.ok(copy.position.y < -1, 'the copy stays where it was made');
+});
+
+// The hand position that points at a world position on the z = 0 plane
+const handAt = (x, y, options) => hand(0.5 + x / 10, 0.5 - y / 10, options);
+
+test('a dragged shape lines up with a nearby shape, and lands on the grid when snapping', () => {
+  app.updateSettings({ alignmentGuides: true });
+  const anchor = app.createShape({ type: 'Box', position: new THREE.Vector3(-4, -4, 0) });
+  const box = app.createShape({ type: 'Box', position: new THREE.Vector3(-2, -3, 0) });
+
+  // Dropped a little off the anchor's column: pulled onto it
+  play(frame(handAt(-2, -3, { pinch: true })));
+  assert.equal(app.selectedShape, box);
+  play(frame(handAt(-4.1, -2, { pinch: true })), 20);
+  play(frame());
+  assert.ok(Math.abs(box.position.x - anchor.position.x) < 1e-6, `x = ${box.position.x}`);
+
+  // With snapping on (and no guides) it lands on the nearest half unit
+  app.updateSettings({ snapping: true, gridStep: 0.5, alignmentGuides: false });
+  const grab = frame(handAt(box.position.x, box.position.y, { pinch: true }));
+  play(grab);
+  assert.equal(app.selectedShape, box);
+  glide(grab, frame(handAt(-1.27, -1.22, { pinch: true })));
+  play(frame(handAt(-1.27, -1.22, { pinch: true })), 20);
+  play(frame());
+  assert.ok(Math.abs(box.position.x + 1.5) < 1e-6 && Math.abs(box.position.y + 1) < 1e-6, `(${box.position.x}, ${box.position.y})`);
+  resetSettings();
+});
+
+test('each hand holds and moves its own shape, whatever order the hands are listed in', () => {
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  const box = app.createShape({ type: 'Box', position: new THREE.Vector3(-3, 0, 0) });
+  const ball = app.createShape({ type: 'Sphere', position: new THREE.Vector3(3, 0, 0) });
+
+  // Both hands pinch at once, each over its own shape
+  play(frame(handAt(-3, 0, { pinch: true }), handAt(3, 0, { pinch: true })));
+  play(frame(handAt(-2, 1, { pinch: true }), handAt(2, -1, { pinch: true })), 20);
+  near(box.position, -2, 1, 'box');
+  near(ball.position, 2, -1, 'ball');
+
+  // The tracker lists the hands the other way round: nothing changes hands
+  play(frame(handAt(2, -1.5, { pinch: true }), handAt(-2, 1.5, { pinch: true })), 20);
+  near(box.position, -2, 1.5, 'box after the swap');
+  near(ball.position, 2, -1.5, 'ball after the swap');
+
+  // One lets go, and the other carries on with its shape
+  play(frame(handAt(-2, 1.5), handAt(2, -1.5, { pinch: true })));
+  play(frame(handAt(2, -2, { pinch: true })), 20);
+  near(ball.position, 2, -2, 'ball');
+  near(box.position, -2, 1.5, 'the box stays where it was let go');
+  play(frame());
+  assert.equal(app.selectedShape, null);
+});
+
+test('in physics mode a released shape flies on at the hand\'s speed and lands on the floor', () => {
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  app.updateSettings({ physics: true });
+  const ball = app.createShape({ type: 'Sphere', position: new THREE.Vector3(-3, 2, 0), scale: 1 });
+
+  // Grab it and swing right at 0.3 units a frame, letting go on the way
+  play(frame(handAt(-3, 2, { pinch: true })));
+  assert.equal(app.selectedShape, ball);
+  let x = -3;
+  for (let i = 0; i < 6; i++) play(frame(handAt(x += 0.3, 2, { pinch: true })), 1);
+  for (let i = 0; i < 4; i++) play(frame(handAt(x += 0.3, 2)), 1);
+  assert.equal(app.selectedShape, null);
+
+  // 60 frames a second
+  const advance = (seconds) => {
+    for (let i = 0; i < seconds * 60; i++) app.advancePhysics(1 / 60);
+  };
+  const released = ball.position.clone();
+  advance(0.2);
+  assert.ok(ball.position.x > released.x + 1, `thrown from ${released.x} to ${ball.position.x}`);
+  assert.ok(ball.position.y < released.y, 'and falling');
+
+  advance(5);
+  // A sphere's body is the sphere itself
+  const radius = ball.children[0].geometry.boundingSphere.radius * ball.scale.x;
+  assert.ok(Math.abs(ball.position.y - (app.config.floorHeight + radius)) < 1e-6, `resting at y = ${ball.position.y}`);
+  resetSettings();
+});
+
+test('physics holds still while there are more shapes than it can keep up with', () => {
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  app.updateSettings({ physics: true, physicsMaxShapes: 1 });
+  const box = app.createShape({ type: 'Box', position: new THREE.Vector3(-2, 2, 0) });
+  const ball = app.createShape({ type: 'Sphere', position: new THREE.Vector3(2, 2, 0) });
+  for (let i = 0; i < 30; i++) app.advancePhysics(1 / 60);
+  near(box.position, -2, 2, 'box');
+  near(ball.position, 2, 2, 'ball');
+
+  app.setSelection([box]);
+  app.deleteSelection();
+  assert.equal(app.shapes.length, 1);
+  for (let i = 0; i < 30; i++) app.advancePhysics(1 / 60);
+  assert.ok(ball.position.y < 2, 'falls once there are few enough');
+  resetSettings();
+});
+
+test('shapes share geometry and materials, and a deleted shape frees its own once undo cannot bring it back', () => {
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  const first = app.createShape({ type: 'Box', color: 0xff00ff });
+  const second = app.createShape({ type: 'Box', color: 0xff00ff, position: new THREE.Vector3(2, 0, 0) });
+  first.children.forEach((mesh, i) => {
+    assert.equal(mesh.geometry, second.children[i].geometry);
+    assert.equal(mesh.material, second.children[i].material);
+  });
+
+  const text = app.createShape({ type: 'Text', text: 'hi', position: new THREE.Vector3(-2, 0, 0) });
+  const disposed = [];
+  text.children[0].geometry.addEventListener('dispose', () => disposed.push('text'));
+  first.children[0].geometry.addEventListener('dispose', () => disposed.push('box'));
+
+  app.setSelection([text]);
+  app.deleteSelection();
+  app.undo();
+  app.redo();
+  assert.deepEqual(disposed, [], 'deleted but still undoable');
+
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  assert.deepEqual([...new Set(disposed)], ['text'], 'the shared box geometry stays');
+});
+
+test('the stress test spawns shapes that draw as a few instanced meshes', () => {
+  app.updateSettings({ stressShapeCount: 400, instancingMinShapes: 20 });
+  app.setStressTest(true);
+  assert.equal(app.shapes.length, 400);
+  const scene = app.shapes[0].parent;
+  const meshes = app.shapes.flatMap(shape => shape.children);
+
+  app.updateInstancedRendering();
+  const batches = scene.children.filter(object => object.isInstancedMesh);
+  // One per type and color for the fills, one per type for the outlines
+  assert.ok(batches.length < meshes.length / 4, `${batches.length} batches`);
+  assert.equal(batches.reduce((sum, batch) => sum + batch.count, 0), meshes.length);
+  assert.ok(meshes.every(mesh => !mesh.visible));
+
+  // Below the threshold (or with instancing off) every shape draws itself again
+  app.updateSettings({ instancingMinShapes: 1000 });
+  app.updateInstancedRendering();
+  assert.equal(scene.children.filter(object => object.isInstancedMesh).length, 0);
+  assert.ok(meshes.every(mesh => mesh.visible));
+
+  app.setStressTest(false);
+  assert.equal(app.shapes.length, 0);
+  app.undo();
+  assert.equal(app.shapes.length, 400);
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  resetSettings();
+});
+
+test('each hand drag is one undo step, which redo puts back where the shape was dropped', () => {
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  const shape = app.createShape({ type: 'Box' });
+
+  play(frame(hand(0.5, 0.5, { pinch: true })));
+  glide(frame(hand(0.5, 0.5, { pinch: true })), frame(hand(0.7, 0.3, { pinch: true })));
+  play(frame(hand(0.7, 0.3, { pinch: true })), 20);
+  play(frame(hand(0.7, 0.3)));
+  const firstDrop = shape.position.clone();
+  near(firstDrop, 2, 2, 'first drop');
+
+  play(frame(hand(0.7, 0.3, { pinch: true })));
+  glide(frame(hand(0.7, 0.3, { pinch: true })), frame(hand(0.3, 0.6, { pinch: true })));
+  play(frame(hand(0.3, 0.6, { pinch: true })), 20);
+  play(frame(hand(0.3, 0.6)));
+  const secondDrop = shape.position.clone();
+  near(secondDrop, -2, -1, 'second drop');
+
+  app.undo();
+  assert.ok(shape.position.equals(firstDrop));
+  app.undo();
+  assert.ok(shape.position.length() < 1e-9, 'back where it was created');
+  app.redo();
+  assert.ok(shape.position.equals(firstDrop));
+  app.redo();
+  assert.ok(shape.position.equals(secondDrop));
+
+  // Before the drags, the shape was created
+  app.undo();
+  app.undo();
+  app.undo();
+  assert.equal(app.shapes.length, 0);
+  app.redo();
+  assert.deepEqual(app.shapes, [shape]);
+
+  // A new edit drops what was left to redo
+  app.createShape({ type: 'Sphere', position: new THREE.Vector3(2, 0, 0) });
+  app.redo();
+  assert.ok(shape.position.length() < 1e-9);
+});
+
+test('a held shape stays held while the pinch loosens short of letting go, or opens for a single frame', () => {
+  app.loadScene({ format: 'shape-creator-scene', version: 4, shapes: [] });
+  app.updateSettings({ landmarkFilter: false });
+  const shape = app.createShape({ type: 'Box' });
+
+  // Thumb tip below the index tip, the given number of palm sizes away
+  const loosened = (x, y, ratio) => hand(x, y).map((point, i) => (i === 4 ? { x, y: y + 0.1 * ratio, z: 0 } : point));
+  const between = (app.config.pinchEnterRatio + app.config.pinchExitRatio) / 2;
+
+  // Between the two distances a pinch doesn't start...
+  play(frame(loosened(0.5, 0.5, between)));
+  assert.equal(app.selectedShape, null);
+
+  // ...and one that has started doesn't end
+  play(frame(hand(0.5, 0.5, { pinch: true })));
+  assert.equal(app.selectedShape, shape);
+  play(frame(loosened(0.5, 0.5, between)), 20);
+  assert.equal(app.selectedShape, shape);
+
+  // A frame of open hand is shorter than the debounce time
+  play(frame(loosened(0.5, 0.5, 2)), 1);
+  play(frame(hand(0.5, 0.5, { pinch: true })), 1);
+  assert.equal(app.selectedShape, shape);
+
+  play(frame(loosened(0.5, 0.5, 2)), 3);
+  assert.equal(app.selectedShape, null);
+  resetSettings();
+});
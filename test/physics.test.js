@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  physicsTimestep,
+  maxStepsPerFrame,
+  defaultPhysicsOptions,
+  takeFixedSteps,
+  estimateVelocity,
+  stepBodies
+} from '../physics.js';
+
+const close = (actual, expected, message, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${message}: ${actual} != ${expected}`);
+
+const body = (x, y, { velocity = {}, radius = 0.5, mass = 1 } = {}) => ({
+  position: { x, y, z: 0 },
+  velocity: { x: 0, y: 0, z: 0, ...velocity },
+  radius,
+  mass
+});
+
+const run = (bodies, seconds, options = defaultPhysicsOptions) => {
+  for (let i = 0; i < Math.round(seconds / physicsTimestep); i++) stepBodies(bodies, options);
+};
+
+test('takeFixedSteps runs whole steps, carries the rest and drops a long pause', () => {
+  const { steps, accumulator } = takeFixedSteps(0, 0.05);
+  assert.equal(steps, 6);
+  close(accumulator, 0, 'remainder');
+
+  const next = takeFixedSteps(0.004, 0.006);
+  assert.equal(next.steps, 1);
+  close(next.accumulator, 0.01 - physicsTimestep, 'carried');
+
+  const paused = takeFixedSteps(0, 5);
+  assert.equal(paused.steps, maxStepsPerFrame);
+  assert.ok(paused.accumulator <= physicsTimestep);
+});
+
+test('estimateVelocity fits the recent samples and ignores older ones', () => {
+  // Still for a while, then 2 units per second to the right
+  const samples = [
+    { time: 0, x: 5, y: 0, z: 0 },
+    { time: 100, x: 5, y: 0, z: 0 },
+    ...[0, 1, 2, 3].map(i => ({ time: 200 + i * 33, x: i * 0.066, y: 1, z: 0 }))
+  ];
+  const velocity = estimateVelocity(samples);
+  close(velocity.x, 2, 'x');
+  close(velocity.y, 0, 'y');
+  assert.deepEqual(estimateVelocity(samples.slice(0, 1)), { x: 0, y: 0, z: 0 });
+});
+
+test('a dropped body falls, bounces and comes to rest on the floor', () => {
+  const falling = body(0, 2);
+  run([falling], 0.3);
+  assert.ok(falling.velocity.y < -2, 'picks up speed');
+  run([falling], 3);
+  close(falling.position.y, defaultPhysicsOptions.floorY + falling.radius, 'resting height');
+  assert.equal(falling.velocity.y, 0);
+});
+
+test('equal bodies swap speeds in an elastic collision, and a held body does not move', () => {
+  const options = { ...defaultPhysicsOptions, gravity: 0, restitution: 1, floorY: -100 };
+  const left = body(-1, 0, { velocity: { x: 2 } });
+  const right = body(1, 0);
+  run([left, right], 1, options);
+  close(left.velocity.x, 0, 'left', 1e-3);
+  close(right.velocity.x, 2, 'right', 1e-3);
+
+  const held = body(0, 0, { mass: Infinity });
+  const thrown = body(-2, 0, { velocity: { x: 3 } });
+  run([held, thrown], 1, options);
+  assert.deepEqual(held.position, { x: 0, y: 0, z: 0 });
+  assert.ok(thrown.velocity.x < 0, 'bounced back');
+});
+
+test('the same start gives the same result', () => {
+  const scene = () => [body(0, 1, { velocity: { x: 1.3 } }), body(0.4, 3), body(-1, 0, { radius: 0.8, mass: 4 })];
+  const first = scene();
+  const second = scene();
+  run(first, 2);
+  run(second, 2);
+  assert.deepEqual(first, second);
+});
+
+test('a crowd of bodies piles up without passing through each other', () => {
+  const crowd = Array.from({ length: 60 }, (_, i) => body((i % 10) - 4.5, Math.floor(i / 10) * 1.2, { radius: 0.4 + (i % 3) * 0.05 }));
+  run(crowd, 3);
+  crowd.forEach((a, i) => crowd.slice(i + 1).forEach(b => {
+    const distance = Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y, a.position.z - b.position.z);
+    assert.ok(distance > (a.radius + b.radius) * 0.9, `bodies ${distance} apart`);
+  }));
+});
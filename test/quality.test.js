@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderQualityLevels, trackingQualityLevels, defaultQualityOptions, initialQualityState, stepQuality } from '../quality.js';
+
+const budget = 1000 / 30;
+
+// One frame of frameMs every 16 ms for the given time, from state at time start
+const run = (state, frameMs, start, duration, levels = trackingQualityLevels) => {
+  let current = state;
+  for (let now = start; now <= start + duration; now += 16) {
+    current = stepQuality(current, frameMs, now, budget, levels.length);
+  }
+  return current;
+};
+
+test('a short spike over budget changes nothing, a sustained one lowers the level', () => {
+  const spiked = run(initialQualityState(), 50, 0, 500);
+  assert.equal(spiked.level, 0);
+  assert.equal(run(spiked, 20, 500, 100).overSince, null, 'a frame under budget resets the timer');
+
+  const slow = run(initialQualityState(), 50, 0, defaultQualityOptions.lowerAfterMs + 20);
+  assert.equal(slow.level, 1);
+  assert.equal(run(slow, 50, 3000, 100).level, 1, 'each level gets its own run');
+});
+
+test('headroom raises the level, waiting longer each time a level proved too slow', () => {
+  const lowered = run(initialQualityState(), 50, 0, 2100);
+  assert.equal(lowered.raiseAfterMs, defaultQualityOptions.raiseAfterMs * 2);
+
+  // Between headroom and budget: no change either way
+  assert.equal(run(lowered, budget * 0.9, 3000, 20000).level, 1);
+  assert.equal(run(lowered, 10, 3000, defaultQualityOptions.raiseAfterMs).level, 1);
+  assert.equal(run(lowered, 10, 3000, defaultQualityOptions.raiseAfterMs * 2 + 20).level, 0);
+});
+
+test('the level stays on the ladder', () => {
+  for (const levels of [renderQualityLevels, trackingQualityLevels]) {
+    const cheapest = initialQualityState(levels.length - 1);
+    assert.equal(run(cheapest, 100, 0, 5000, levels).level, levels.length - 1);
+    assert.equal(run(initialQualityState(), 5, 0, 20000, levels).level, 0);
+  }
+});
@@ -0,0 +1,227 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/browser.js';
+
+const { THREE } = globalThis;
+
+const app = await import('../main.js');
+
+app.initHeadless();
+app.updateSettings({ alignmentGuides: false });
+
+const emptyScene = { format: 'shape-creator-scene', version: 4, shapes: [] };
+const boxEntry = { type: 'Box', color: '#ff00ff', opacity: 0.5, position: [1, 2, -1], rotation: [0.1, 0.2, 0.3], scale: [0.8, 0.8, 0.8] };
+
+const fillOf = (shape) => shape.children.find(child => !child.material.wireframe);
+
+// Two triangles a long way from the origin, as separate objects
+const quadObj = [
+  'o first',
+  'v 10 10 10', 'v 14 10 10', 'v 14 12 10',
+  'f 1 2 3',
+  'o second',
+  'v 10 12 10',
+  'f 1 3 4'
+].join('\n');
+
+const triangleStl = [
+  'solid triangle',
+  'facet normal 0 0 1',
+  'outer loop',
+  'vertex 0 0 0', 'vertex 2 0 0', 'vertex 0 4 0',
+  'endloop',
+  'endfacet',
+  'endsolid triangle'
+].join('\n');
+
+// Binary STL: 80-byte header, triangle count, then per triangle a normal, 3 vertices and 2 spare bytes
+const binaryStl = (triangles) => {
+  const view = new DataView(new ArrayBuffer(84 + triangles.length * 50));
+  view.setUint32(80, triangles.length, true);
+  triangles.forEach((vertices, i) => {
+    vertices.flat().forEach((value, j) => view.setFloat32(84 + i * 50 + 12 + j * 4, value, true));
+  });
+  return view.buffer;
+};
+
+const importFile = (contents, name) => app.importModelFile(new File([contents], name), new THREE.Vector3(0, 1, 0));
+
+const modelBounds = (shape) => {
+  const geometry = fillOf(shape).geometry;
+  geometry.computeBoundingBox();
+  return geometry.boundingBox;
+};
+
+test('a saved scene loads back the same, groups and imported models included', async () => {
+  app.loadScene(emptyScene);
+  app.createShape({ type: 'Box', color: 0xff00ff, opacity: 0.5, position: new THREE.Vector3(1, 2, -1), scale: 0.8 });
+  const left = app.createShape({ type: 'Sphere', color: 0x00ffff, position: new THREE.Vector3(-2, 0, 0) });
+  const right = app.createShape({ type: 'Cone', color: 0xffff00, position: new THREE.Vector3(-1, 0, 0) });
+  app.setSelection([left, right]);
+  app.groupSelection('Pair');
+  app.setSelection([]);
+  await importFile(triangleStl, 'triangle.stl');
+  app.shapes[0].rotation.set(0.1, 0.2, 0.3);
+
+  const saved = JSON.stringify(app.serializeScene());
+  assert.equal(app.loadScene(saved), 3);
+
+  const { shapes } = JSON.parse(saved);
+  assert.deepEqual(app.serializeScene().shapes, shapes);
+  assert.deepEqual(shapes.map(entry => entry.type), ['Box', 'Group', 'Model']);
+  assert.deepEqual(shapes[1].shapes.map(entry => entry.type), ['Sphere', 'Cone']);
+  assert.equal(shapes[1].name, 'Pair');
+  assert.equal(shapes[2].name, 'triangle.stl');
+
+  // Loading starts a new history
+  app.undo();
+  assert.equal(app.shapes.length, 3);
+});
+
+test('scene files are checked before anything in the scene changes', () => {
+  app.loadScene({ ...emptyScene, shapes: [boxEntry] });
+  const [box] = app.shapes;
+
+  const rejects = (data, message) => {
+    assert.throws(() => app.loadScene(data), message);
+    assert.deepEqual(app.shapes, [box]);
+  };
+  rejects('{"format":', /^Error: Invalid scene file: /);
+  rejects({ format: 'other', version: 4, shapes: [] }, /not a Shape Creator scene/);
+  rejects({ ...emptyScene, version: 0 }, /unknown version "0"/);
+  rejects({ ...emptyScene, version: 5 }, /saved by a newer version/);
+  rejects({ ...emptyScene, shapes: {} }, /"shapes" must be an array/);
+  rejects({ ...emptyScene, shapes: [{ ...boxEntry, type: 'Blob' }] }, /shapes\[0\]\.type "Blob" is not one of/);
+  rejects({ ...emptyScene, shapes: [{ ...boxEntry, color: 'pink' }] }, /shapes\[0\]\.color must be a hex string/);
+  rejects({ ...emptyScene, shapes: [{ ...boxEntry, opacity: 2 }] }, /shapes\[0\]\.opacity must be a number between 0 and 1/);
+  rejects({ ...emptyScene, shapes: [{ ...boxEntry, position: [1, 2] }] }, /shapes\[0\]\.position must be an array of 3 numbers/);
+  rejects({ ...emptyScene, shapes: [{ ...boxEntry, type: 'Model', mesh: { positions: 'AAAA' } }] }, /must hold whole triangles/);
+  rejects({ ...emptyScene, shapes: [{ ...boxEntry, type: 'Group', name: 'Empty', shapes: [] }] }, /shapes\[0\]\.shapes must be a non-empty array/);
+  rejects({ ...emptyScene, shapes: [{ ...boxEntry, type: 'Group', name: 'Pair', shapes: [boxEntry, { ...boxEntry, opacity: -1 }] }] }, /shapes\[0\]\.shapes\[1\]\.opacity/);
+
+  // Only the first few problems are listed
+  rejects({ ...emptyScene, shapes: Array.from({ length: 8 }, () => ({ ...boxEntry, color: null })) }, /\(and 3 more\)$/);
+});
+
+test('scenes saved by older versions are upgraded to the current one', () => {
+  for (const version of [1, 2, 3]) {
+    assert.equal(app.loadScene({ format: 'shape-creator-scene', version, shapes: [boxEntry] }), 1);
+    const saved = app.serializeScene();
+    assert.equal(saved.version, 4);
+    assert.deepEqual(saved.shapes, [boxEntry], `from version ${version}`);
+  }
+});
+
+test('GLB export is a glTF header, a padded JSON chunk and a binary chunk with aligned buffer views', () => {
+  app.loadScene({ ...emptyScene, shapes: [boxEntry, { ...boxEntry, type: 'Sphere', opacity: 1, position: [-1, 0, 0] }] });
+  const gltf = app.buildGltf(app.shapes, { includeWireframe: true });
+  const glb = app.encodeGlb(gltf);
+  const view = new DataView(glb.buffer, glb.byteOffset, glb.byteLength);
+
+  assert.equal(view.getUint32(0, true), 0x46546C67, 'glTF magic');
+  assert.equal(view.getUint32(4, true), 2, 'container version');
+  assert.equal(view.getUint32(8, true), glb.byteLength, 'total length');
+
+  const jsonLength = view.getUint32(12, true);
+  assert.equal(jsonLength % 4, 0);
+  assert.equal(view.getUint32(16, true), 0x4E4F534A, 'JSON chunk');
+  const json = JSON.parse(new TextDecoder().decode(glb.subarray(20, 20 + jsonLength)));
+  assert.deepEqual(json, gltf.json);
+
+  const binStart = 28 + jsonLength;
+  const binLength = view.getUint32(20 + jsonLength, true);
+  assert.equal(view.getUint32(24 + jsonLength, true), 0x004E4942, 'BIN chunk');
+  assert.equal(binLength % 4, 0);
+  assert.equal(binStart + binLength, glb.byteLength);
+  assert.ok(binLength >= json.buffers[0].byteLength && binLength - json.buffers[0].byteLength < 4);
+
+  const componentSizes = { 5126: 4, 5123: 2, 5125: 4 };
+  json.accessors.forEach(accessor => {
+    const bufferView = json.bufferViews[accessor.bufferView];
+    assert.equal(bufferView.byteOffset % 4, 0);
+    assert.ok(bufferView.byteOffset + bufferView.byteLength <= json.buffers[0].byteLength);
+    assert.equal(accessor.count * (accessor.type === 'VEC3' ? 3 : 1) * componentSizes[accessor.componentType], bufferView.byteLength);
+  });
+
+  // One node per shape with its transform, fill triangles in the shape's space plus outline lines
+  assert.equal(json.nodes.length, 2);
+  assert.deepEqual(json.nodes[0].translation, boxEntry.position);
+  const [fill, outline] = json.meshes[0].primitives;
+  assert.equal(outline.mode, 1);
+  const positions = json.accessors[fill.attributes.POSITION];
+  const bytes = json.bufferViews[positions.bufferView];
+  const stored = new Float32Array(glb.buffer, glb.byteOffset + binStart + bytes.byteOffset, positions.count * 3);
+  assert.deepEqual(Array.from(stored), Array.from(fillOf(app.shapes[0]).geometry.attributes.position.array));
+  assert.deepEqual(json.materials[fill.material].pbrMetallicRoughness.baseColorFactor.slice(1, 3), [0, 1]);
+  assert.equal(json.materials[fill.material].alphaMode, 'BLEND');
+});
+
+test('OBJ export writes each shape in world space with faces on its own vertices and materials in the MTL', () => {
+  app.loadScene({ ...emptyScene, shapes: [boxEntry, { ...boxEntry, opacity: 1, rotation: [0, 0, 0], scale: [1, 1, 1], position: [3, 0, 0] }] });
+  const { obj, mtl } = app.buildObj(app.shapes, { mtlFileName: 'scene.mtl' });
+  const lines = obj.trim().split('\n');
+
+  assert.deepEqual(lines.slice(0, 2), ['# Shape Creator export', 'mtllib scene.mtl']);
+  assert.deepEqual(lines.filter(line => line.startsWith('o ')), ['o Box_1', 'o Box_2']);
+
+  // Faces point at vertices and normals written so far, counting from 1 across the whole file
+  let vertices = 0;
+  let normals = 0;
+  lines.forEach(line => {
+    if (line.startsWith('v ')) vertices++;
+    if (line.startsWith('vn ')) normals++;
+    if (line.startsWith('f ')) {
+      const corners = line.slice(2).split(' ').map(corner => corner.split('//').map(Number));
+      assert.equal(corners.length, 3);
+      corners.forEach(([v, n]) => assert.ok(v >= 1 && v <= vertices && n >= 1 && n <= normals, line));
+    }
+  });
+
+  // The second box's vertices are around its position
+  const secondStart = lines.indexOf('o Box_2');
+  const secondVertices = lines.slice(secondStart).filter(line => line.startsWith('v ')).map(line => line.split(' ').slice(1).map(Number));
+  const centerX = secondVertices.reduce((sum, [x]) => sum + x, 0) / secondVertices.length;
+  assert.ok(Math.abs(centerX - 3) < 1e-6, `center x ${centerX}`);
+
+  // A material per color and opacity, each used by name
+  const used = lines.filter(line => line.startsWith('usemtl ')).map(line => line.slice(7));
+  assert.deepEqual(used, ['fill_ff00ff_50', 'fill_ff00ff_100']);
+  used.forEach(name => assert.ok(mtl.includes(`newmtl ${name}\nKd 1 0 1\n`), name));
+  assert.ok(mtl.includes('newmtl fill_ff00ff_50\nKd 1 0 1\nd 0.5\n'));
+});
+
+test('OBJ and STL files, text or binary, import as one centered unit-sized model', async () => {
+  app.loadScene(emptyScene);
+
+  const fromObj = await importFile(quadObj, 'quad.obj');
+  const fromAsciiStl = await importFile(triangleStl, 'triangle.stl');
+  const fromBinaryStl = await importFile(binaryStl([[[0, 0, 0], [2, 0, 0], [0, 4, 0]], [[0, 0, 0], [0, 4, 0], [0, 0, 8]]]), 'pair.STL');
+  assert.deepEqual(app.shapes, [fromObj, fromAsciiStl, fromBinaryStl]);
+
+  const triangles = (shape) => fillOf(shape).geometry.attributes.position.count / 3;
+  assert.deepEqual([fromObj, fromAsciiStl, fromBinaryStl].map(triangles), [2, 1, 2]);
+
+  [fromObj, fromAsciiStl, fromBinaryStl].forEach(shape => {
+    assert.equal(shape.userData.shapeType, 'Model');
+    const bounds = modelBounds(shape);
+    const size = bounds.getSize(new THREE.Vector3());
+    assert.ok(Math.abs(Math.max(size.x, size.y, size.z) - 1) < 1e-6, `${shape.userData.modelName} size`);
+    assert.ok(bounds.getCenter(new THREE.Vector3()).length() < 1e-6, `${shape.userData.modelName} center`);
+    assert.ok(shape.position.equals(new THREE.Vector3(0, 1, 0)));
+  });
+
+  // The OBJ quad keeps its 2:1 shape
+  const quadSize = modelBounds(fromObj).getSize(new THREE.Vector3());
+  assert.ok(Math.abs(quadSize.y - 0.5) < 1e-6 && quadSize.z === 0);
+
+  // An import is one undo step
+  app.undo();
+  assert.deepEqual(app.shapes, [fromObj, fromAsciiStl]);
+});
+
+test('files that are not models, or hold no meshes, import nothing', async () => {
+  app.loadScene(emptyScene);
+  assert.equal(await importFile('', 'scene.fbx'), null);
+  assert.equal(await importFile('# just a comment\nv 0 0 0\n', 'points.obj'), null);
+  assert.equal(app.shapes.length, 0);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapValue, snapPosition, snapAngles, snapScale, findAlignments } from '../snapping.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+const box = (x, y, size = 1) => ({
+  min: { x: x - size / 2, y: y - size / 2, z: -size / 2 },
+  max: { x: x + size / 2, y: y + size / 2, z: size / 2 }
+});
+
+test('positions snap to the nearest grid point, and a zero step turns snapping off', () => {
+  assert.deepEqual(snapPosition({ x: 0.74, y: -1.3, z: 0.1 }, 0.5), { x: 0.5, y: -1.5, z: 0 });
+  assert.equal(snapValue(0.74, 0), 0.74);
+});
+
+test('angles snap to whole steps and scales never snap to nothing', () => {
+  const angles = snapAngles({ x: 0.2, y: Math.PI / 2 - 0.1, z: -0.5 }, 15);
+  close(angles.x, Math.PI / 12, 'x');
+  close(angles.y, Math.PI / 2, 'y');
+  close(angles.z, -Math.PI / 6, 'z');
+  assert.equal(snapScale(1.13, 0.25), 1.25);
+  assert.equal(snapScale(0.05, 0.25), 0.25);
+});
+
+test('findAlignments pulls a nearby center or edge onto the other shape\'s', () => {
+  // 0.1 right of and 0.08 above a shape at (3, 2): the centers line up in x, the edges in y
+  const { offset, guides } = findAlignments(box(3.1, 3.08), [box(3, 2)], 0.15);
+  close(offset.x, -0.1, 'x offset');
+  close(offset.y, -0.08, 'y offset');
+  assert.equal(offset.z, 0);
+
+  const vertical = guides.filter(guide => guide.axis === 'x').map(guide => guide.value).sort();
+  assert.deepEqual(vertical.map(value => value.toFixed(2)), ['2.50', '3.00', '3.50']);
+  const horizontal = guides.filter(guide => guide.axis === 'y');
+  assert.equal(horizontal.length, 1);
+  close(horizontal[0].value, 2.5, 'the top edge of one is the bottom edge of the other');
+  close(horizontal[0].from, 2.5, 'guide start');
+  close(horizontal[0].to, 3.5, 'guide end');
+});
+
+test('findAlignments leaves shapes out of tolerance alone', () => {
+  assert.deepEqual(findAlignments(box(0, 0), [box(2.3, 1.7)], 0.15), { offset: { x: 0, y: 0, z: 0 }, guides: [] });
+  assert.deepEqual(findAlignments(box(0, 0), [], 0.15).guides, []);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBVH, refitBVH, queryBVH, raycastBVH, raycastNearest, rayBoundsDistance } from '../spatial.js';
+
+// Repeatable pseudo-random numbers
+const random = (() => {
+  let seed = 7;
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+})();
+
+const boxAt = (x, y, z, size) => ({
+  min: { x: x - size, y: y - size, z: z - size },
+  max: { x: x + size, y: y + size, z: z + size }
+});
+
+const makeItems = (count) => Array.from({ length: count }, (_, value) => ({
+  value,
+  bounds: boxAt(random() * 20 - 10, random() * 20 - 10, random() * 6 - 3, 0.2 + random() * 0.5)
+}));
+
+const overlaps = (region) => (bounds) => ['x', 'y', 'z'].every(axis => bounds.min[axis] <= region.max[axis] && bounds.max[axis] >= region.min[axis]);
+
+const bruteForce = (items, test) => items.filter(item => test(item.bounds)).map(item => item.value);
+
+test('queryBVH finds the same items as testing every one', () => {
+  const items = makeItems(300);
+  const bvh = buildBVH(items);
+  for (let i = 0; i < 20; i++) {
+    const test = overlaps(boxAt(random() * 20 - 10, random() * 20 - 10, 0, 1 + random() * 2));
+    assert.deepEqual(queryBVH(bvh, test).sort((a, b) => a - b), bruteForce(items, test));
+  }
+});
+
+test('refitBVH keeps queries right after items move', () => {
+  const items = makeItems(100);
+  const bvh = buildBVH(items);
+  items.forEach(item => {
+    item.bounds = boxAt(random() * 40 - 20, random() * 40 - 20, 0, 0.3);
+  });
+  refitBVH(bvh);
+  const test = overlaps(boxAt(5, 5, 0, 6));
+  assert.deepEqual(queryBVH(bvh, test).sort((a, b) => a - b), bruteForce(items, test));
+});
+
+test('raycastBVH returns every box on the ray, nearest first', () => {
+  const items = [boxAt(0, 0, -4, 0.5), boxAt(3, 0, 0, 0.5), boxAt(0, 0, 0, 0.5), boxAt(0, 0.2, -2, 0.5)]
+    .map((bounds, value) => ({ value, bounds }));
+  const hits = raycastBVH(buildBVH(items), { x: 0, y: 0, z: 5 }, { x: 0, y: 0, z: -1 });
+  assert.deepEqual(hits.map(hit => hit.value), [2, 3, 0]);
+  assert.equal(hits[0].distance, 4.5);
+});
+
+test('raycastNearest stops testing once the bounds ahead are farther than a hit', () => {
+  const items = [boxAt(0, 0, 0, 1), boxAt(0, 0, -5, 1), boxAt(0, 0, 0.5, 1)].map((bounds, value) => ({ value, bounds }));
+  const tested = [];
+  // Item 2's bounds come first but the ray misses what is inside them
+  const exact = { 0: 5, 1: 10, 2: null };
+  const nearest = raycastNearest(buildBVH(items), { x: 0, y: 0, z: 5 }, { x: 0, y: 0, z: -1 }, value => {
+    tested.push(value);
+    return exact[value];
+  });
+  assert.deepEqual(nearest, { value: 0, distance: 5 });
+  assert.deepEqual(tested, [2, 0]);
+});
+
+test('rayBoundsDistance handles rays along an axis and rays starting inside', () => {
+  const bounds = boxAt(0, 0, 0, 1);
+  assert.equal(rayBoundsDistance({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, bounds), 0);
+  assert.equal(rayBoundsDistance({ x: 0, y: 3, z: 5 }, { x: 0, y: 0, z: -1 }, bounds), null);
+  assert.equal(rayBoundsDistance({ x: 0, y: 0, z: 5 }, { x: 0, y: 0, z: 1 }, bounds), null);
+  assert.deepEqual(buildBVH([]), { root: null, size: 0 });
+  assert.deepEqual(queryBVH(buildBVH([]), () => true), []);
+});
@@ -0,0 +1,73 @@
+// Just enough of the browser for main.js to load in Node and run headless: three.js as the
+// THREE global (the page loads it with a script tag) with the model loaders the page fetches on
+// first use already on it, a window size, in-memory localStorage, file reading, no animation
+// frames and a document with no elements in it. Import this before main.js.
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import * as three from 'three';
+
+// The loaders are the same scripts the page loads (see assets.js), which add themselves to THREE
+const THREE = { ...three };
+const require = createRequire(import.meta.url);
+for (const loader of ['OBJLoader', 'STLLoader']) {
+  new Function('THREE', readFileSync(require.resolve(`three/examples/js/loaders/${loader}.js`), 'utf8'))(THREE);
+}
+
+const element = () => ({
+  style: {},
+  dataset: {},
+  children: [],
+  classList: { add() {}, remove() {}, toggle() {} },
+  appendChild() {},
+  prepend() {},
+  remove() {},
+  addEventListener() {},
+  querySelector: () => null,
+  querySelectorAll: () => []
+});
+
+const storage = new Map();
+
+// FileReader on top of Blob's promise-based reads (File is a Blob)
+class FileReader {
+  readAsText(blob) {
+    this.read(blob.text());
+  }
+
+  readAsArrayBuffer(blob) {
+    this.read(blob.arrayBuffer());
+  }
+
+  read(promise) {
+    promise.then(result => {
+      this.result = result;
+      this.onload();
+    }, () => this.onerror());
+  }
+}
+
+Object.assign(globalThis, {
+  THREE,
+  window: {
+    innerWidth: 1280,
+    innerHeight: 720,
+    devicePixelRatio: 1,
+    location: { search: '' },
+    addEventListener() {}
+  },
+  document: {
+    body: element(),
+    head: element(),
+    getElementById: () => null,
+    createElement: element,
+    addEventListener() {}
+  },
+  // Effects animate with requestAnimationFrame; headless, they just don't run
+  requestAnimationFrame: () => 0,
+  FileReader,
+  localStorage: {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+  }
+});
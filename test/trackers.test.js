@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  inferHandedness,
+  normalizeMediaPipeHandsResults,
+  normalizeHandLandmarkerResult,
+  normalizeHandposePredictions,
+  createReplayTracker
+} from '../trackers.js';
+import { hand, frame } from './fixtures/hands.js';
+
+// The fixture hand is a left hand as the camera sees it (thumb on the image's left, palm to the
+// camera), which MediaPipe labels 'Right'; mirrored, it is a right hand
+const mirror = landmarks => landmarks.map(({ x, y, z }) => ({ x: 1 - x, y, z }));
+const upsideDown = landmarks => landmarks.map(({ x, y, z }) => ({ x: 1 - x, y: 1 - y, z }));
+
+test('handedness follows the palm, whichever way the hand points', () => {
+  const landmarks = hand(0.4, 0.5);
+  assert.equal(inferHandedness(landmarks), 'Right');
+  assert.equal(inferHandedness(mirror(landmarks)), 'Left');
+  assert.equal(inferHandedness(upsideDown(landmarks)), 'Right');
+});
+
+test('every backend gives the same landmarks and handedness', () => {
+  const landmarks = hand(0.4, 0.5);
+  const expected = normalizeMediaPipeHandsResults({
+    multiHandLandmarks: [landmarks],
+    multiHandedness: [{ index: 0, score: 0.9, label: 'Right' }]
+  });
+  assert.equal(expected.multiHandLandmarks[0].length, 21);
+
+  const tasks = normalizeHandLandmarkerResult({
+    landmarks: [landmarks.map(point => ({ ...point, visibility: 0 }))],
+    worldLandmarks: [],
+    handedness: [[{ categoryName: 'Right', score: 0.9, index: 0 }]]
+  });
+  assert.deepEqual(tasks, expected);
+
+  const width = 640;
+  const height = 480;
+  const handpose = normalizeHandposePredictions([{
+    handInViewConfidence: 0.9,
+    landmarks: landmarks.map(({ x, y, z }) => [x * width, y * height, z * width])
+  }], { width, height });
+  handpose.multiHandLandmarks[0].forEach((point, i) => {
+    assert.ok(Math.abs(point.x - landmarks[i].x) < 1e-9 && Math.abs(point.y - landmarks[i].y) < 1e-9);
+  });
+  assert.deepEqual(handpose.multiHandedness, expected.multiHandedness);
+
+  // A prediction without a full hand is dropped, and the scores stay with their hands
+  const partial = normalizeHandposePredictions([
+    { handInViewConfidence: 0.5, landmarks: [[0, 0, 0]] },
+    { handInViewConfidence: 0.9, landmarks: landmarks.map(({ x, y, z }) => [x * width, y * height, z * width]) }
+  ], { width, height });
+  assert.equal(partial.multiHandLandmarks.length, 1);
+  assert.equal(partial.multiHandedness[0].score, 0.9);
+
+  // Results without handedness get it inferred
+  assert.equal(normalizeMediaPipeHandsResults(frame(landmarks)).multiHandedness[0].label, 'Right');
+  assert.deepEqual(normalizeHandLandmarkerResult(null), { multiHandLandmarks: [], multiHandedness: [] });
+});
+
+test('the replay tracker plays frames by time since the first send', async () => {
+  const frames = [0, 100, 200].map(t => ({ t, ...frame(hand(0.3 + t / 1000, 0.5)) }));
+  const tracker = createReplayTracker({ frames });
+  await tracker.initialize();
+  const x = results => results.multiHandLandmarks[0][8].x;
+
+  assert.equal(x(await tracker.send(null, 5000)), 0.3);
+  assert.equal(await tracker.send(null, 5050), null, 'nothing new yet');
+  assert.equal(x(await tracker.send(null, 5250)), 0.5, 'skips ahead to the latest due frame');
+  assert.equal(await tracker.send(null, 5400), null, 'done');
+
+  const looping = createReplayTracker(frames, { loop: true });
+  await looping.send(null, 0);
+  await looping.send(null, 150);
+  assert.equal(x(await looping.send(null, 210)), 0.3, 'starts over');
+
+  const synthetic = createReplayTracker(elapsed => frame(hand(0.5, elapsed / 1000)));
+  assert.equal((await synthetic.send(null, 100)).multiHandLandmarks[0][8].y, 0);
+  assert.equal((await synthetic.send(null, 350)).multiHandLandmarks[0][8].y, 0.25);
+
+  await assert.rejects(createReplayTracker([]).initialize(), /no frames/);
+});
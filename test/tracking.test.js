@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  interpolateHandResults,
+  maxInterpolationGap,
+  initialHandIdentity,
+  identifyHands,
+  orderHandPair,
+  createOneEuroFilter
+} from '../tracking.js';
+import { hand, frame } from './fixtures/hands.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+const update = (results, time) => ({ results, time });
+const tip = (results, index = 0) => results.multiHandLandmarks[index][8];
+
+test('renders one interval behind, moving from the previous update to the latest', () => {
+  const previous = update(frame(hand(0.3, 0.5)), 1000);
+  const latest = update(frame(hand(0.5, 0.5)), 1033);
+  const from = tip(previous.results).x;
+  const to = tip(latest.results).x;
+
+  close(tip(interpolateHandResults(previous, latest, 1033)).x, from, 'at the update');
+  close(tip(interpolateHandResults(previous, latest, 1049.5)).x, (from + to) / 2, 'halfway to the next');
+  close(tip(interpolateHandResults(previous, latest, 1200)).x, to, 'then holds the latest');
+});
+
+test('the latest results are used as they are when there is nothing to interpolate from', () => {
+  const latest = update(frame(hand(0.5, 0.5)), 1000);
+  assert.equal(interpolateHandResults(null, latest, 1010), latest.results);
+  assert.equal(interpolateHandResults(null, null, 1010), null);
+
+  // A long gap, or a hand that came or went
+  assert.equal(interpolateHandResults(update(frame(hand(0.3, 0.5)), 1000 - maxInterpolationGap - 1), latest, 1010), latest.results);
+  assert.equal(interpolateHandResults(update(frame(), 990), latest, 1010), latest.results);
+  const twoHands = update(frame(hand(0.3, 0.5), hand(0.7, 0.5)), 1033);
+  assert.equal(interpolateHandResults(latest, twoHands, 1040), twoHands.results);
+});
+
+const labelled = (...labels) => labels.map((label, index) => ({ index, score: 1, label }));
+
+test('hands keep their IDs when the tracker lists them in a different order', () => {
+  let { ids, identity } = identifyHands(initialHandIdentity(), [hand(0.3, 0.5), hand(0.7, 0.5)], labelled('Left', 'Right'));
+  assert.deepEqual(ids, [1, 2]);
+
+  // Swapped, and both moved a little
+  ({ ids, identity } = identifyHands(identity, [hand(0.68, 0.5), hand(0.32, 0.5)], labelled('Right', 'Left')));
+  assert.deepEqual(ids, [2, 1]);
+
+  // One goes: the other keeps its ID whichever slot it is in, and a hand that comes back is new
+  ({ ids, identity } = identifyHands(identity, [hand(0.7, 0.5)], labelled('Right')));
+  assert.deepEqual(ids, [2]);
+  ({ ids } = identifyHands(identity, [hand(0.3, 0.5), hand(0.7, 0.52)], labelled('Left', 'Right')));
+  assert.deepEqual(ids, [3, 2]);
+});
+
+test('handedness settles which hand is which when position does not', () => {
+  const { identity } = identifyHands(initialHandIdentity(), [hand(0.45, 0.5), hand(0.55, 0.5)], labelled('Left', 'Right'));
+
+  // The hands crossed over between frames: the labels follow them
+  const { ids } = identifyHands(identity, [hand(0.44, 0.5), hand(0.56, 0.5)], labelled('Right', 'Left'));
+  assert.deepEqual(ids, [2, 1]);
+
+  // Without labels it is position alone, and a hand that jumps further than a hand can move
+  // between frames is a new one, even on its own
+  const unlabelled = identifyHands(identity, [hand(0.56, 0.5), hand(0.44, 0.5)]);
+  assert.deepEqual(unlabelled.ids, [2, 1]);
+  assert.deepEqual(identifyHands(unlabelled.identity, [hand(0.05, 0.9)]).ids, [3]);
+  assert.deepEqual(identifyHands(unlabelled.identity, [hand(0.4, 0.6)]).ids, [1]);
+});
+
+test('a two-hand pair is ordered left to right once, then keeps its order', () => {
+  const left = { id: 1, label: 'Left', landmarks: hand(0.3, 0.5) };
+  const right = { id: 2, label: 'Right', landmarks: hand(0.7, 0.5) };
+  assert.deepEqual(orderHandPair([right, left]), [left, right]);
+
+  const unlabelled = [{ ...right, label: null }, { ...left, label: null }];
+  assert.deepEqual(orderHandPair(unlabelled).map(h => h.id), [1, 2]);
+
+  // A label flip mid-gesture doesn't swap them
+  const flipped = [{ ...left, label: 'Right' }, { ...right, label: 'Left' }];
+  assert.deepEqual(orderHandPair(flipped, [1, 2]).map(h => h.id), [1, 2]);
+  assert.deepEqual(orderHandPair(flipped, [1, 3]).map(h => h.id), [2, 1]);
+});
+
+test('interpolation follows hand IDs, not the order the tracker lists the hands in', () => {
+  // Two hands with the same label, listed the other way round in the latest update
+  const previous = update({ ...frame(hand(0.3, 0.5), hand(0.7, 0.5)), multiHandedness: labelled('Left', 'Left'), handIds: [1, 2] }, 1000);
+  const latest = update({ ...frame(hand(0.72, 0.5), hand(0.32, 0.5)), multiHandedness: labelled('Left', 'Left'), handIds: [2, 1] }, 1033);
+
+  const halfway = interpolateHandResults(previous, latest, 1049.5);
+  close(tip(halfway, 0).x, 0.71, 'hand 2');
+  close(tip(halfway, 1).x, 0.31, 'hand 1');
+
+  // A hand that isn't in both is nothing to interpolate from
+  const replaced = update({ ...latest.results, handIds: [2, 3] }, 1033);
+  assert.equal(interpolateHandResults(previous, replaced, 1049.5), replaced.results);
+});
+
+const filterSettings = { minCutoff: 1, beta: 20, dCutoff: 1 };
+
+test('the One Euro filter starts at the first sample and ignores samples that are not newer', () => {
+  const filter = createOneEuroFilter();
+  assert.equal(filter(0.5, 1000, filterSettings), 0.5);
+  assert.equal(filter(0.9, 1000, filterSettings), 0.5);
+  assert.equal(filter(0.9, 900, filterSettings), 0.5);
+});
+
+test('the One Euro filter steadies a still hand and keeps up with a moving one', () => {
+  // Jitter of +/- 0.005 around a still point is mostly smoothed away
+  const still = createOneEuroFilter();
+  let spread = 0;
+  for (let i = 0; i < 60; i++) {
+    const value = still(0.5 + (i % 2 ? 0.005 : -0.005), i * 33, filterSettings);
+    if (i >= 30) spread = Math.max(spread, Math.abs(value - 0.5));
+  }
+  assert.ok(spread < 0.002, `still hand moves ${spread}`);
+
+  // A steady sweep lags a little with the speed response, and far more without it
+  const lagAfterSweep = (settings) => {
+    const filter = createOneEuroFilter();
+    let value;
+    for (let i = 0; i <= 30; i++) value = filter(i * 0.01, i * 33, settings);
+    return 0.3 - value;
+  };
+  const lag = lagAfterSweep(filterSettings);
+  assert.ok(lag > 0 && lag < 0.02, `lag ${lag}`);
+  assert.ok(lagAfterSweep({ ...filterSettings, beta: 0 }) > lag * 5);
+});
@@ -0,0 +1,124 @@
+// Hand tracking backends. Every tracker turns camera frames into the same results, the shape
+// the legacy MediaPipe Hands solution produces and the rest of the app consumes:
+// {multiHandLandmarks: [[21 × {x, y, z}]], multiHandedness: [{index, score, label}]}, with x and
+// y normalized to the image and label 'Left' or 'Right' as MediaPipe reports it. Pure: the
+// normalizers, and a replay tracker that needs no camera; main.js wraps the libraries.
+//
+// A tracker is {name, usesImage, initialize(), setOptions(options), send(image, time), close()}.
+// send resolves with the results for that frame, or null when there is nothing new. options
+// are the MediaPipe Hands ones (maxNumHands, modelComplexity, minDetectionConfidence,
+// minTrackingConfidence); a backend ignores what it has no equivalent for.
+
+// The config values for the tracker setting
+export const trackerBackends = ['mediapipe-hands', 'mediapipe-tasks', 'tfjs-handpose', 'replay'];
+
+export const landmarkCount = 21;
+
+const toLandmark = ({ x, y, z = 0 }) => ({ x, y, z });
+
+// MediaPipe labels hands as if the image were mirrored (a selfie view): the user's right hand is
+// 'Left' in an unmirrored camera frame. Palm to the camera and seen from it, the turn from wrist-
+// to-index-knuckle to wrist-to-pinky-knuckle goes one way for a left hand and the other for a
+// right one, whichever way the hand points. Backends with no handedness of their own use this,
+// so it is a guess when the back of the hand faces the camera.
+export const inferHandedness = (landmarks) => {
+  const [wrist] = landmarks;
+  const index = landmarks[5];
+  const pinky = landmarks[17];
+  const cross = (index.x - wrist.x) * (pinky.y - wrist.y) - (index.y - wrist.y) * (pinky.x - wrist.x);
+  return cross < 0 ? 'Left' : 'Right';
+};
+
+const emptyResults = () => ({ multiHandLandmarks: [], multiHandedness: [] });
+
+// Legacy MediaPipe Hands (hands.onResults): already in shape, minus what the app doesn't use
+export const normalizeMediaPipeHandsResults = (results) => {
+  if (!results || !results.multiHandLandmarks) return emptyResults();
+  const multiHandLandmarks = results.multiHandLandmarks.map(landmarks => landmarks.map(toLandmark));
+  const multiHandedness = multiHandLandmarks.map((landmarks, index) => {
+    const handedness = results.multiHandedness && results.multiHandedness[index];
+    return {
+      index,
+      score: handedness && handedness.score !== undefined ? handedness.score : 1,
+      label: handedness && handedness.label ? handedness.label : inferHandedness(landmarks)
+    };
+  });
+  return { multiHandLandmarks, multiHandedness };
+};
+
+// MediaPipe Tasks HandLandmarker (detectForVideo): {landmarks, handedness: [[{categoryName, score}]]}.
+// Older releases call the handedness list handednesses.
+export const normalizeHandLandmarkerResult = (result) => {
+  if (!result || !result.landmarks) return emptyResults();
+  const categories = result.handedness || result.handednesses || [];
+  const multiHandLandmarks = result.landmarks.map(landmarks => landmarks.map(toLandmark));
+  const multiHandedness = multiHandLandmarks.map((landmarks, index) => {
+    const [best] = categories[index] || [];
+    return {
+      index,
+      score: best ? best.score : 1,
+      label: best && best.categoryName ? best.categoryName : inferHandedness(landmarks)
+    };
+  });
+  return { multiHandLandmarks, multiHandedness };
+};
+
+// TensorFlow.js handpose (estimateHands): [x, y, z] in pixels of the image it was given, z on
+// the same scale as x, and no handedness. Sized by the image, like MediaPipe's normalization.
+export const normalizeHandposePredictions = (predictions, { width, height }) => {
+  const hands = (predictions || [])
+    .filter(prediction => prediction.landmarks && prediction.landmarks.length === landmarkCount)
+    .map(prediction => ({
+      prediction,
+      landmarks: prediction.landmarks.map(([x, y, z = 0]) => ({ x: x / width, y: y / height, z: z / width }))
+    }));
+  const multiHandLandmarks = hands.map(({ landmarks }) => landmarks);
+  const multiHandedness = hands.map(({ prediction, landmarks }, index) => ({
+    index,
+    score: prediction.handInViewConfidence ?? 1,
+    label: inferHandedness(landmarks)
+  }));
+  return { multiHandLandmarks, multiHandedness };
+};
+
+// Stands in for a camera tracker: plays frames ({t in ms from the start, multiHandLandmarks,
+// multiHandedness}, as in a landmark recording) by the time since the first send, or asks
+// source(elapsed) for synthetic results. Frames are results as they are, so a recording only
+// needs the normalizer it was made with. The image is ignored. With loop, a recording starts
+// over after its last frame; without, send resolves with null from then on.
+export const createReplayTracker = (source, { loop = false } = {}) => {
+  const frames = typeof source === 'function' ? null : (Array.isArray(source) ? source : source.frames);
+  const duration = frames && frames.length > 0 ? frames[frames.length - 1].t : 0;
+  let startTime = null;
+  let played = -1;
+
+  const frameAt = (elapsed) => {
+    const at = loop && duration > 0 ? elapsed % duration : elapsed;
+    if (played >= 0 && at < frames[played].t) played = -1;
+    let next = played;
+    while (next + 1 < frames.length && frames[next + 1].t <= at) next++;
+    if (next === played) return null;
+    played = next;
+    const { multiHandLandmarks, multiHandedness } = frames[next];
+    return normalizeMediaPipeHandsResults({ multiHandLandmarks, multiHandedness });
+  };
+
+  return {
+    name: 'replay',
+    usesImage: false,
+    initialize: async () => {
+      if (frames && frames.length === 0) throw new Error('The recording has no frames');
+    },
+    setOptions: () => {},
+    send: async (image, time) => {
+      if (startTime === null) startTime = time;
+      const elapsed = time - startTime;
+      if (!frames) return normalizeMediaPipeHandsResults(source(elapsed));
+      return frameAt(elapsed);
+    },
+    close: () => {
+      startTime = null;
+      played = -1;
+    }
+  };
+};
@@ -0,0 +1,74 @@
+// MediaPipe Hands in a worker, so inference doesn't hold up rendering on the main thread. A
+// classic worker, because hands.js is a plain script for importScripts; in a worker it loads its
+// wasm the same way and draws into an OffscreenCanvas.
+//
+// Messages in:  {type: 'init', scriptUrls, fileUrls, options}  (URLs to try, in order)
+//               {type: 'options', options}
+//               {type: 'frame', frame}  (an ImageBitmap, transferred; closed once used)
+// Messages out: {type: 'ready'} or {type: 'error', message} once, after init
+//               {type: 'results', multiHandLandmarks, multiHandedness} per frame
+//               {type: 'frame-error', message} when a frame fails
+
+let hands = null;
+
+const importFirst = (urls) => {
+  for (const url of urls) {
+    try {
+      importScripts(url);
+      return;
+    } catch (error) {
+      console.warn(`Failed to load ${url} in the tracking worker:`, error);
+    }
+  }
+  throw new Error('Could not load MediaPipe Hands in the tracking worker');
+};
+
+// Results keep only what the main thread uses: the output image stays here
+const postResults = (results) => {
+  postMessage({
+    type: 'results',
+    multiHandLandmarks: results.multiHandLandmarks || [],
+    multiHandedness: results.multiHandedness || []
+  });
+};
+
+const init = async ({ scriptUrls, fileUrls, options }) => {
+  importFirst(scriptUrls);
+  let lastError = null;
+  for (const base of fileUrls) {
+    const candidate = new self.Hands({ locateFile: file => `${base}/${file}` });
+    candidate.setOptions(options);
+    candidate.onResults(postResults);
+    try {
+      await candidate.initialize();
+      hands = candidate;
+      return;
+    } catch (error) {
+      console.warn(`Hand tracking models failed to load from ${base}:`, error);
+      lastError = error;
+    }
+  }
+  throw lastError || new Error('No hand tracking model location');
+};
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'init') {
+    try {
+      await init(data);
+      postMessage({ type: 'ready' });
+    } catch (error) {
+      postMessage({ type: 'error', message: error.message });
+    }
+  } else if (data.type === 'options' && hands) {
+    hands.setOptions(data.options);
+  } else if (data.type === 'frame') {
+    try {
+      if (!hands) throw new Error('Hand tracking is not ready');
+      await hands.send({ image: data.frame });
+    } catch (error) {
+      postMessage({ type: 'frame-error', message: error.message });
+    } finally {
+      data.frame.close();
+    }
+  }
+};
@@ -0,0 +1,168 @@
+// Hand tracking results over time. Tracking updates arrive at the camera's rate (or slower),
+// rendering runs at the display's; each render frame gets landmarks interpolated between the
+// last two updates instead of jumping once per detection. And each hand keeps an ID from frame to
+// frame (see identifyHands), and its landmarks can be steadied with a One Euro filter (see
+// createOneEuroFilter). Pure: results are MediaPipe-shaped ({multiHandLandmarks,
+// multiHandedness}), updates are {results, time in ms}.
+
+// Updates further apart than this are a stall or a hand coming back, not motion to smooth over
+export const maxInterpolationGap = 250;
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Where each latest hand was in previous: matched by ID (handIds, see identifyHands), or by
+// place in the list and label for results without IDs. null unless both have the same hands.
+const matchHands = (previous, latest) => {
+  const from = previous.multiHandLandmarks;
+  const to = latest.multiHandLandmarks;
+  if (!from || !to || from.length !== to.length) return null;
+  const byId = previous.handIds && latest.handIds;
+  const label = (results, i) => results.multiHandedness && results.multiHandedness[i] && results.multiHandedness[i].label;
+  const matches = to.map((landmarks, i) => {
+    if (!byId) return label(previous, i) === label(latest, i) ? i : -1;
+    return latest.handIds[i] === null ? -1 : previous.handIds.indexOf(latest.handIds[i]);
+  });
+  const same = matches.every((j, i) => j >= 0 && from[j] && to[i] && from[j].length === to[i].length);
+  return same ? matches : null;
+};
+
+// Results for a render at time. Rendering runs one update interval behind tracking: right after
+// an update it shows the one before, and it reaches the latest just as the next is due, so it
+// never has to guess ahead. The latest results are used as they are when there is nothing to
+// interpolate from (first update, a long gap, or hands that came or went).
+export const interpolateHandResults = (previous, latest, time, maxGap = maxInterpolationGap) => {
+  if (!latest) return null;
+  if (!previous) return latest.results;
+  const interval = latest.time - previous.time;
+  const matches = interval > 0 && interval <= maxGap ? matchHands(previous.results, latest.results) : null;
+  if (!matches) return latest.results;
+
+  const t = Math.min(1, Math.max(0, (time - latest.time) / interval));
+  const multiHandLandmarks = latest.results.multiHandLandmarks.map((landmarks, i) => (
+    landmarks.map((landmark, j) => {
+      const from = previous.results.multiHandLandmarks[matches[i]][j];
+      return { ...landmark, x: lerp(from.x, landmark.x, t), y: lerp(from.y, landmark.y, t), z: lerp(from.z, landmark.z, t) };
+    })
+  ));
+  return { ...latest.results, multiHandLandmarks };
+};
+
+// Stable hand IDs. Trackers list the hands in whatever order they like, and it can change from
+// one frame to the next; per-hand state (filters, gestures, what a hand holds) follows an ID
+// instead. Each frame the hands are paired with the ones seen in the frame before so that they
+// move as little as possible, with a different handedness label counting as a long move:
+// labels can flip for a frame or two, so they weigh in rather than decide. A hand with no
+// counterpart within reach gets a new ID, and one that is not seen for a frame is gone.
+export const handLabelPenalty = 1;  // Image widths a label change counts as
+export const maxHandMove = 0.25;    // Image widths a hand can move between frames and keep its ID
+
+export const initialHandIdentity = () => ({ hands: [], nextId: 1 });
+
+const palmCenter = (landmarks) => landmarks && landmarks[9];
+
+const handMove = (known, seen) => Math.hypot(known.x - seen.x, known.y - seen.y);
+
+const pairingCost = (known, seen) =>
+  handMove(known, seen) + (known.label && seen.label && known.label !== seen.label ? handLabelPenalty : 0);
+
+// The cheapest way to pair seen hands with known ones (seen index to known index, or -1), trying
+// every pairing: there are only ever a few hands. Hands further apart than maxHandMove are never
+// paired, and leaving a seen hand unpaired costs as much as the dearest pair that can be made, so
+// a hand only goes unpaired when every known one in reach is taken.
+const unpairedCost = maxHandMove + handLabelPenalty;
+
+const cheapestPairing = (known, seen) => {
+  let best = { cost: Infinity, pairs: seen.map(() => -1) };
+  const search = (i, pairs, used, cost) => {
+    if (cost >= best.cost) return;
+    if (i === seen.length) {
+      best = { cost, pairs: [...pairs] };
+      return;
+    }
+    known.forEach((hand, k) => {
+      if (used.has(k) || handMove(hand, seen[i]) > maxHandMove) return;
+      used.add(k);
+      pairs.push(k);
+      search(i + 1, pairs, used, cost + pairingCost(hand, seen[i]));
+      pairs.pop();
+      used.delete(k);
+    });
+    pairs.push(-1);
+    search(i + 1, pairs, used, cost + unpairedCost);
+    pairs.pop();
+  };
+  search(0, [], new Set(), 0);
+  return best.pairs;
+};
+
+// IDs for this frame's hands (null for one with too few landmarks to place) and the identity
+// state to pass in with the next frame
+export const identifyHands = (identity, multiHandLandmarks, multiHandedness = []) => {
+  const seen = [];
+  multiHandLandmarks.forEach((landmarks, index) => {
+    const center = palmCenter(landmarks);
+    if (!center) return;
+    const handedness = multiHandedness[index];
+    seen.push({ index, x: center.x, y: center.y, label: (handedness && handedness.label) || null });
+  });
+
+  const pairs = cheapestPairing(identity.hands, seen);
+  let { nextId } = identity;
+  const ids = multiHandLandmarks.map(() => null);
+  const hands = seen.map((hand, i) => {
+    const id = pairs[i] >= 0 ? identity.hands[pairs[i]].id : nextId++;
+    ids[hand.index] = id;
+    return { id, x: hand.x, y: hand.y, label: hand.label };
+  });
+  return { ids, identity: { hands, nextId } };
+};
+
+// Two hands in the order two-hand gestures see them: the one labelled 'Left' (the left one in
+// the image, see trackers.js) first, or the one further left when the labels don't tell them
+// apart. Once a pair is ordered it stays that way for as long as both hands are there (pass the
+// previous order's IDs), so a label flip can't swap them mid-gesture.
+export const orderHandPair = ([a, b], previousOrder = null) => {
+  if (previousOrder && previousOrder.includes(a.id) && previousOrder.includes(b.id)) {
+    return previousOrder[0] === a.id ? [a, b] : [b, a];
+  }
+  if (a.label !== b.label && (a.label === 'Left' || b.label === 'Left')) {
+    return a.label === 'Left' ? [a, b] : [b, a];
+  }
+  return palmCenter(a.landmarks).x <= palmCenter(b.landmarks).x ? [a, b] : [b, a];
+};
+
+const oneEuroAlpha = (cutoff, dt) => {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+};
+
+// One Euro filter (Casiez et al.): a low-pass filter whose cutoff rises with speed, so a still
+// hand stops jittering without a moving one lagging behind. Call it with each sample, its time in
+// ms and { minCutoff (Hz), beta, dCutoff (Hz) }; settings come with each sample, so changes apply
+// without starting over.
+export const createOneEuroFilter = () => {
+  let previousValue = null;
+  let previousDerivative = 0;
+  let previousTime = null;
+
+  return (value, time, settings) => {
+    if (previousTime === null || time <= previousTime) {
+      if (previousTime === null) {
+        previousValue = value;
+        previousTime = time;
+      }
+      return previousValue;
+    }
+
+    const dt = (time - previousTime) / 1000;
+    const derivative = (value - previousValue) / dt;
+    const smoothedDerivative = previousDerivative + oneEuroAlpha(settings.dCutoff, dt) * (derivative - previousDerivative);
+    const cutoff = settings.minCutoff + settings.beta * Math.abs(smoothedDerivative);
+    const smoothed = previousValue + oneEuroAlpha(cutoff, dt) * (value - previousValue);
+
+    previousValue = smoothed;
+    previousDerivative = smoothedDerivative;
+    previousTime = time;
+    return smoothed;
+  };
+};